@@ -0,0 +1,15 @@
+-- migrations/022_add_sitemap_discovery.sql
+-- Sitemap-driven discovery: pages found in sitemap.xml before their alternate link is confirmed
+
+-- Sitemap entries are recorded before the page is fetched, so there is no alternate href yet
+ALTER TABLE discovered_pages
+  ALTER COLUMN alternate_href DROP NOT NULL;
+
+-- <lastmod> from the sitemap entry (used to skip unchanged pages on the next scan)
+ALTER TABLE discovered_pages
+  ADD COLUMN IF NOT EXISTS sitemap_lastmod TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_discovered_pages_discovery_method ON discovered_pages(discovery_method);
+
+COMMENT ON COLUMN discovered_pages.discovery_method IS 'html_link | http_link | both | sitemap (listed in sitemap, alternate link not yet confirmed)';
+COMMENT ON COLUMN discovered_pages.sitemap_lastmod IS 'Last <lastmod> seen for this page in the domain sitemap';
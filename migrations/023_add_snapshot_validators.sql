@@ -0,0 +1,11 @@
+-- migrations/023_add_snapshot_validators.sql
+-- Change detection: HTTP validators for conditional re-fetch on html_snapshots
+
+ALTER TABLE html_snapshots
+  ADD COLUMN IF NOT EXISTS etag TEXT,
+  ADD COLUMN IF NOT EXISTS last_modified TEXT, -- raw Last-Modified header, echoed back as If-Modified-Since
+  ADD COLUMN IF NOT EXISTS last_checked_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN html_snapshots.etag IS 'ETag from the last successful fetch (sent as If-None-Match)';
+COMMENT ON COLUMN html_snapshots.last_modified IS 'Last-Modified from the last successful fetch (sent as If-Modified-Since)';
+COMMENT ON COLUMN html_snapshots.last_checked_at IS 'Last time the page was checked, including not_modified results (fetched_at only moves when content changes)';
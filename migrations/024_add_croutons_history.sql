@@ -0,0 +1,42 @@
+-- migrations/024_add_croutons_history.sql
+-- Fact revision history: every superseded or removed fact version is archived here
+-- before it leaves public.croutons, so lineage and point-in-time state survive re-ingestion
+
+CREATE TABLE IF NOT EXISTS public.croutons_history (
+  id BIGSERIAL PRIMARY KEY,
+  crouton_id VARCHAR(64) NOT NULL,
+  domain VARCHAR(255) NOT NULL,
+  source_url TEXT NOT NULL,
+
+  -- Fact data as it was while current
+  text TEXT NOT NULL,
+  triple JSONB,
+  confidence REAL,
+  slot_id VARCHAR(64),
+  fact_id VARCHAR(64),
+  previous_fact_id VARCHAR(64),
+  revision INTEGER,
+  supporting_text TEXT,
+  evidence_anchor JSONB,
+  extraction_text_hash VARCHAR(64),
+  evidence_type VARCHAR(50),
+  source_path TEXT,
+
+  -- Validity window: the version was citeable from valid_from until superseded_at
+  valid_from TIMESTAMPTZ NOT NULL,
+  superseded_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  superseded_by VARCHAR(64), -- fact_id of the replacing version (NULL when removed)
+  change_type VARCHAR(20) NOT NULL CHECK (change_type IN ('changed', 'removed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_croutons_history_domain_superseded
+  ON public.croutons_history(domain, superseded_at);
+CREATE INDEX IF NOT EXISTS idx_croutons_history_slot
+  ON public.croutons_history(domain, slot_id, revision)
+  WHERE slot_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_croutons_history_source_url
+  ON public.croutons_history(source_url);
+
+COMMENT ON TABLE public.croutons_history IS 'Superseded fact versions moved out of croutons on re-ingestion';
+COMMENT ON COLUMN public.croutons_history.valid_from IS 'created_at of the croutons row this version was archived from';
+COMMENT ON COLUMN public.croutons_history.change_type IS 'changed: same slot_id re-ingested with a new fact_id; removed: not produced by the latest ingestion';
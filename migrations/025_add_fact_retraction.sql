@@ -0,0 +1,12 @@
+-- migrations/025_add_fact_retraction.sql
+-- Tombstoning: facts no longer produced by a re-ingested page are retracted, not served
+
+ALTER TABLE public.croutons
+  ADD COLUMN IF NOT EXISTS retracted_at TIMESTAMPTZ;
+
+-- Default reads only touch live facts
+CREATE INDEX IF NOT EXISTS idx_croutons_live_domain
+  ON public.croutons(domain, source_url)
+  WHERE retracted_at IS NULL;
+
+COMMENT ON COLUMN public.croutons.retracted_at IS 'Set when a re-ingestion of source_url no longer produced this fact; cleared (and created_at reset) if it is produced again';
@@ -0,0 +1,7 @@
+-- migrations/026_add_domain_extraction_method.sql
+-- Per-domain extractor selection from the extraction method registry
+
+ALTER TABLE verified_domains
+  ADD COLUMN IF NOT EXISTS extraction_method VARCHAR(64);
+
+COMMENT ON COLUMN verified_domains.extraction_method IS 'Preferred extractor for ingestion (e.g. croutons-dom-v1); NULL uses the default croutons-readability-v1. A request-level extraction_method overrides it';
@@ -0,0 +1,37 @@
+-- migrations/027_add_reverification.sql
+-- Extraction replay + anchor re-verification: proves stored anchors still reproduce
+-- from stored HTML under the recorded extraction_method
+
+ALTER TABLE html_snapshots
+  ADD COLUMN IF NOT EXISTS replay_checked_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS replay_hash_matches BOOLEAN;
+
+CREATE INDEX IF NOT EXISTS idx_html_snapshots_replay_checked_at
+  ON html_snapshots(replay_checked_at NULLS FIRST);
+
+ALTER TABLE public.croutons
+  ADD COLUMN IF NOT EXISTS anchor_checked_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS anchor_drift TEXT;
+
+-- Per-domain results of each re-verification run
+CREATE TABLE IF NOT EXISTS reverification_runs (
+  id BIGSERIAL PRIMARY KEY,
+  domain VARCHAR(255) NOT NULL,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  snapshots_checked INTEGER NOT NULL DEFAULT 0,
+  hashes_reproduced INTEGER NOT NULL DEFAULT 0,
+  hashes_drifted INTEGER NOT NULL DEFAULT 0,
+  facts_checked INTEGER NOT NULL DEFAULT 0,
+  facts_passed INTEGER NOT NULL DEFAULT 0,
+  facts_drifted INTEGER NOT NULL DEFAULT 0,
+  facts_restored INTEGER NOT NULL DEFAULT 0,
+  drift_examples JSONB NOT NULL DEFAULT '[]'::jsonb,
+  errors JSONB NOT NULL DEFAULT '[]'::jsonb
+);
+
+CREATE INDEX IF NOT EXISTS idx_reverification_runs_domain_started
+  ON reverification_runs(domain, started_at DESC);
+
+COMMENT ON COLUMN html_snapshots.replay_hash_matches IS 'Whether re-running extraction_method on html reproduced extraction_text_hash at replay_checked_at';
+COMMENT ON COLUMN public.croutons.anchor_drift IS 'Why re-verification set anchor_missing (e.g. fragment_hash_mismatch); cleared when the anchor verifies again';
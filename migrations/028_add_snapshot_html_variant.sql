@@ -0,0 +1,9 @@
+-- migrations/028_add_snapshot_html_variant.sql
+-- Headless-rendered ingestion: record which HTML variant a snapshot was extracted from
+
+ALTER TABLE html_snapshots
+  ADD COLUMN IF NOT EXISTS html_variant VARCHAR(20) NOT NULL DEFAULT 'raw',
+  ADD COLUMN IF NOT EXISTS renderer VARCHAR(64);
+
+COMMENT ON COLUMN html_snapshots.html_variant IS 'raw: HTML as fetched from the origin; prerender: HTML produced by the renderer (render: "prerender")';
+COMMENT ON COLUMN html_snapshots.renderer IS 'Renderer that produced prerendered HTML (e.g. prerender-service, prerender-fixtures); NULL for raw';
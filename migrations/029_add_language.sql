@@ -0,0 +1,17 @@
+-- migrations/029_add_language.sql
+-- Multilingual ingestion: detected page language on snapshots and facts
+
+ALTER TABLE html_snapshots
+  ADD COLUMN IF NOT EXISTS language VARCHAR(16);
+
+ALTER TABLE public.croutons
+  ADD COLUMN IF NOT EXISTS language VARCHAR(16);
+
+ALTER TABLE public.croutons_history
+  ADD COLUMN IF NOT EXISTS language VARCHAR(16);
+
+CREATE INDEX IF NOT EXISTS idx_croutons_domain_language
+  ON public.croutons(domain, language);
+
+COMMENT ON COLUMN html_snapshots.language IS 'Detected page language (primary subtag, e.g. th) from <html lang>, Content-Language, hreflang or content';
+COMMENT ON COLUMN public.croutons.language IS 'Language of the page the fact was extracted from';
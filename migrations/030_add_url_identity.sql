@@ -0,0 +1,62 @@
+-- migrations/030_add_url_identity.sql
+-- Canonical URL identity: pages are keyed on one normalized canonical source_url;
+-- other spellings (tracking params, trailing slash, redirects, non-canonical
+-- duplicates) are recorded as aliases
+
+CREATE TABLE IF NOT EXISTS url_aliases (
+  id SERIAL PRIMARY KEY,
+  domain VARCHAR(255) NOT NULL,
+  alias_url TEXT NOT NULL,
+  canonical_url TEXT NOT NULL,
+  first_seen_at TIMESTAMP DEFAULT NOW(),
+  last_seen_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(domain, alias_url)
+);
+
+CREATE INDEX IF NOT EXISTS idx_url_aliases_canonical
+  ON url_aliases(domain, canonical_url);
+
+ALTER TABLE html_snapshots
+  ADD COLUMN IF NOT EXISTS hreflang_alternates JSONB DEFAULT '[]'::jsonb;
+
+-- Existing trailing-slash URLs become the slash-less normalized form.
+-- Where both spellings were stored, the slash-less row is kept and the other
+-- becomes an alias.
+INSERT INTO url_aliases (domain, alias_url, canonical_url)
+SELECT domain, source_url, rtrim(source_url, '/')
+FROM html_snapshots
+WHERE source_url ~ '^https?://[^/]+/.+/$'
+ON CONFLICT (domain, alias_url) DO NOTHING;
+
+DELETE FROM html_snapshots s
+WHERE s.source_url ~ '^https?://[^/]+/.+/$'
+  AND EXISTS (
+    SELECT 1 FROM html_snapshots o
+    WHERE o.domain = s.domain AND o.source_url = rtrim(s.source_url, '/')
+  );
+
+UPDATE html_snapshots
+SET source_url = rtrim(source_url, '/')
+WHERE source_url ~ '^https?://[^/]+/.+/$';
+
+DELETE FROM discovered_pages d
+WHERE d.page_url ~ '^https?://[^/]+/.+/$'
+  AND EXISTS (
+    SELECT 1 FROM discovered_pages o
+    WHERE o.domain = d.domain AND o.page_url = rtrim(d.page_url, '/')
+  );
+
+UPDATE discovered_pages
+SET page_url = rtrim(page_url, '/')
+WHERE page_url ~ '^https?://[^/]+/.+/$';
+
+UPDATE public.croutons
+SET source_url = rtrim(source_url, '/')
+WHERE source_url ~ '^https?://[^/]+/.+/$';
+
+UPDATE public.croutons_history
+SET source_url = rtrim(source_url, '/')
+WHERE source_url ~ '^https?://[^/]+/.+/$';
+
+COMMENT ON TABLE url_aliases IS 'Alternate spellings of a page URL mapped to its canonical source_url';
+COMMENT ON COLUMN html_snapshots.hreflang_alternates IS 'Language alternates from <link rel="alternate" hreflang>: [{hreflang, href}]';
@@ -0,0 +1,67 @@
+-- migrations/031_add_qa_policies.sql
+-- Configurable QA gate policies: named, versioned check sets, assignable per
+-- verified domain, with defaults per detected vertical
+--
+-- checks JSONB: { <check>: { "level": "blocking" | "warning" | "off", <threshold> } }
+--   grounded_fact_rate     { min }
+--   ungrounded_fact_count  { max }
+--   avg_unit_length        { max }  (chars, per unit type)
+--   atomicity_pass_rate    { min }
+--   schema_coverage_score  { min, verified_min }
+--   hop_graph_density      { gt }
+-- Checks a policy leaves out fall back to the "standard" policy.
+
+CREATE TABLE IF NOT EXISTS qa_policies (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(64) NOT NULL,
+  version INTEGER NOT NULL DEFAULT 1,
+  description TEXT,
+  checks JSONB NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(name, version)
+);
+
+CREATE TABLE IF NOT EXISTS qa_policy_defaults (
+  vertical VARCHAR(64) PRIMARY KEY,
+  policy_name VARCHAR(64) NOT NULL,
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+ALTER TABLE verified_domains
+  ADD COLUMN IF NOT EXISTS qa_policy VARCHAR(64);
+
+INSERT INTO qa_policies (name, version, description, checks) VALUES
+  ('standard', 1, 'Original Citations Guarantee gate: every check blocking', '{
+    "grounded_fact_rate": { "level": "blocking", "min": 0.95 },
+    "ungrounded_fact_count": { "level": "blocking", "max": 0 },
+    "avg_unit_length": { "level": "blocking", "max": 500 },
+    "atomicity_pass_rate": { "level": "blocking", "min": 0.9 },
+    "schema_coverage_score": { "level": "blocking", "min": 0.5, "verified_min": 0.0 },
+    "hop_graph_density": { "level": "blocking", "gt": 0 }
+  }'),
+  ('media', 1, 'Articles: long-form, multi-sentence units and little schema are normal', '{
+    "avg_unit_length": { "level": "warning", "max": 500 },
+    "atomicity_pass_rate": { "level": "warning", "min": 0.9 },
+    "schema_coverage_score": { "level": "warning", "min": 0.5, "verified_min": 0.0 },
+    "hop_graph_density": { "level": "warning", "gt": 0 }
+  }'),
+  ('local_services', 1, 'Local businesses: schema matters, a sparse hop graph does not', '{
+    "schema_coverage_score": { "level": "blocking", "min": 0.3, "verified_min": 0.0 },
+    "hop_graph_density": { "level": "warning", "gt": 0 }
+  }'),
+  ('research', 1, 'Research: long, dense sentences are expected', '{
+    "avg_unit_length": { "level": "warning", "max": 800 },
+    "atomicity_pass_rate": { "level": "warning", "min": 0.9 },
+    "hop_graph_density": { "level": "warning", "gt": 0 }
+  }')
+ON CONFLICT (name, version) DO NOTHING;
+
+INSERT INTO qa_policy_defaults (vertical, policy_name) VALUES
+  ('media', 'media'),
+  ('local_services', 'local_services'),
+  ('research', 'research')
+ON CONFLICT (vertical) DO NOTHING;
+
+COMMENT ON TABLE qa_policies IS 'Named, versioned QA gate policies (blocking / warning checks and thresholds)';
+COMMENT ON TABLE qa_policy_defaults IS 'Default QA policy per detected vertical; verticals without a row use "standard"';
+COMMENT ON COLUMN verified_domains.qa_policy IS 'QA policy name for this domain (latest version); overrides the vertical default';
@@ -0,0 +1,10 @@
+-- migrations/032_add_snapshot_fetch_method.sql
+-- Upload ingestion: record how each snapshot's HTML was obtained
+
+ALTER TABLE html_snapshots
+  ADD COLUMN IF NOT EXISTS fetch_method VARCHAR(16) NOT NULL DEFAULT 'fetch';
+
+UPDATE html_snapshots SET fetch_method = 'render'
+WHERE html_variant = 'prerender' AND fetch_method = 'fetch';
+
+COMMENT ON COLUMN html_snapshots.fetch_method IS 'fetch (HTTP GET of source_url), render (prerender renderer) or upload (HTML provided in the request)';
@@ -0,0 +1,9 @@
+-- migrations/033_add_snapshot_document_type.sql
+-- Document ingestion: record the source document type of each snapshot.
+-- For non-HTML sources (PDF, DOCX, markdown, text) html holds the HTML the
+-- document was converted to, which is what extraction ran on.
+
+ALTER TABLE html_snapshots
+  ADD COLUMN IF NOT EXISTS document_type VARCHAR(16) NOT NULL DEFAULT 'html';
+
+COMMENT ON COLUMN html_snapshots.document_type IS 'html, pdf, docx, markdown or text - the type of the source document';
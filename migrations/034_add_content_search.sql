@@ -0,0 +1,70 @@
+-- migrations/034_add_content_search.sql
+-- Unit-level search: each page's sections and units from its latest ingestion,
+-- with a weighted full-text vector per unit (GET /v1/search).
+-- Re-ingesting a page replaces its rows.
+
+CREATE TABLE IF NOT EXISTS content_sections (
+  id SERIAL PRIMARY KEY,
+  domain VARCHAR(255) NOT NULL,
+  source_url TEXT NOT NULL,
+  section_id VARCHAR(64) NOT NULL,
+  position INTEGER NOT NULL,
+  section_path TEXT,
+  heading_text TEXT,
+  heading_level INTEGER,
+  char_start INTEGER,
+  char_end INTEGER,
+  clean_text TEXT,
+  extraction_text_hash VARCHAR(64),
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(domain, source_url, section_id)
+);
+
+CREATE TABLE IF NOT EXISTS content_units (
+  id SERIAL PRIMARY KEY,
+  domain VARCHAR(255) NOT NULL,
+  source_url TEXT NOT NULL,
+  unit_id VARCHAR(64) NOT NULL,
+  section_id VARCHAR(64),
+  position INTEGER NOT NULL,
+  unit_type VARCHAR(32) NOT NULL,
+  clean_text TEXT NOT NULL,
+  enriched_text TEXT,
+  unit_grounding VARCHAR(32),
+  unit_confidence REAL,
+  evidence_anchor JSONB,
+  fact_id VARCHAR(64),
+  -- Intended-user views the page was shaped for (buyer_view, support_view, ...)
+  intended_users TEXT[] NOT NULL DEFAULT '{}',
+  language VARCHAR(16),
+  extraction_text_hash VARCHAR(64),
+  -- Text search configuration matching the page language ('simple' when unsupported)
+  search_config REGCONFIG NOT NULL DEFAULT 'simple',
+  search_vector TSVECTOR,
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(domain, source_url, unit_id)
+);
+
+-- Unit text ranks above its enrichment (document title, heading path, entities)
+CREATE OR REPLACE FUNCTION content_units_search_vector() RETURNS trigger AS $$
+BEGIN
+  NEW.search_vector :=
+    setweight(to_tsvector(NEW.search_config, coalesce(NEW.clean_text, '')), 'A') ||
+    setweight(to_tsvector(NEW.search_config, coalesce(NEW.enriched_text, '')), 'C');
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS content_units_search_vector_trigger ON content_units;
+CREATE TRIGGER content_units_search_vector_trigger
+  BEFORE INSERT OR UPDATE OF clean_text, enriched_text, search_config ON content_units
+  FOR EACH ROW EXECUTE FUNCTION content_units_search_vector();
+
+CREATE INDEX IF NOT EXISTS idx_content_units_search
+  ON content_units USING GIN (search_vector);
+
+CREATE INDEX IF NOT EXISTS idx_content_units_domain_type
+  ON content_units(domain, unit_type);
+
+CREATE INDEX IF NOT EXISTS idx_content_units_intended_users
+  ON content_units USING GIN (intended_users);
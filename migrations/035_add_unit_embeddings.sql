@@ -0,0 +1,11 @@
+-- migrations/035_add_unit_embeddings.sql
+-- Unit embeddings for semantic retrieval (GET /v1/search/semantic).
+-- embedding_model names the provider that produced the vector; vectors are only
+-- compared with vectors of the same model.
+
+ALTER TABLE content_units
+  ADD COLUMN IF NOT EXISTS embedding REAL[],
+  ADD COLUMN IF NOT EXISTS embedding_model VARCHAR(64);
+
+CREATE INDEX IF NOT EXISTS idx_content_units_embedding_model
+  ON content_units(domain, embedding_model);
@@ -0,0 +1,27 @@
+-- migrations/036_add_hop_graph_edges.sql
+-- Hop graph: the edges each ingestion computes between units, sections and
+-- schema entities (answers, defines, supports, mentions, depends_on, links_to,
+-- elaborates, owns, publisher, ...). Re-ingesting a page replaces its rows.
+-- Entity ids (schema @id) are shared across pages, unit and section ids are not.
+
+CREATE TABLE IF NOT EXISTS hop_graph_edges (
+  id SERIAL PRIMARY KEY,
+  domain VARCHAR(255) NOT NULL,
+  source_url TEXT NOT NULL,
+  from_id TEXT NOT NULL,
+  -- 'unit', 'section' or 'entity'
+  from_kind VARCHAR(16) NOT NULL,
+  from_entity_type VARCHAR(128),
+  to_id TEXT NOT NULL,
+  to_kind VARCHAR(16) NOT NULL,
+  to_entity_type VARCHAR(128),
+  edge_type VARCHAR(64) NOT NULL,
+  edge_label TEXT,
+  confidence REAL,
+  extraction_text_hash VARCHAR(64),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_hop_graph_edges_from ON hop_graph_edges(domain, from_id);
+CREATE INDEX IF NOT EXISTS idx_hop_graph_edges_to ON hop_graph_edges(domain, to_id);
+CREATE INDEX IF NOT EXISTS idx_hop_graph_edges_page ON hop_graph_edges(domain, source_url);
@@ -0,0 +1,40 @@
+-- migrations/038_add_croutons_changed_at.sql
+-- Changes feed (GET /v1/facts/:domain.ndjson?since=): when a fact row last changed
+-- in a way readers can see - created, new content or anchor, retracted or restored.
+-- Re-ingesting an unchanged fact only moves verified_at / updated_at, not changed_at.
+
+ALTER TABLE public.croutons ADD COLUMN IF NOT EXISTS changed_at TIMESTAMPTZ;
+
+UPDATE public.croutons
+SET changed_at = GREATEST(created_at, retracted_at)
+WHERE changed_at IS NULL;
+
+ALTER TABLE public.croutons ALTER COLUMN changed_at SET DEFAULT NOW();
+ALTER TABLE public.croutons ALTER COLUMN changed_at SET NOT NULL;
+
+CREATE OR REPLACE FUNCTION update_croutons_changed_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    NEW.changed_at = NOW();
+  ELSIF ROW(NEW.fact_id, NEW.source_url, NEW.text, NEW.triple, NEW.confidence,
+            NEW.supporting_text, NEW.evidence_anchor, NEW.evidence_type, NEW.source_path,
+            NEW.language, NEW.retracted_at)
+        IS DISTINCT FROM
+        ROW(OLD.fact_id, OLD.source_url, OLD.text, OLD.triple, OLD.confidence,
+            OLD.supporting_text, OLD.evidence_anchor, OLD.evidence_type, OLD.source_path,
+            OLD.language, OLD.retracted_at) THEN
+    NEW.changed_at = NOW();
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_update_croutons_changed_at ON public.croutons;
+CREATE TRIGGER trigger_update_croutons_changed_at
+  BEFORE INSERT OR UPDATE ON public.croutons
+  FOR EACH ROW
+  EXECUTE FUNCTION update_croutons_changed_at();
+
+CREATE INDEX IF NOT EXISTS idx_croutons_domain_changed_at
+  ON public.croutons(domain, changed_at, crouton_id);
@@ -0,0 +1,34 @@
+-- migrations/039_add_croutons_ingest_seq.sql
+-- Keyset pagination of the facts feeds (?after=<cursor>) on a key that never
+-- changes: ingest_seq is assigned when a fact row is inserted and kept when the
+-- fact is re-ingested or re-verified. A new revision is a new row, so it is
+-- appended to the end of the feed.
+
+CREATE SEQUENCE IF NOT EXISTS public.croutons_ingest_seq;
+
+ALTER TABLE public.croutons ADD COLUMN IF NOT EXISTS ingest_seq BIGINT;
+
+-- Existing rows in creation order
+UPDATE public.croutons c
+SET ingest_seq = ordered.seq
+FROM (
+  SELECT crouton_id,
+    (SELECT COALESCE(MAX(ingest_seq), 0) FROM public.croutons)
+      + ROW_NUMBER() OVER (ORDER BY created_at, crouton_id) AS seq
+  FROM public.croutons
+  WHERE ingest_seq IS NULL
+) AS ordered
+WHERE c.crouton_id = ordered.crouton_id;
+
+SELECT setval('public.croutons_ingest_seq',
+  GREATEST((SELECT COALESCE(MAX(ingest_seq), 0) FROM public.croutons), 1));
+
+ALTER SEQUENCE public.croutons_ingest_seq OWNED BY public.croutons.ingest_seq;
+ALTER TABLE public.croutons ALTER COLUMN ingest_seq SET DEFAULT nextval('public.croutons_ingest_seq');
+ALTER TABLE public.croutons ALTER COLUMN ingest_seq SET NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_croutons_ingest_seq
+  ON public.croutons(ingest_seq);
+
+CREATE INDEX IF NOT EXISTS idx_croutons_domain_ingest_seq
+  ON public.croutons(domain, ingest_seq);
@@ -0,0 +1,9 @@
+-- migrations/040_add_snapshot_structured_data_hash.sql
+-- Change detection: a re-ingestion is skipped only when both the canonical text
+-- (extraction_text_hash) and the page's structured data are unchanged, so a page
+-- where only the JSON-LD / microdata changed still updates its structured_data facts
+
+ALTER TABLE html_snapshots
+  ADD COLUMN IF NOT EXISTS structured_data_hash VARCHAR(64);
+
+COMMENT ON COLUMN html_snapshots.structured_data_hash IS 'sha256 of the structured data extracted from the page itself (before any schema fallback); NULL for snapshots stored before 040';
@@ -0,0 +1,79 @@
+-- migrations/041_add_change_txid.sql
+-- Changes feed (GET /v1/facts/:domain.ndjson?since=) in commit-safe order.
+-- changed_at / superseded_at come from the writing transaction's clock, so a
+-- transaction that commits late can land behind a poller's resume token and
+-- never be delivered. Every change now also records the id of the transaction
+-- that made it (change_txid, pg_current_xact_id(), PostgreSQL 13+) and a
+-- sequence number (change_seq, shared by croutons and croutons_history). The
+-- feed reads in (change_txid, change_seq) order and only serves changes from
+-- transactions older than the reader snapshot's xmin: those have all finished,
+-- so nothing can appear behind a token later.
+
+CREATE SEQUENCE IF NOT EXISTS public.croutons_change_seq;
+
+ALTER TABLE public.croutons ADD COLUMN IF NOT EXISTS change_txid BIGINT;
+ALTER TABLE public.croutons ADD COLUMN IF NOT EXISTS change_seq BIGINT;
+ALTER TABLE public.croutons_history ADD COLUMN IF NOT EXISTS change_txid BIGINT;
+ALTER TABLE public.croutons_history ADD COLUMN IF NOT EXISTS change_seq BIGINT;
+
+-- Existing changes in changed_at / superseded_at order, ahead of every transaction
+CREATE TEMP TABLE change_backfill ON COMMIT DROP AS
+SELECT source, key, ROW_NUMBER() OVER (ORDER BY event_at, source, key) AS seq
+FROM (
+  SELECT 'c' AS source, crouton_id AS key, changed_at AS event_at
+  FROM public.croutons WHERE change_seq IS NULL
+  UNION ALL
+  SELECT 'h', id::text, superseded_at
+  FROM public.croutons_history WHERE change_seq IS NULL
+) AS changes;
+
+UPDATE public.croutons c
+SET change_txid = 0,
+    change_seq = b.seq
+FROM change_backfill b
+WHERE b.source = 'c' AND c.crouton_id = b.key;
+
+UPDATE public.croutons_history h
+SET change_txid = 0,
+    change_seq = b.seq
+FROM change_backfill b
+WHERE b.source = 'h' AND h.id::text = b.key;
+
+SELECT setval('public.croutons_change_seq', GREATEST(
+  (SELECT COALESCE(MAX(change_seq), 0) FROM public.croutons),
+  (SELECT COALESCE(MAX(change_seq), 0) FROM public.croutons_history),
+  1));
+
+ALTER TABLE public.croutons ALTER COLUMN change_txid SET DEFAULT pg_current_xact_id()::text::bigint;
+ALTER TABLE public.croutons ALTER COLUMN change_seq SET DEFAULT nextval('public.croutons_change_seq');
+ALTER TABLE public.croutons ALTER COLUMN change_txid SET NOT NULL;
+ALTER TABLE public.croutons ALTER COLUMN change_seq SET NOT NULL;
+ALTER TABLE public.croutons_history ALTER COLUMN change_txid SET DEFAULT pg_current_xact_id()::text::bigint;
+ALTER TABLE public.croutons_history ALTER COLUMN change_seq SET DEFAULT nextval('public.croutons_change_seq');
+ALTER TABLE public.croutons_history ALTER COLUMN change_txid SET NOT NULL;
+ALTER TABLE public.croutons_history ALTER COLUMN change_seq SET NOT NULL;
+
+-- Same visible-change test as changed_at (migrations/038), now stamping the transaction too
+CREATE OR REPLACE FUNCTION update_croutons_changed_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT' OR
+     ROW(NEW.fact_id, NEW.source_url, NEW.text, NEW.triple, NEW.confidence,
+         NEW.supporting_text, NEW.evidence_anchor, NEW.evidence_type, NEW.source_path,
+         NEW.language, NEW.retracted_at)
+     IS DISTINCT FROM
+     ROW(OLD.fact_id, OLD.source_url, OLD.text, OLD.triple, OLD.confidence,
+         OLD.supporting_text, OLD.evidence_anchor, OLD.evidence_type, OLD.source_path,
+         OLD.language, OLD.retracted_at) THEN
+    NEW.changed_at = NOW();
+    NEW.change_txid = pg_current_xact_id()::text::bigint;
+    NEW.change_seq = nextval('public.croutons_change_seq');
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE INDEX IF NOT EXISTS idx_croutons_domain_change_order
+  ON public.croutons(domain, change_txid, change_seq);
+CREATE INDEX IF NOT EXISTS idx_croutons_history_domain_change_order
+  ON public.croutons_history(domain, change_txid, change_seq);
@@ -39,12 +39,24 @@ export async function updateJobStatus(jobId, status, error = null) {
   }
 
   params.push(jobId);
+  // A job cancelled while queued or running keeps its status
   await pool.query(
-    `UPDATE precogs.jobs SET ${updates.join(", ")} WHERE id = $${paramIdx}`,
+    `UPDATE precogs.jobs SET ${updates.join(", ")} WHERE id = $${paramIdx} AND status <> 'cancelled'`,
     params
   );
 }
 
+export async function getLastEvent(jobId, type) {
+  const { rows } = await pool.query(
+    `SELECT data FROM precogs.events
+     WHERE job_id = $1 AND type = $2
+     ORDER BY id DESC
+     LIMIT 1`,
+    [jobId, type]
+  );
+  return rows[0]?.data || null;
+}
+
 export async function insertEvent(jobId, type, data) {
   await pool.query(
     `INSERT INTO precogs.events (job_id, type, data)
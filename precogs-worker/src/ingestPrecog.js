@@ -0,0 +1,175 @@
+/* jshint node: true, esversion: 11 */
+/**
+ * Batch Ingestion Precog Handler
+ * Walks the URL list of an ingestion job and hands each page to the API's
+ * single-page ingest pipeline, emitting per-URL progress as job events.
+ */
+
+import { getJob, getLastEvent } from "./db.js";
+
+// Required: an unconfigured worker must not ingest into whatever API a default points at
+const INGEST_API_BASE = process.env.PRECOGS_API_BASE;
+const INGEST_TIMEOUT_MS = parseInt(process.env.INGEST_TIMEOUT_MS || "120000", 10);
+const INGEST_DELAY_MS = 250; // Be polite to partner origins between pages
+const MAX_BATCH_URLS = 1000; // Same limit as precogs-api (src/routes/ingest.js)
+// Summary counters carried by each ingest.progress event (the job's checkpoint)
+const PROGRESS_COUNTERS = ["processed", "qa_passed", "qa_failed", "not_modified", "errors", "facts_inserted", "facts_updated"];
+
+/**
+ * Process batch ingestion job
+ * @param {string} jobId - Job ID
+ * @param {string} namespace - Precog namespace (ingest)
+ * @param {string} task - Task type (batch)
+ * @param {Object} context - Job context ({ targets: [{ domain, url }] })
+ * @param {Function} emit - Event emitter function
+ * @returns {Promise<Object>} Summary of the batch
+ */
+export async function processIngestPrecog(jobId, namespace, task, context, emit) {
+  if (!INGEST_API_BASE) {
+    throw new Error("PRECOGS_API_BASE is not set - cannot run ingest jobs");
+  }
+
+  const targets = Array.isArray(context?.targets) ? context.targets : [];
+  if (targets.length > MAX_BATCH_URLS) {
+    throw new Error(`Too many URLs: ${targets.length} (max ${MAX_BATCH_URLS} per batch)`);
+  }
+  const force = context?.force === true;
+  const render = context?.render || "raw";
+
+  console.log(`[ingest-precog] Processing ${namespace}.${task} for job ${jobId}: ${targets.length} URL(s)`);
+
+  const summary = {
+    total: targets.length,
+    processed: 0,
+    qa_passed: 0,
+    qa_failed: 0,
+    not_modified: 0,
+    errors: 0,
+    facts_inserted: 0,
+    facts_updated: 0,
+    cancelled: false,
+  };
+
+  // A retried or redelivered job resumes after the last URL it checkpointed
+  const checkpoint = await getLastEvent(jobId, "ingest.progress");
+  const start = Math.min(checkpoint?.next_index || 0, targets.length);
+  if (checkpoint) {
+    for (const counter of PROGRESS_COUNTERS) summary[counter] = checkpoint[counter] || 0;
+    console.log(`[ingest-precog] Resuming job ${jobId} at URL ${start + 1}/${targets.length}`);
+  }
+
+  await emit("ingest.started", {
+    total: targets.length,
+    api_base: INGEST_API_BASE,
+    resumed_at: checkpoint ? start : undefined,
+  });
+
+  for (let i = start; i < targets.length; i++) {
+    // Stop early if the job was cancelled while we were working
+    const job = await getJob(jobId);
+    if (job && job.status === "cancelled") {
+      summary.cancelled = true;
+      console.log(`[ingest-precog] Job ${jobId} cancelled after ${summary.processed} URL(s)`);
+      break;
+    }
+
+    const { domain, url } = targets[i];
+    const result = await ingestOne(domain, url, { force, render });
+
+    summary.processed++;
+    if (result.error) {
+      summary.errors++;
+    } else if (result.not_modified) {
+      summary.not_modified++;
+    } else if (result.qa_gate.passed) {
+      summary.qa_passed++;
+    } else {
+      summary.qa_failed++;
+    }
+    summary.facts_inserted += result.facts.inserted;
+    summary.facts_updated += result.facts.updated;
+
+    await emit("ingest.url", {
+      index: i,
+      total: targets.length,
+      ...result,
+    });
+
+    await emit("ingest.progress", {
+      next_index: i + 1,
+      total: summary.total,
+      ...Object.fromEntries(PROGRESS_COUNTERS.map(counter => [counter, summary[counter]])),
+    });
+
+    if (i < targets.length - 1) {
+      await new Promise((resolve) => setTimeout(resolve, INGEST_DELAY_MS));
+    }
+  }
+
+  await emit("ingest.summary", summary);
+  await emit("answer.delta", {
+    text: `Ingested ${summary.processed}/${summary.total} URL(s): ${summary.qa_passed} passed QA, ${summary.qa_failed} failed QA, ${summary.not_modified} unchanged, ${summary.errors} error(s). Facts inserted: ${summary.facts_inserted}, updated: ${summary.facts_updated}.\n`,
+  });
+
+  return { success: true, result: summary };
+}
+
+/**
+ * Ingest a single URL through POST /v1/ingest
+ * Never throws - per-URL failures are reported in the result so one bad page
+ * does not retry (or fail) the whole batch.
+ * @param {string} domain - Domain the page belongs to
+ * @param {string} url - Page URL
+ * @param {Object} options - { force: re-ingest even if unchanged, render: "raw" | "prerender" }
+ * @returns {Promise<Object>} Per-URL result
+ */
+async function ingestOne(domain, url, { force = false, render = "raw" } = {}) {
+  const startTime = Date.now();
+  const result = {
+    domain,
+    url,
+    ok: false,
+    not_modified: false,
+    status: null,
+    qa_gate: { passed: false, errors: [] },
+    facts: { inserted: 0, updated: 0, attempted: 0 },
+    error: null,
+    elapsed_ms: 0,
+  };
+
+  try {
+    const response = await fetch(`${INGEST_API_BASE}/v1/ingest`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ domain, url, force, render }),
+      signal: AbortSignal.timeout(INGEST_TIMEOUT_MS),
+    });
+    result.status = response.status;
+
+    const body = await response.json().catch(() => null);
+    if (!body || (!response.ok && !body.data)) {
+      result.error = body?.error || body?.message || `HTTP ${response.status}`;
+    } else {
+      const counts = body.data?.fact_counts || {};
+      result.ok = !!body.ok;
+      result.not_modified = !!body.not_modified;
+      result.qa_gate = {
+        passed: !!body.ok,
+        errors: body.errors || [],
+      };
+      result.facts = {
+        inserted: counts.inserted || 0,
+        updated: counts.updated || 0,
+        attempted: counts.attempted || 0,
+      };
+      result.source_url = body.data?.source_url || url;
+      result.extraction_text_hash = body.data?.extraction_text_hash || null;
+    }
+  } catch (error) {
+    result.error = error.message;
+  }
+
+  result.elapsed_ms = Date.now() - startTime;
+  console.log(`[ingest-precog] ${url}: ${result.error ? `error (${result.error})` : result.not_modified ? "not modified" : result.ok ? "qa passed" : "qa failed"} in ${result.elapsed_ms}ms`);
+  return result;
+}
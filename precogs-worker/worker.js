@@ -9,6 +9,7 @@ import {
 } from "./src/validateSchema.js";
 import { processHomePrecog } from "./src/homePrecog.js";
 import { processBkkMassagePrecog } from "./src/bkkMassagePrecog.js";
+import { processIngestPrecog } from "./src/ingestPrecog.js";
 import { fileURLToPath } from "node:url";
 import { dirname } from "node:path";
 import "dotenv/config";
@@ -158,6 +159,25 @@ async function processJob(jobId, precog, prompt, context, retryCount = 0) {
       console.log(`[worker] Completed job ${jobId} in ${elapsed}ms`);
       return { success: true, elapsed };
     }
+    // Process batch ingestion (one job, many URLs)
+    else if (precog === "ingest") {
+      const task = context?.task || "batch";
+      const emit = async (type, data) => {
+        await insertEvent(jobId, type, data);
+      };
+      
+      const { result } = await processIngestPrecog(jobId, precog, task, context, emit);
+      
+      // A cancelled job keeps its status and completes with ok: false; otherwise mark done
+      await insertEvent(jobId, "answer.complete", { ...result, ok: !result.cancelled });
+      if (!result.cancelled) {
+        await updateJobStatus(jobId, "done");
+      }
+      
+      const elapsed = Date.now() - startTime;
+      console.log(`[worker] Completed job ${jobId} in ${elapsed}ms`);
+      return { success: true, elapsed };
+    }
     // Process schema precog with KB validation
     else if (precog === "schema" && kb === "schema-foundation") {
       const kbData = getKB(kb);
@@ -0,0 +1,33 @@
+#!/usr/bin/env node
+/**
+ * Embed stored units that have no vector from the active embedding provider
+ * (units indexed before embeddings existed, or after switching EMBEDDING_PROVIDER)
+ * Usage: node scripts/embed-units.js [domain] [--limit=N]
+ */
+
+import "dotenv/config";
+
+const args = process.argv.slice(2);
+const domain = args.find(arg => !arg.startsWith("--")) || null;
+const limitArg = args.find(arg => arg.startsWith("--limit="));
+const limit = limitArg ? parseInt(limitArg.slice("--limit=".length), 10) : 10000;
+
+async function embedUnits() {
+  const { pool } = await import("../src/db.js");
+  try {
+    const { embedStoredUnits } = await import("../src/routes/search.js");
+    const result = await embedStoredUnits(domain, { limit });
+    console.log(`✅ Embedded ${result.embedded} unit(s) with ${result.model}${domain ? ` for ${domain}` : ""}`);
+    if (result.remaining > 0) {
+      console.log(`   ${result.remaining} unit(s) remaining - run again to continue`);
+    }
+    process.exitCode = 0;
+  } catch (error) {
+    console.error("❌ Embedding failed:", error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+embedUnits();
@@ -0,0 +1,318 @@
+/* jshint node: true, esversion: 11 */
+/**
+ * Extraction regression harness (golden fixtures)
+ *
+ * Runs the ingestion extraction pipeline offline on each saved page in
+ * fixtures/extraction/<name>/ and diffs sections, units, edges, facts, the QA
+ * gate and extraction_text_hash against the fixture's expected.json. Any
+ * change to extraction_text_hash moves evidence anchors, so it is called out.
+ *
+ * Usage:
+ *   node scripts/extraction-regression.js              # diff all fixtures (exit 1 on drift)
+ *   node scripts/extraction-regression.js product-rdfa # only the named fixtures
+ *   node scripts/extraction-regression.js --update     # rewrite expected.json from current output
+ *   node scripts/extraction-regression.js --verbose    # keep pipeline logging
+ *
+ * A fixture is a directory with:
+ *   fixture.json  - { description, domain, url, extraction_method, content_type?, edited_input? }
+ *   input.*       - the saved page (input.html) or document (input.md, input.pdf, ...)
+ *   expected.json - golden output (written by --update)
+ *
+ * With edited_input (a later version of the page, e.g. "edited.html"), the
+ * input's facts are treated as stored and the edited page is re-ingested over
+ * them: the revision plan and the facts diff (GET /v1/facts/:domain/diff) are
+ * recorded under "revisions".
+ *
+ * A document the pipeline rejects (DocumentError, e.g. a malformed or hostile
+ * PDF) records { document_type, document_error } instead: the golden pins the
+ * rejection, which the API answers with 400.
+ *
+ * The database is stubbed: every query returns no rows, so the QA gate runs
+ * with the built-in standard policy and nothing is read or written.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const FIXTURE_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../fixtures/extraction");
+const MAX_REPORTED_DIFFERENCES = 25;
+
+const args = process.argv.slice(2);
+const update = args.includes("--update");
+const verbose = args.includes("--verbose");
+const only = args.filter(arg => !arg.startsWith("--"));
+
+// pg only connects on the first query, so a placeholder URL is enough to load src/db.js
+process.env.DATABASE_URL ||= "postgres://offline@127.0.0.1:1/offline";
+const { pool } = await import("../src/db.js");
+pool.query = async () => ({ rows: [] });
+pool.connect = async () => {
+  throw new Error("Database is stubbed in the extraction harness");
+};
+
+const { extractContentUniversal, buildPageFacts, planFactRevisions } = await import("../src/routes/ingest.js");
+const { diffFactSets } = await import("../src/routes/facts.js");
+const { detectDocumentType, documentToHtml, DocumentError } = await import("../src/documents.js");
+
+// The pipeline logs heavily; keep the harness output readable
+async function quietly(fn) {
+  if (verbose) return fn();
+  const saved = { log: console.log, warn: console.warn, info: console.info };
+  console.log = console.warn = console.info = () => {};
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, saved);
+  }
+}
+
+async function loadFixture(name) {
+  const dir = path.join(FIXTURE_DIR, name);
+  const config = JSON.parse(await fs.readFile(path.join(dir, "fixture.json"), "utf8"));
+  const inputFile = (await fs.readdir(dir)).find(file => file.startsWith("input."));
+  if (!inputFile) {
+    throw new Error(`${name}: no input.* file`);
+  }
+  let expected = null;
+  try {
+    expected = JSON.parse(await fs.readFile(path.join(dir, "expected.json"), "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+  const edited = config.edited_input ? await fs.readFile(path.join(dir, config.edited_input)) : null;
+  return { name, dir, config, inputFile, data: await fs.readFile(path.join(dir, inputFile)), edited, expected };
+}
+
+// Stored croutons row for a fact (as ingest.js writes it)
+function factRow(fact) {
+  return {
+    crouton_id: fact.fact_id.substring(0, 16),
+    slot_id: fact.slot_id || null,
+    fact_id: fact.fact_id,
+    previous_fact_id: fact.previous_fact_id || null,
+    revision: fact.revision || 1,
+    text: fact.triple?.object ?? fact.supporting_text,
+    retracted_at: null,
+  };
+}
+
+/**
+ * Re-ingest the edited page over the input's facts: which facts are revised,
+ * retracted or added, and how the facts diff reports it
+ */
+function reviseFacts(storedFacts, editedFacts) {
+  const storedRows = storedFacts.filter(fact => fact.fact_id).map(factRow);
+  const plan = planFactRevisions(storedRows, editedFacts);
+
+  const superseded = new Set([
+    ...plan.changed.map(({ row }) => row.crouton_id),
+    ...plan.retracted.map(row => row.crouton_id),
+  ]);
+  const before = new Map(storedRows.map(row => [row.crouton_id, row]));
+  const after = new Map(storedRows.filter(row => !superseded.has(row.crouton_id)).map(row => [row.crouton_id, row]));
+  for (const fact of editedFacts.filter(fact => fact.fact_id)) {
+    const row = factRow(fact);
+    if (!after.has(row.crouton_id)) after.set(row.crouton_id, row);
+  }
+
+  const describeRow = row => ({ fact_id: row.fact_id, revision: row.revision, text: row.text });
+  const diff = diffFactSets(before, after);
+  return {
+    plan: {
+      changed: plan.changed.map(({ row, superseded_by }) => ({ slot_id: row.slot_id, fact_id: row.fact_id, superseded_by })),
+      retracted: plan.retracted.map(row => row.fact_id),
+    },
+    diff: {
+      added: diff.added.map(describeRow),
+      removed: diff.removed.map(describeRow),
+      changed: diff.changed.map(change => ({
+        slot_id: change.slot_id,
+        before: describeRow(change.before),
+        after: { ...describeRow(change.after), previous_fact_id: change.after.previous_fact_id },
+      })),
+    },
+  };
+}
+
+/**
+ * Run extraction + PHASE B fact building and keep the stable, anchor-relevant
+ * parts of the output (derived enrichment text is left out)
+ */
+async function runFixture(fixture) {
+  const { domain, url, extraction_method: extractionMethod, content_type: contentType } = fixture.config;
+  const extract = (data, name) => quietly(async () => {
+    const documentType = detectDocumentType({ contentType, name, data });
+    const html = documentType === "html" ? data.toString("utf8") : documentToHtml(documentType, data).html;
+    const extracted = await extractContentUniversal(html, url, null, domain, extractionMethod, documentType);
+    return { documentType, content: extracted, ...buildPageFacts(domain, url, extracted) };
+  });
+
+  let page;
+  try {
+    page = await extract(fixture.data, fixture.inputFile);
+  } catch (error) {
+    if (!(error instanceof DocumentError)) throw error;
+    return {
+      document_type: detectDocumentType({ contentType, name: fixture.inputFile, data: fixture.data }),
+      document_error: error.message,
+    };
+  }
+  const { documentType, content, textExtractionFacts, structuredDataFacts } = page;
+
+  let revisions = null;
+  if (fixture.edited) {
+    const edited = await extract(fixture.edited, fixture.config.edited_input);
+    revisions = reviseFacts(
+      [...textExtractionFacts, ...structuredDataFacts],
+      [...edited.textExtractionFacts, ...edited.structuredDataFacts]
+    );
+  }
+  const report = content.qa_gate.quality_report;
+
+  return {
+    document_type: documentType,
+    title: content.title,
+    language: content.language,
+    language_source: content.language_source,
+    vertical: content.vertical?.vertical || null,
+    extraction_method: content.extraction_method,
+    extraction_text_hash: content.extraction_text_hash,
+    canonical_extracted_text: content.canonical_extracted_text,
+    structured_data_types: (content.structured_data || []).map(node => node["@type"] || null),
+    sections: content.sections.map(section => ({
+      section_id: section.section_id,
+      section_path: section.section_path,
+      heading_level: section.heading_level,
+      char_start: section.char_start,
+      char_end: section.char_end,
+      clean_text: section.clean_text,
+    })),
+    units: content.units.map(unit => ({
+      unit_id: unit.unit_id,
+      section_id: unit.section_id,
+      unit_type: unit.unit_type,
+      unit_grounding: unit.unit_grounding || null,
+      char_start: unit.char_start,
+      char_end: unit.char_end,
+      clean_text: unit.clean_text,
+      ...(unit.triple ? { triple: unit.triple } : {}),
+    })),
+    edges: content.edges.map(edge => ({
+      from_unit_id: edge.from_unit_id,
+      to_unit_id: edge.to_unit_id,
+      edge_type: edge.edge_type,
+      confidence: edge.confidence,
+    })),
+    facts: [...textExtractionFacts, ...structuredDataFacts].map(fact => ({
+      fact_id: fact.fact_id,
+      slot_id: fact.slot_id,
+      evidence_type: fact.evidence_type,
+      triple: fact.triple,
+      source_path: fact.source_path || null,
+      evidence_anchor: fact.evidence_anchor || null,
+    })),
+    qa_gate: {
+      passed: content.qa_gate.passed,
+      errors: report.errors || [],
+      warnings: report.warnings || [],
+      checks: report.checks,
+    },
+    ...(revisions ? { revisions } : {}),
+  };
+}
+
+function describe(value) {
+  const text = JSON.stringify(value);
+  return text === undefined ? "(missing)" : text.length > 160 ? `${text.slice(0, 157)}...` : text;
+}
+
+// Structural diff: [{ path, expected, actual }]
+function diffValues(expected, actual, at = "", differences = []) {
+  if (Array.isArray(expected) && Array.isArray(actual)) {
+    if (expected.length !== actual.length) {
+      differences.push({ path: `${at}.length`, expected: expected.length, actual: actual.length });
+    }
+    for (let i = 0; i < Math.max(expected.length, actual.length); i++) {
+      diffValues(expected[i], actual[i], `${at}[${i}]`, differences);
+    }
+  } else if (expected && actual && typeof expected === "object" && typeof actual === "object" &&
+      !Array.isArray(expected) && !Array.isArray(actual)) {
+    for (const key of new Set([...Object.keys(expected), ...Object.keys(actual)])) {
+      diffValues(expected[key], actual[key], at ? `${at}.${key}` : key, differences);
+    }
+  } else if (JSON.stringify(expected) !== JSON.stringify(actual)) {
+    differences.push({ path: at, expected, actual });
+  }
+  return differences;
+}
+
+async function main() {
+  const names = (await fs.readdir(FIXTURE_DIR, { withFileTypes: true }))
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .filter(name => only.length === 0 || only.includes(name))
+    .sort();
+  const unknown = only.filter(name => !names.includes(name));
+  if (unknown.length > 0) {
+    console.error(`Unknown fixture(s): ${unknown.join(", ")}`);
+    process.exit(1);
+  }
+
+  let failed = 0;
+  for (const name of names) {
+    const fixture = await loadFixture(name);
+    let actual;
+    try {
+      actual = await runFixture(fixture);
+    } catch (error) {
+      failed++;
+      console.log(`ERROR ${name}: ${error.stack || error.message}`);
+      continue;
+    }
+
+    if (update) {
+      await fs.writeFile(path.join(fixture.dir, "expected.json"), `${JSON.stringify(actual, null, 2)}\n`);
+      console.log(`UPDATED ${name}`);
+      continue;
+    }
+    if (!fixture.expected) {
+      failed++;
+      console.log(`FAIL ${name}: no expected.json (run with --update to create it)`);
+      continue;
+    }
+
+    const differences = diffValues(fixture.expected, actual);
+    if (differences.length === 0) {
+      console.log(`PASS ${name}`);
+      continue;
+    }
+    failed++;
+    console.log(`FAIL ${name} (${differences.length} difference${differences.length === 1 ? "" : "s"})`);
+    if (fixture.expected.extraction_text_hash !== actual.extraction_text_hash) {
+      console.log("  extraction_text_hash changed - stored evidence anchors for this page would no longer verify");
+    }
+    for (const difference of differences.slice(0, MAX_REPORTED_DIFFERENCES)) {
+      console.log(`  ${difference.path}: ${describe(difference.expected)} -> ${describe(difference.actual)}`);
+    }
+    if (differences.length > MAX_REPORTED_DIFFERENCES) {
+      console.log(`  ... ${differences.length - MAX_REPORTED_DIFFERENCES} more`);
+    }
+  }
+
+  if (update) {
+    console.log(`\n${names.length} golden file(s) written`);
+  } else {
+    console.log(`\n${names.length} fixture(s): ${names.length - failed} passed, ${failed} failed`);
+    if (failed > 0) {
+      console.log("If the changes are intended, accept them with --update and review the expected.json diff");
+    }
+  }
+  // The stubbed pool never connects, but ingest.js imports hold no open handles either way
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error("Extraction harness failed:", error);
+  process.exit(1);
+});
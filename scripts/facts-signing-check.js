@@ -0,0 +1,132 @@
+/* jshint node: true, esversion: 11 */
+/**
+ * Signed facts round trip (offline)
+ *
+ * Serves one page of GET /v1/facts/:domain.ndjson from stubbed croutons rows,
+ * then checks what a mirror would: the X-Facts-Merkle-Root covers exactly the
+ * fact_ids in the body, every fact's proof from GET /v1/facts/:domain/proof
+ * verifies against that root (verifyInclusion), and the root's signature
+ * verifies with the key published at /.well-known/croutons-facts-keys.json
+ * (verifyRootSignature). A tampered fact_id and a tampered root must fail.
+ *
+ * Usage:
+ *   node scripts/facts-signing-check.js
+ *
+ * A throwaway Ed25519 key is generated when FACTS_SIGNING_KEY is unset; the
+ * database is stubbed, so nothing is read or written.
+ */
+
+import crypto from "crypto";
+
+if (!process.env.FACTS_SIGNING_KEY) {
+  const { privateKey } = crypto.generateKeyPairSync("ed25519");
+  process.env.FACTS_SIGNING_KEY = privateKey.export({ format: "der", type: "pkcs8" }).toString("base64");
+}
+
+// pg only connects on the first query, so a placeholder URL is enough to load src/db.js
+process.env.DATABASE_URL ||= "postgres://offline@127.0.0.1:1/offline";
+const { pool } = await import("../src/db.js");
+const { default: express } = await import("express");
+const { getFactsStream, getFactProof, getFactSigningKeys } = await import("../src/routes/facts.js");
+const { verifyInclusion, verifyRootSignature, merkleRoot, rootMessage } = await import("../src/factSigning.js");
+
+const DOMAIN = "shop.widgetco.example";
+const SOURCE_URL = `https://${DOMAIN}/products/widget-pro`;
+
+// Stored rows in feed order; the last is a legacy row without a stored fact_id
+const ROWS = [
+  { fact_id: "3f1c9a7be2d04c55", slot_id: "a1b2c3d4e5f60718", text: "Widget Pro weighs 3 kg",
+    triple: { subject: `https://${DOMAIN}/#org`, predicate: "mentions", object: "Widget Pro weighs 3 kg" } },
+  { fact_id: "77d0e4c1a9b35f20", slot_id: "0918f7e6d5c4b3a2", text: "29.99",
+    triple: { subject: `https://${DOMAIN}/#product`, predicate: "price", object: "29.99" } },
+  { fact_id: null, slot_id: null, text: "Ships in two business days", triple: null },
+].map((row, i) => ({
+  ...row,
+  ingest_seq: String(i + 1),
+  crouton_id: `c${i + 1}`,
+  source_url: SOURCE_URL,
+  confidence: 0.9,
+  created_at: new Date("2026-01-01T00:00:00Z"),
+  verified_at: null,
+  previous_fact_id: null,
+  revision: 1,
+  supporting_text: row.text,
+  evidence_anchor: null,
+  extraction_text_hash: null,
+  evidence_type: row.triple ? "text_extraction" : "unknown",
+  source_path: null,
+  language: "en",
+  retracted_at: null,
+}));
+
+// Answers the feed's page-key query and its cursor reads from ROWS
+let fetched = false;
+async function query(sql) {
+  if (/ AS txid\b/.test(sql)) {
+    return { rows: [{ txid: "1000" }] };
+  }
+  if (/ AS k0\b/.test(sql)) {
+    return { rows: ROWS.map(row => ({ ...row, k0: row.ingest_seq, version: "" })) };
+  }
+  if (/^\s*FETCH\b/.test(sql)) {
+    const rows = fetched ? [] : ROWS;
+    fetched = true;
+    return { rows };
+  }
+  return { rows: [] };
+}
+pool.query = query;
+pool.connect = async () => ({ query, release() {} });
+
+const app = express();
+app.get("/v1/facts/:domain/proof", getFactProof);
+app.get("/.well-known/croutons-facts-keys.json", getFactSigningKeys);
+app.get("/v1/facts/:domain.ndjson", getFactsStream);
+
+const failures = [];
+function check(label, ok) {
+  console.log(`${ok ? "PASS" : "FAIL"} ${label}`);
+  if (!ok) failures.push(label);
+}
+
+const server = app.listen(0);
+const base = `http://127.0.0.1:${server.address().port}`;
+try {
+  const feed = await fetch(`${base}/v1/facts/${DOMAIN}.ndjson`);
+  const root = feed.headers.get("x-facts-merkle-root");
+  const treeSize = Number(feed.headers.get("x-facts-tree-size"));
+  const signature = feed.headers.get("x-facts-signature");
+  const keyId = feed.headers.get("x-facts-key-id");
+  const facts = (await feed.text()).split("\n").filter(Boolean).map(line => JSON.parse(line));
+  const factIds = facts.map(fact => fact.fact_id);
+
+  check("feed page is signed", feed.status === 200 && Boolean(root && signature && keyId));
+  check("every row is written with a fact_id", facts.length === ROWS.length && factIds.every(Boolean));
+  check("root and tree size cover the body's fact_ids", merkleRoot(factIds) === root && treeSize === factIds.length);
+
+  const { keys } = await (await fetch(`${base}/.well-known/croutons-facts-keys.json`)).json();
+  const jwk = keys.find(key => key.kid === keyId);
+  const message = rootMessage({ domain: DOMAIN, treeSize, root });
+  check("signature verifies with the published key", Boolean(jwk) && verifyRootSignature(message, signature, jwk));
+  check("signature does not verify for another root",
+    Boolean(jwk) && !verifyRootSignature(rootMessage({ domain: DOMAIN, treeSize, root: merkleRoot(["forged"]) }), signature, jwk));
+
+  for (const factId of factIds) {
+    const response = await fetch(`${base}/v1/facts/${DOMAIN}/proof?fact_id=${factId}&root=${root}`);
+    const proof = await response.json();
+    check(`proof for ${factId} verifies against the page root`,
+      response.status === 200 && proof.root === root && verifyInclusion(factId, proof, root) &&
+      proof.signed_message === message && verifyRootSignature(proof.signed_message, proof.signature, jwk));
+    check(`proof for ${factId} rejects another fact_id`, !verifyInclusion(`${factId}0`, proof, root));
+  }
+
+  const missing = await fetch(`${base}/v1/facts/${DOMAIN}/proof?fact_id=0000000000000000`);
+  check("fact not on the page has no proof (404)", missing.status === 404);
+  const stale = await fetch(`${base}/v1/facts/${DOMAIN}/proof?fact_id=${factIds[0]}&root=${merkleRoot(["forged"])}`);
+  check("proof against another root is refused (409)", stale.status === 409);
+} finally {
+  server.close();
+}
+
+console.log(`\n${failures.length === 0 ? "All checks passed" : `${failures.length} check(s) failed`}`);
+process.exit(failures.length === 0 ? 0 : 1);
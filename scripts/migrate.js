@@ -52,7 +52,26 @@ const pool = new Pool({
       "018_fix_croutons_schema.sql",
       "019_fix_croutons_uniqueness.sql",
       "020_add_evidence_type.sql",
-      "021_add_anchor_missing.sql"
+      "021_add_anchor_missing.sql",
+      "022_add_sitemap_discovery.sql",
+      "023_add_snapshot_validators.sql",
+      "024_add_croutons_history.sql",
+      "025_add_fact_retraction.sql",
+      "026_add_domain_extraction_method.sql",
+      "027_add_reverification.sql",
+      "028_add_snapshot_html_variant.sql",
+      "029_add_language.sql",
+      "030_add_url_identity.sql",
+      "031_add_qa_policies.sql",
+      "032_add_snapshot_fetch_method.sql",
+      "033_add_snapshot_document_type.sql",
+      "034_add_content_search.sql",
+      "035_add_unit_embeddings.sql",
+      "036_add_hop_graph_edges.sql",
+      "038_add_croutons_changed_at.sql",
+      "039_add_croutons_ingest_seq.sql",
+      "040_add_snapshot_structured_data_hash.sql",
+      "041_add_change_txid.sql"
     ];
 
     let appliedCount = 0;
@@ -0,0 +1,47 @@
+/* jshint node: true, esversion: 11 */
+/**
+ * Local prerender stand-in
+ *
+ * Serves saved, already-rendered HTML with the same contract as the external
+ * prerender service (GET /?url=<page url> -> text/html), so render: "prerender"
+ * ingestion can be exercised without a headless browser.
+ *
+ * Usage:
+ *   PRERENDER_FIXTURE_DIR=./fixtures/prerender node scripts/prerender-fixture-server.js
+ *   PRENDER_SERVICE_URL=http://localhost:3900/ npm start
+ *
+ * Fixtures live at <dir>/<host>/<path>.html (see fixturePathForUrl).
+ */
+
+import http from "http";
+import { fixtureRenderer } from "../src/renderers.js";
+
+const PORT = parseInt(process.env.PRERENDER_FIXTURE_PORT || "3900", 10);
+
+if (!process.env.PRERENDER_FIXTURE_DIR) {
+  console.error("PRERENDER_FIXTURE_DIR is required");
+  process.exit(1);
+}
+
+const server = http.createServer(async (req, res) => {
+  const pageUrl = new URL(req.url, `http://localhost:${PORT}`).searchParams.get("url");
+  if (!pageUrl) {
+    res.writeHead(400, { "Content-Type": "text/plain" });
+    return res.end("url query parameter required");
+  }
+
+  try {
+    const html = await fixtureRenderer.render(pageUrl);
+    res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+    res.end(html);
+    console.log(`[prerender-fixtures] 200 ${pageUrl}`);
+  } catch (error) {
+    res.writeHead(404, { "Content-Type": "text/plain" });
+    res.end(error.message);
+    console.log(`[prerender-fixtures] 404 ${pageUrl}: ${error.message}`);
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`[prerender-fixtures] Serving ${process.env.PRERENDER_FIXTURE_DIR} on http://localhost:${PORT}/?url=`);
+});
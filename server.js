@@ -76,6 +76,12 @@ const corsOptions = process.env.NODE_ENV === "production"
     }
   : { origin: true, credentials: true };
 app.use(cors(corsOptions));
+// Ingest bodies carry whole pages as `html` or base64 `document`; allow them the
+// upload route's limit plus base64 overhead (25mb encodes to ~34mb).
+// Registered ahead of the global parser, which then skips the parsed body.
+const MAX_UPLOAD_BYTES = process.env.MAX_UPLOAD_BYTES || "25mb";
+const MAX_INGEST_JSON_BYTES = process.env.MAX_INGEST_JSON_BYTES || "34mb";
+app.post(["/v1/ingest", "/v1/ingest/preview"], express.json({ limit: MAX_INGEST_JSON_BYTES }));
 app.use(express.json({ limit: "1mb" }));
 
 // Verification routes (for Croutons domain verification)
@@ -88,8 +94,13 @@ import { auditPage } from "./src/routes/audit.js";
 app.post('/v1/audit', rateLimit, auditPage);
 
 // Ingestion routes
-import { ingestUrl } from "./src/routes/ingest.js";
+import { ingestUrl, ingestBatch, previewIngest, ingestUpload, resolveIngestTargets, MAX_BATCH_URLS } from "./src/routes/ingest.js";
 app.post('/v1/ingest', ingestUrl);
+app.post('/v1/ingest/preview', rateLimit, previewIngest);
+app.post('/v1/ingest/upload', rateLimit,
+  express.raw({ type: 'multipart/form-data', limit: MAX_UPLOAD_BYTES }),
+  ingestUpload);
+app.post('/v1/ingest/batch', rateLimit, ingestBatch);
 
 // Discovery routes (webhook-first discovery system)
 import { discoverPage } from "./src/routes/discover.js";
@@ -100,14 +111,39 @@ import { runScanner } from "./src/routes/scanner.js";
 app.get('/v1/scanner/run', runScanner);
 app.post('/v1/scanner/run', runScanner);
 
+// Re-verification routes (scheduled extraction replay + anchor checks)
+import { runReverification } from "./src/routes/reverify.js";
+app.get('/v1/reverify/run', runReverification);
+app.post('/v1/reverify/run', runReverification);
+
+// QA gate policies (blocking / warning checks per domain and vertical)
+import { listQAPolicies } from "./src/routes/qaPolicies.js";
+app.get('/v1/qa-policies', listQAPolicies);
+
 // Facts stream endpoint (E1)
-import { getFactsStream, getAllFactsStream } from "./src/routes/facts.js";
+import { getFactsStream, getAllFactsStream, getFactHistory, getFactsDiff, getFactProof, getFactSigningKeys } from "./src/routes/facts.js";
+import { requireSigningKey } from "./src/factSigning.js";
+app.get('/v1/facts/:domain/history', getFactHistory);
+app.get('/v1/facts/:domain/diff', getFactsDiff);
+// Signed snapshot root and inclusion proofs; public keys for verifying signatures
+app.get('/v1/facts/:domain/proof', getFactProof);
+app.get('/.well-known/croutons-facts-keys.json', getFactSigningKeys);
 app.get('/v1/facts/:domain.ndjson', getFactsStream);
+// Other export formats by extension, or negotiated from Accept
+app.get('/v1/facts/:domain.:format(jsonld|nt|ttl|csv|json)', getFactsStream);
+app.get('/v1/facts/:domain', getFactsStream);
 app.get('/v1/facts.ndjson', getAllFactsStream);
 
+// Unit-level search over ingested content
+import { searchUnits, searchSemantic } from "./src/routes/search.js";
+app.get('/v1/search', searchUnits);
+app.get('/v1/search/semantic', searchSemantic);
+
 // Entity graph endpoint (C2)
-import { getEntityGraph } from "./src/routes/graph.js";
+import { getEntityGraph, getHopGraphEdges, getHopGraphTraversal } from "./src/routes/graph.js";
 app.get('/v1/graph/:domain.jsonld', getEntityGraph);
+app.get('/v1/graph/:domain/edges', getHopGraphEdges);
+app.get('/v1/graph/:domain/hop', getHopGraphTraversal);
 
 // Status endpoint (Protocol v1.1)
 import { getStatus } from "./src/routes/status.js";
@@ -664,7 +700,7 @@ app.post("/v1/run.ndjson", async (req, res) => {
     const {
       precog = "schema",
       kb = precog === "schema" ? "schema-foundation" : "general",
-      content_source = "inline",
+      content_source = precog === "ingest" ? "batch" : "inline",
       content,
       url,
       type,
@@ -678,6 +714,9 @@ app.post("/v1/run.ndjson", async (req, res) => {
     if (content_source === "url" && !url) {
       return res.status(400).json({ ok: false, error: "url is required when content_source is 'url'" });
     }
+    if (content_source === "batch" && (!Array.isArray(req.body.urls) || req.body.urls.length === 0)) {
+      return res.status(400).json({ ok: false, error: "urls is required when content_source is 'batch'" });
+    }
 
     const ctx = {
       kb: kb || (precog === "schema" ? "schema-foundation" : precog.startsWith("home") ? "home-foundation" : "general"),
@@ -700,8 +739,23 @@ app.post("/v1/run.ndjson", async (req, res) => {
     if (precog === "bkk_massage") {
       if (req.body.region) ctx.region = req.body.region; // District name
     }
+    // Batch ingestion precog specific context
+    if (precog === "ingest") {
+      const { targets, offsite } = resolveIngestTargets(req.body.domain, req.body.urls);
+      if (offsite.length > 0) {
+        return res.status(400).json({ ok: false, error: `URLs outside ${req.body.domain}`, offsite });
+      }
+      if (targets.length === 0) {
+        return res.status(400).json({ ok: false, error: "No valid URLs provided" });
+      }
+      if (targets.length > MAX_BATCH_URLS) {
+        return res.status(400).json({ ok: false, error: `Too many URLs: ${targets.length} (max ${MAX_BATCH_URLS} per batch)` });
+      }
+      ctx.domain = req.body.domain || null;
+      ctx.targets = targets;
+    }
 
-    const jobTask = task || (precog === "schema" ? "validate" : `Run ${precog}`);
+    const jobTask = task || (precog === "schema" ? "validate" : precog === "ingest" ? "batch" : `Run ${precog}`);
 
     // Create job
     const job = await insertJob(precog, jobTask, ctx);
@@ -1004,6 +1058,9 @@ async function startServer() {
   console.log("[startup] NODE_ENV:", process.env.NODE_ENV || "development");
   console.log("[startup] PORT:", process.env.PORT || "8080");
 
+  // Fact signing key (required: every facts feed page is signed)
+  console.log("[startup] Facts signing key:", requireSigningKey());
+
   // Test database (required)
   const dbOk = await testDatabaseConnection();
   if (!dbOk) {
@@ -0,0 +1,844 @@
+/* jshint node: true, esversion: 11 */
+/**
+ * Non-HTML source documents: PDF, DOCX, markdown and plain text.
+ *
+ * Each converter reduces a document to its text blocks (headings and
+ * paragraphs) and renders them as minimal HTML, so documents go through the
+ * same extraction methods as web pages and end up in the same
+ * sections / canonical_extracted_text model (with the same evidence anchors).
+ * The generated HTML is what html_snapshots stores, so replay and
+ * reverification work unchanged; html_snapshots.document_type records the
+ * original type.
+ *
+ * The PDF reader is deliberately small: it reads page content streams
+ * (uncompressed or FlateDecode, including object streams), decodes text with
+ * ToUnicode CMaps or WinAnsi, and infers headings from font size. Scanned
+ * (image-only) PDFs yield no text.
+ */
+
+import zlib from "zlib";
+import { readZipEntries, UploadError } from "./uploads.js";
+
+export const DOCUMENT_TYPES = ["html", "pdf", "docx", "markdown", "text"];
+
+const DOCX_CONTENT_TYPE = "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+const CONTENT_TYPES = {
+  "text/html": "html",
+  "application/xhtml+xml": "html",
+  "application/pdf": "pdf",
+  [DOCX_CONTENT_TYPE]: "docx",
+  "text/markdown": "markdown",
+  "text/x-markdown": "markdown",
+  "text/plain": "text",
+};
+const EXTENSIONS = {
+  html: "html", htm: "html", xhtml: "html",
+  pdf: "pdf",
+  docx: "docx",
+  md: "markdown", markdown: "markdown",
+  txt: "text", text: "text",
+};
+
+export class DocumentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "DocumentError";
+  }
+}
+
+function extensionType(name) {
+  if (!name) return null;
+  let pathname = String(name);
+  try {
+    pathname = new URL(pathname).pathname;
+  } catch {
+    // Not a URL - a file name or archive path
+  }
+  const extension = /\.([a-z0-9]+)$/i.exec(pathname)?.[1]?.toLowerCase();
+  return extension ? EXTENSIONS[extension] || null : null;
+}
+
+/**
+ * Decide a source's document type from its bytes, declared content type and
+ * URL / file name (in that order of trust). Returns one of DOCUMENT_TYPES, or
+ * null for a content type that is not a document we read (images, archives...).
+ * Anything undeclared and unrecognized is treated as HTML, as before.
+ */
+export function detectDocumentType({ contentType, name, data } = {}) {
+  if (data && data.length >= 5 && data.slice(0, 5).toString("latin1") === "%PDF-") {
+    return "pdf";
+  }
+  const byName = extensionType(name);
+  const isZip = data && data.length >= 4 && data.readUInt32LE(0) === 0x04034b50;
+  if (isZip && (byName === "docx" || (contentType || "").toLowerCase().startsWith(DOCX_CONTENT_TYPE))) {
+    return "docx";
+  }
+
+  const mediaType = (contentType || "").split(";")[0].trim().toLowerCase();
+  if (mediaType && CONTENT_TYPES[mediaType]) {
+    // Servers often send markdown as text/plain
+    return CONTENT_TYPES[mediaType] === "text" && byName === "markdown" ? "markdown" : CONTENT_TYPES[mediaType];
+  }
+  if (byName) return byName;
+  if (!mediaType || mediaType === "application/octet-stream" || mediaType.startsWith("text/")) {
+    return "html";
+  }
+  return null;
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+/**
+ * Render text blocks ([{ type: "heading", level, text } | { type: "paragraph", text }])
+ * as a minimal HTML document
+ */
+export function blocksToHtml(blocks, title = null) {
+  const body = blocks
+    .map(block => ({ ...block, text: block.text.replace(/\s+/g, " ").trim() }))
+    .filter(block => block.text)
+    .map(block => (block.type === "heading"
+      ? `<h${block.level}>${escapeHtml(block.text)}</h${block.level}>`
+      : `<p>${escapeHtml(block.text)}</p>`))
+    .join("\n");
+  const documentTitle = title || blocks.find(block => block.type === "heading")?.text || "";
+  return `<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n<title>${escapeHtml(documentTitle.trim())}</title>\n</head>\n<body>\n<main>\n${body}\n</main>\n</body>\n</html>\n`;
+}
+
+// ---------------------------------------------------------------------------
+// Markdown and plain text
+// ---------------------------------------------------------------------------
+
+function stripInlineMarkdown(text) {
+  return text
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+    .replace(/<[^>]+>/g, "")
+    .replace(/(\*\*|__)(.+?)\1/g, "$2")
+    .replace(/(\*|_)(\S(?:.*?\S)?)\1/g, "$2")
+    .replace(/`([^`]+)`/g, "$1");
+}
+
+export function markdownToBlocks(source) {
+  const blocks = [];
+  let paragraph = [];
+  let inFence = false;
+  const flush = () => {
+    if (paragraph.length) blocks.push({ type: "paragraph", text: stripInlineMarkdown(paragraph.join(" ")) });
+    paragraph = [];
+  };
+
+  // Front matter carries metadata, not content
+  const lines = source.replace(/^---\r?\n[\s\S]*?\r?\n---\r?\n/, "").split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (/^\s*(```|~~~)/.test(line)) {
+      flush();
+      inFence = !inFence;
+      continue;
+    }
+    if (inFence) {
+      if (line.trim()) paragraph.push(line.trim());
+      continue;
+    }
+
+    const atx = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+    const setext = line.trim() && lines[i + 1] !== undefined && /^\s{0,3}(=+|-+)\s*$/.exec(lines[i + 1]);
+    if (atx) {
+      flush();
+      blocks.push({ type: "heading", level: atx[1].length, text: stripInlineMarkdown(atx[2]) });
+    } else if (setext && paragraph.length === 0) {
+      blocks.push({ type: "heading", level: setext[1][0] === "=" ? 1 : 2, text: stripInlineMarkdown(line.trim()) });
+      i++;
+    } else if (!line.trim() || /^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flush();
+    } else if (/^\s*([-*+]|\d+[.)])\s+/.test(line)) {
+      // Each list item is its own block
+      flush();
+      paragraph.push(line.replace(/^\s*([-*+]|\d+[.)])\s+/, ""));
+    } else {
+      paragraph.push(line.replace(/^\s*>\s?/, "").trim());
+    }
+  }
+  flush();
+  return blocks;
+}
+
+export function textToBlocks(source) {
+  return source.split(/\r?\n\s*\r?\n/)
+    .map(chunk => chunk.replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+    .map(text => ({ type: "paragraph", text }));
+}
+
+// ---------------------------------------------------------------------------
+// DOCX (Office Open XML)
+// ---------------------------------------------------------------------------
+
+// Numeric character references past U+10FFFF are dropped
+function codePointText(codePoint) {
+  return codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : "";
+}
+
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => codePointText(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => codePointText(parseInt(dec, 10)))
+    .replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, "\"").replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+function docxHeadingLevel(styleId, styleNames) {
+  const name = (styleNames.get(styleId) || styleId || "").toLowerCase().replace(/\s+/g, "");
+  if (name === "title") return 1;
+  const heading = /^heading(\d)$/.exec(name);
+  return heading ? Math.min(parseInt(heading[1], 10), 6) : null;
+}
+
+export function docxToBlocks(data) {
+  let entries;
+  try {
+    entries = new Map(readZipEntries(data).map(entry => [entry.path, entry.data]));
+  } catch (error) {
+    if (!(error instanceof UploadError)) throw error;
+    throw new DocumentError(`Not a DOCX document (${error.message})`);
+  }
+  const documentXml = entries.get("word/document.xml");
+  if (!documentXml) {
+    throw new DocumentError("Not a DOCX document (word/document.xml missing)");
+  }
+
+  // Custom style ids ("Heading1", "berschrift1", ...) map to their display names
+  const styleNames = new Map();
+  const stylesXml = entries.get("word/styles.xml")?.toString("utf8") || "";
+  for (const style of stylesXml.match(/<w:style\b[\s\S]*?<\/w:style>/g) || []) {
+    const id = /w:styleId="([^"]*)"/.exec(style)?.[1];
+    const name = /<w:name w:val="([^"]*)"/.exec(style)?.[1];
+    if (id && name) styleNames.set(id, name);
+  }
+
+  const blocks = [];
+  const xml = documentXml.toString("utf8");
+  for (const paragraph of xml.match(/<w:p\b[\s\S]*?<\/w:p>/g) || []) {
+    const text = decodeXmlEntities(
+      (paragraph.match(/<w:t\b[^>]*>[^<]*<\/w:t>|<w:tab\/>|<w:br\/>/g) || [])
+        .map(run => (run.startsWith("<w:t") && !run.startsWith("<w:tab") ? run.replace(/<[^>]+>/g, "") : " "))
+        .join("")
+    );
+    if (!text.trim()) continue;
+    const styleId = /<w:pStyle w:val="([^"]*)"/.exec(paragraph)?.[1];
+    const outline = /<w:outlineLvl w:val="(\d)"/.exec(paragraph)?.[1];
+    const level = docxHeadingLevel(styleId, styleNames) ?? (outline !== undefined ? Math.min(parseInt(outline, 10) + 1, 6) : null);
+    blocks.push(level ? { type: "heading", level, text } : { type: "paragraph", text });
+  }
+
+  const coreXml = entries.get("docProps/core.xml")?.toString("utf8") || "";
+  const title = /<dc:title>([^<]*)<\/dc:title>/.exec(coreXml)?.[1];
+  return { blocks, title: title ? decodeXmlEntities(title).trim() || null : null };
+}
+
+// ---------------------------------------------------------------------------
+// PDF
+// ---------------------------------------------------------------------------
+
+const MAX_PDF_PAGES = parseInt(process.env.MAX_PDF_PAGES || "500", 10);
+// Total inflated size of a PDF's streams (the zip entry cap of src/uploads.js)
+const MAX_PDF_INFLATED_BYTES = parseInt(process.env.MAX_PDF_INFLATED_BYTES || String(50 * 1024 * 1024), 10);
+
+// WinAnsiEncoding differs from Latin-1 in 0x80-0x9F
+const WIN_ANSI = {
+  0x80: "€", 0x82: "‚", 0x83: "ƒ", 0x84: "„", 0x85: "…", 0x86: "†",
+  0x87: "‡", 0x88: "ˆ", 0x89: "‰", 0x8a: "Š", 0x8b: "‹", 0x8c: "Œ",
+  0x8e: "Ž", 0x91: "‘", 0x92: "’", 0x93: "“", 0x94: "”", 0x95: "•",
+  0x96: "–", 0x97: "—", 0x98: "˜", 0x99: "™", 0x9a: "š", 0x9b: "›",
+  0x9c: "œ", 0x9e: "ž", 0x9f: "Ÿ",
+};
+
+// Inflate within the document's remaining budget ({ remaining } bytes, shared by all streams)
+function inflateWithin(data, budget, options = {}) {
+  let inflated;
+  try {
+    inflated = zlib.inflateSync(data, { ...options, maxOutputLength: Math.max(budget.remaining, 1) });
+  } catch (error) {
+    if (error.code === "ERR_BUFFER_TOO_LARGE") {
+      throw new DocumentError(`PDF streams inflate beyond ${MAX_PDF_INFLATED_BYTES} bytes`);
+    }
+    throw error;
+  }
+  budget.remaining -= inflated.length;
+  if (budget.remaining < 0) {
+    throw new DocumentError(`PDF streams inflate beyond ${MAX_PDF_INFLATED_BYTES} bytes`);
+  }
+  return inflated;
+}
+
+function decodeStream(dict, raw, budget) {
+  const filters = (/\/Filter\s*(\[[^\]]*\]|\/\w+)/.exec(dict)?.[1] || "").match(/\/\w+/g) || [];
+  let data = raw;
+  for (const filter of filters) {
+    if (filter !== "/FlateDecode" && filter !== "/Fl") return null;
+    try {
+      data = inflateWithin(data, budget);
+    } catch (error) {
+      if (error instanceof DocumentError) throw error;
+      try {
+        // Some writers leave trailing garbage after the deflate data
+        data = inflateWithin(data, budget, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+      } catch (retryError) {
+        if (retryError instanceof DocumentError) throw retryError;
+        return null;
+      }
+    }
+  }
+  return data;
+}
+
+/**
+ * Index every object in the file (and in object streams) as { dict, stream }.
+ * Objects are found by scanning rather than via the xref table, which also
+ * copes with incrementally updated and slightly damaged files.
+ */
+function readPdfObjects(buffer, budget) {
+  const source = buffer.toString("latin1");
+  const objects = new Map();
+  const objectRegex = /(\d+)\s+\d+\s+obj\b/g;
+  let match;
+  while ((match = objectRegex.exec(source)) !== null) {
+    const start = match.index + match[0].length;
+    let end = source.indexOf("endobj", start);
+    if (end === -1) end = source.length;
+    let dict = source.slice(start, end);
+    let stream = null;
+
+    const streamMatch = /\bstream\r?\n/.exec(dict);
+    if (streamMatch) {
+      dict = dict.slice(0, streamMatch.index);
+      const dataStart = start + streamMatch.index + streamMatch[0].length;
+      const length = /\/Length\s+(\d+)(?!\s+\d+\s+R)/.exec(dict);
+      let dataEnd = length ? dataStart + parseInt(length[1], 10) : source.indexOf("endstream", dataStart);
+      if (dataEnd < dataStart || source.slice(dataEnd, dataEnd + 12).indexOf("endstream") === -1) {
+        dataEnd = source.indexOf("endstream", dataStart);
+        if (dataEnd === -1) dataEnd = end;
+        while (dataEnd > dataStart && (source[dataEnd - 1] === "\n" || source[dataEnd - 1] === "\r")) dataEnd--;
+      }
+      stream = buffer.slice(dataStart, dataEnd);
+      end = Math.max(end, source.indexOf("endobj", dataEnd));
+    }
+
+    objects.set(match[1], { dict, stream });
+    objectRegex.lastIndex = end === -1 ? source.length : end;
+  }
+
+  // Compressed object streams (PDF 1.5+): "objnum offset" pairs, then the objects
+  for (const object of [...objects.values()]) {
+    if (!/\/Type\s*\/ObjStm\b/.test(object.dict) || !object.stream) continue;
+    const data = decodeStream(object.dict, object.stream, budget);
+    if (!data) continue;
+    const count = parseInt(/\/N\s+(\d+)/.exec(object.dict)?.[1] || "0", 10);
+    const first = parseInt(/\/First\s+(\d+)/.exec(object.dict)?.[1] || "0", 10);
+    const text = data.toString("latin1");
+    const header = text.slice(0, first).trim().split(/\s+/).map(Number);
+    for (let i = 0; i < count; i++) {
+      const number = header[i * 2];
+      const offset = first + header[i * 2 + 1];
+      const next = i + 1 < count ? first + header[(i + 1) * 2 + 1] : text.length;
+      if (!objects.has(String(number))) {
+        objects.set(String(number), { dict: text.slice(offset, next), stream: null });
+      }
+    }
+  }
+
+  return objects;
+}
+
+function keyPattern(key) {
+  return new RegExp(`/${key}(?![A-Za-z0-9])\\s*`, "g");
+}
+
+function balancedDict(text, start) {
+  let depth = 0;
+  for (let i = start; i < text.length - 1; i++) {
+    if (text[i] === "<" && text[i + 1] === "<") {
+      depth++;
+      i++;
+    } else if (text[i] === ">" && text[i + 1] === ">") {
+      depth--;
+      i++;
+      if (depth === 0) return text.slice(start + 2, i - 1);
+    }
+  }
+  return text.slice(start + 2);
+}
+
+/**
+ * Read a dictionary entry: an inline << >> dictionary is returned as text,
+ * an indirect reference is resolved to the referenced object's dictionary
+ */
+function dictEntry(objects, dict, key) {
+  const pattern = keyPattern(key);
+  const match = pattern.exec(dict);
+  if (!match) return null;
+  const rest = dict.slice(pattern.lastIndex);
+  if (rest.startsWith("<<")) return balancedDict(rest, 0);
+  const ref = /^(\d+)\s+\d+\s+R/.exec(rest);
+  if (ref) return objects.get(ref[1])?.dict ?? null;
+  return null;
+}
+
+function refEntry(dict, key) {
+  const pattern = keyPattern(key);
+  const match = pattern.exec(dict);
+  if (!match) return null;
+  return /^(\d+)\s+\d+\s+R/.exec(dict.slice(pattern.lastIndex))?.[1] || null;
+}
+
+function refList(objects, dict, key) {
+  const pattern = keyPattern(key);
+  if (!pattern.exec(dict)) return [];
+  let rest = dict.slice(pattern.lastIndex);
+  const single = /^(\d+)\s+\d+\s+R/.exec(rest);
+  if (single) {
+    // An indirect array, or a single object
+    const target = objects.get(single[1]);
+    if (target && !target.stream && /^\s*\[/.test(target.dict)) {
+      rest = target.dict.trim();
+    } else {
+      return [single[1]];
+    }
+  }
+  if (!rest.startsWith("[")) return [];
+  const array = rest.slice(1, rest.indexOf("]"));
+  return [...array.matchAll(/(\d+)\s+\d+\s+R/g)].map(ref => ref[1]);
+}
+
+function hexToBytes(hex) {
+  const clean = hex.replace(/[^0-9a-f]/gi, "");
+  const padded = clean.length % 2 ? `${clean}0` : clean;
+  return Buffer.from(padded, "hex");
+}
+
+function utf16be(bytes) {
+  let text = "";
+  for (let i = 0; i + 1 < bytes.length; i += 2) {
+    text += String.fromCharCode(bytes.readUInt16BE(i));
+  }
+  return text;
+}
+
+/**
+ * Parse a ToUnicode CMap into { codeBytes, map: Map<code, string> }
+ */
+function parseToUnicode(cmap) {
+  const map = new Map();
+  const codespace = /begincodespacerange\s*<([0-9a-fA-F]+)>/.exec(cmap);
+  // CMap codes are at most 4 bytes; anything wider is malformed
+  const codeBytes = codespace ? Math.min(4, Math.max(1, Math.ceil(codespace[1].length / 2))) : 2;
+
+  for (const section of cmap.match(/beginbfchar([\s\S]*?)endbfchar/g) || []) {
+    for (const pair of section.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+      map.set(parseInt(pair[1], 16), utf16be(hexToBytes(pair[2])));
+    }
+  }
+  for (const section of cmap.match(/beginbfrange([\s\S]*?)endbfrange/g) || []) {
+    for (const range of section.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g)) {
+      const low = parseInt(range[1], 16);
+      const high = Math.min(parseInt(range[2], 16), low + 0xffff);
+      if (range[3].startsWith("[")) {
+        const targets = [...range[3].matchAll(/<([0-9a-fA-F]*)>/g)];
+        targets.forEach((target, i) => map.set(low + i, utf16be(hexToBytes(target[1]))));
+      } else {
+        const base = hexToBytes(range[3].slice(1, -1));
+        // Destinations are UTF-16BE: shorter ones are malformed and skipped
+        if (base.length < 2) continue;
+        for (let code = low; code <= high; code++) {
+          const target = Buffer.from(base);
+          target.writeUInt16BE((target.readUInt16BE(target.length - 2) + code - low) & 0xffff, target.length - 2);
+          map.set(code, utf16be(target));
+        }
+      }
+    }
+  }
+  return { codeBytes, map };
+}
+
+function loadFont(objects, fontDict, budget) {
+  const toUnicodeRef = refEntry(fontDict, "ToUnicode");
+  const toUnicode = toUnicodeRef && objects.get(toUnicodeRef);
+  if (toUnicode?.stream) {
+    const cmap = decodeStream(toUnicode.dict, toUnicode.stream, budget);
+    if (cmap) return parseToUnicode(cmap.toString("latin1"));
+  }
+  // Composite (Type0) fonts without ToUnicode use glyph ids - not recoverable
+  if (/\/Subtype\s*\/Type0\b/.test(fontDict)) return { codeBytes: 2, map: null, unreadable: true };
+  return { codeBytes: 1, map: null };
+}
+
+function decodeShownText(bytes, font) {
+  if (!font || (!font.map && !font.unreadable)) {
+    let text = "";
+    for (const byte of bytes) text += WIN_ANSI[byte] || String.fromCharCode(byte);
+    return text;
+  }
+  if (font.unreadable) return "";
+  let text = "";
+  for (let i = 0; i + font.codeBytes <= bytes.length; i += font.codeBytes) {
+    const code = font.codeBytes === 1 ? bytes[i] : bytes.readUIntBE(i, font.codeBytes);
+    text += font.map.get(code) ?? "";
+  }
+  return text;
+}
+
+function readLiteralString(content, start) {
+  const bytes = [];
+  let depth = 1;
+  let i = start + 1;
+  const escapes = { n: 10, r: 13, t: 9, b: 8, f: 12 };
+  while (i < content.length && depth > 0) {
+    const char = content[i];
+    if (char === "\\") {
+      const next = content[i + 1];
+      if (escapes[next] !== undefined) {
+        bytes.push(escapes[next]);
+        i += 2;
+      } else if (/[0-7]/.test(next)) {
+        const octal = /^[0-7]{1,3}/.exec(content.slice(i + 1, i + 4))[0];
+        bytes.push(parseInt(octal, 8) & 0xff);
+        i += 1 + octal.length;
+      } else if (next === "\r" || next === "\n") {
+        i += next === "\r" && content[i + 2] === "\n" ? 3 : 2;
+      } else {
+        bytes.push(next.charCodeAt(0));
+        i += 2;
+      }
+      continue;
+    }
+    if (char === "(") depth++;
+    if (char === ")") depth--;
+    if (depth > 0) bytes.push(char.charCodeAt(0) & 0xff);
+    i++;
+  }
+  return { bytes: Buffer.from(bytes), end: i };
+}
+
+/**
+ * Tokenize a content stream into operands and operators.
+ * Strings become Buffers, arrays become JS arrays, names keep their slash.
+ */
+function* contentTokens(content) {
+  const stack = [];
+  let i = 0;
+  while (i < content.length) {
+    const char = content[i];
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === "%") {
+      while (i < content.length && content[i] !== "\n" && content[i] !== "\r") i++;
+    } else if (char === "(") {
+      const { bytes, end } = readLiteralString(content, i);
+      stack.push(bytes);
+      i = end;
+    } else if (char === "<" && content[i + 1] === "<") {
+      const end = content.indexOf(">>", i);
+      i = end === -1 ? content.length : end + 2;
+    } else if (char === "<") {
+      const end = content.indexOf(">", i);
+      stack.push(hexToBytes(content.slice(i + 1, end)));
+      i = end === -1 ? content.length : end + 1;
+    } else if (char === "[") {
+      stack.push("[");
+      i++;
+    } else if (char === "]") {
+      const start = stack.lastIndexOf("[");
+      const array = start === -1 ? [] : stack.splice(start).slice(1);
+      stack.push(array);
+      i++;
+    } else if (char === "/") {
+      const name = /^\/[^\s/<>[\]()%{}]*/.exec(content.slice(i, i + 128))[0];
+      stack.push(name);
+      i += name.length;
+    } else {
+      const token = /^[^\s/<>[\]()%{}]+/.exec(content.slice(i, i + 64))?.[0] || char;
+      i += token.length;
+      if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+        stack.push(parseFloat(token));
+      } else if (token === "BI") {
+        // Inline image data is binary - skip to its end marker
+        const end = content.indexOf("EI", content.indexOf("ID", i));
+        i = end === -1 ? content.length : end + 2;
+        stack.length = 0;
+      } else {
+        yield { operator: token, operands: stack.splice(0) };
+      }
+    }
+  }
+}
+
+/**
+ * Read the text lines of one page: [{ text, size, y }]
+ */
+function readPageLines(content, fonts) {
+  const lines = [];
+  let line = null;
+  let font = null;
+  let fontSize = 12;
+  let leading = 0;
+  let scale = 1;
+  let y = 0;
+  let lineX = 0;
+
+  const newLine = () => {
+    if (line && line.text.trim()) lines.push(line);
+    line = null;
+  };
+  const show = (text) => {
+    if (!text) return;
+    const size = Math.round(Math.abs(fontSize * scale) * 10) / 10;
+    if (!line) line = { text: "", size, y };
+    line.text += text;
+    line.size = Math.max(line.size, size);
+  };
+  // Baseline shifts under half a line (super/subscripts) stay on the same line
+  const isLineBreak = (dy) => Math.abs(dy) > Math.abs(fontSize * scale) * 0.5;
+  const move = (tx, ty) => {
+    if (Math.abs(ty) > 0.01) {
+      if (isLineBreak(ty * scale)) newLine();
+      y += ty * scale;
+    } else if (line && tx > 0 && !/\s$/.test(line.text)) {
+      line.text += " ";
+    }
+    lineX += tx;
+  };
+
+  for (const { operator, operands } of contentTokens(content)) {
+    switch (operator) {
+      case "BT":
+        lineX = 0;
+        break;
+      case "Tf":
+        font = fonts.get(operands[0]) || null;
+        fontSize = operands[1] || fontSize;
+        break;
+      case "TL":
+        leading = operands[0] || 0;
+        break;
+      case "Td":
+        move(operands[0] || 0, operands[1] || 0);
+        break;
+      case "TD":
+        leading = -(operands[1] || 0);
+        move(operands[0] || 0, operands[1] || 0);
+        break;
+      case "Tm": {
+        const [a, b, c, d, e, f] = operands;
+        scale = Math.hypot(c || 0, d || 0) || Math.hypot(a || 0, b || 0) || 1;
+        if (isLineBreak((f || 0) - y)) {
+          newLine();
+        } else if (line && (e || 0) > lineX && !/\s$/.test(line.text)) {
+          line.text += " ";
+        }
+        y = f || 0;
+        lineX = e || 0;
+        break;
+      }
+      case "T*":
+        move(0, -(leading || fontSize * 1.2));
+        break;
+      case "Tj":
+        if (Buffer.isBuffer(operands[0])) show(decodeShownText(operands[0], font));
+        break;
+      case "'":
+      case "\"":
+        move(0, -(leading || fontSize * 1.2));
+        if (Buffer.isBuffer(operands[operands.length - 1])) show(decodeShownText(operands[operands.length - 1], font));
+        break;
+      case "TJ":
+        for (const item of Array.isArray(operands[0]) ? operands[0] : []) {
+          if (Buffer.isBuffer(item)) {
+            show(decodeShownText(item, font));
+          } else if (typeof item === "number" && item < -200 && line && !/\s$/.test(line.text)) {
+            // A large positioning gap is a word space
+            line.text += " ";
+          }
+        }
+        break;
+      case "ET":
+        break;
+      default:
+        break;
+    }
+  }
+  newLine();
+  return lines;
+}
+
+function pageOrder(objects, source) {
+  const rootRef = /\/Root\s+(\d+)\s+\d+\s+R/.exec(source)?.[1];
+  const pagesRef = rootRef && objects.get(rootRef) ? refEntry(objects.get(rootRef).dict, "Pages") : null;
+  const pages = [];
+  const visit = (ref, inheritedResources, seen) => {
+    const node = objects.get(ref);
+    if (!node || seen.has(ref) || pages.length >= MAX_PDF_PAGES) return;
+    seen.add(ref);
+    const resources = dictEntry(objects, node.dict, "Resources") ?? inheritedResources;
+    if (/\/Type\s*\/Pages\b/.test(node.dict)) {
+      for (const kid of refList(objects, node.dict, "Kids")) visit(kid, resources, seen);
+    } else {
+      pages.push({ dict: node.dict, resources });
+    }
+  };
+  if (pagesRef) visit(pagesRef, null, new Set());
+
+  if (pages.length === 0) {
+    // No usable page tree: fall back to file order
+    for (const object of objects.values()) {
+      if (/\/Type\s*\/Page\b(?!s)/.test(object.dict)) {
+        pages.push({ dict: object.dict, resources: dictEntry(objects, object.dict, "Resources") });
+      }
+      if (pages.length >= MAX_PDF_PAGES) break;
+    }
+  }
+  return pages;
+}
+
+function pageFonts(objects, resources, cache, budget) {
+  const fonts = new Map();
+  const fontDict = resources ? dictEntry(objects, resources, "Font") : null;
+  if (!fontDict) return fonts;
+  for (const entry of fontDict.matchAll(/(\/[^\s/<>[\]()]+)\s+(\d+)\s+\d+\s+R/g)) {
+    if (!cache.has(entry[2])) {
+      const font = objects.get(entry[2]);
+      cache.set(entry[2], font ? loadFont(objects, font.dict, budget) : null);
+    }
+    fonts.set(entry[1], cache.get(entry[2]));
+  }
+  return fonts;
+}
+
+function readPdfTitle(objects, source) {
+  const infoRef = /\/Info\s+(\d+)\s+\d+\s+R/.exec(source)?.[1];
+  const info = infoRef && objects.get(infoRef)?.dict;
+  if (!info) return null;
+  const literal = /\/Title\s*\(((?:\\.|[^\\)])*)\)/.exec(info);
+  const hex = /\/Title\s*<([0-9a-fA-F\s]*)>/.exec(info);
+  let bytes = null;
+  if (literal) bytes = readLiteralString(`(${literal[1]})`, 0).bytes;
+  else if (hex) bytes = hexToBytes(hex[1]);
+  if (!bytes || bytes.length === 0) return null;
+  const title = bytes[0] === 0xfe && bytes[1] === 0xff ? utf16be(bytes.slice(2)) : decodeShownText(bytes, null);
+  return title.replace(/\s+/g, " ").trim() || null;
+}
+
+/**
+ * Group lines into blocks: consecutive lines of the same size and normal line
+ * spacing form a paragraph; lines clearly larger than the body size are headings
+ */
+function linesToBlocks(pages) {
+  const sizeWeights = new Map();
+  for (const line of pages.flat()) {
+    sizeWeights.set(line.size, (sizeWeights.get(line.size) || 0) + line.text.length);
+  }
+  const bodySize = [...sizeWeights.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || 12;
+  const headingSizes = [...sizeWeights.keys()].filter(size => size >= bodySize * 1.15).sort((a, b) => b - a);
+  const headingLevel = (line) => {
+    const index = headingSizes.indexOf(line.size);
+    return index === -1 || line.text.length > 150 ? null : Math.min(index + 1, 3);
+  };
+
+  const blocks = [];
+  for (const lines of pages) {
+    let current = null;
+    let previous = null;
+    for (const line of lines) {
+      const text = line.text.replace(/\s+/g, " ").trim();
+      if (!text) continue;
+      const level = headingLevel(line);
+      const gap = previous ? previous.y - line.y : 0;
+      const continues = current && previous &&
+        (current.type === "heading") === !!level &&
+        (!level || current.level === level) &&
+        Math.abs(previous.size - line.size) < 0.5 &&
+        gap > 0 && gap <= line.size * 1.8;
+
+      if (continues) {
+        // Re-join words hyphenated across line breaks
+        current.text = /[a-z]-$/i.test(current.text) ? current.text.slice(0, -1) + text : `${current.text} ${text}`;
+      } else {
+        current = level ? { type: "heading", level, text } : { type: "paragraph", text };
+        blocks.push(current);
+      }
+      previous = line;
+    }
+  }
+  return blocks;
+}
+
+export function pdfToBlocks(data) {
+  if (data.slice(0, 5).toString("latin1") !== "%PDF-") {
+    throw new DocumentError("Not a PDF document");
+  }
+  const source = data.toString("latin1");
+  if (/\/Encrypt\s+\d+\s+\d+\s+R/.test(source)) {
+    throw new DocumentError("Encrypted PDFs are not supported");
+  }
+
+  const budget = { remaining: MAX_PDF_INFLATED_BYTES };
+  const objects = readPdfObjects(data, budget);
+  const fontCache = new Map();
+  const pages = pageOrder(objects, source).map(page => {
+    const contents = refList(objects, page.dict, "Contents")
+      .map(ref => objects.get(ref))
+      .filter(object => object?.stream)
+      .map(object => decodeStream(object.dict, object.stream, budget))
+      .filter(Boolean);
+    // Multiple content streams are one stream split at token boundaries
+    const content = Buffer.concat(contents.flatMap(part => [part, Buffer.from("\n")])).toString("latin1");
+    return readPageLines(content, pageFonts(objects, page.resources, fontCache, budget));
+  });
+
+  return { blocks: linesToBlocks(pages), title: readPdfTitle(objects, source), pages: pages.length };
+}
+
+// ---------------------------------------------------------------------------
+
+// Malformed PDF / DOCX structure the readers do not anticipate is a bad document, not a server error
+function readBinaryDocument(documentType, read) {
+  try {
+    return read();
+  } catch (error) {
+    if (error instanceof DocumentError) throw error;
+    throw new DocumentError(`Unreadable ${documentType} document: ${error.message}`);
+  }
+}
+
+/**
+ * Convert a non-HTML document to HTML for extraction.
+ * Returns { html, title, blocks } (blocks = number of text blocks found).
+ * Throws DocumentError for unreadable documents or ones without text.
+ */
+export function documentToHtml(documentType, data) {
+  let result;
+  switch (documentType) {
+    case "pdf":
+      result = readBinaryDocument(documentType, () => pdfToBlocks(data));
+      break;
+    case "docx":
+      result = readBinaryDocument(documentType, () => docxToBlocks(data));
+      break;
+    case "markdown":
+      result = { blocks: markdownToBlocks(data.toString("utf8")), title: null };
+      break;
+    case "text":
+      result = { blocks: textToBlocks(data.toString("utf8")), title: null };
+      break;
+    default:
+      throw new DocumentError(`Unsupported document type: ${documentType}`);
+  }
+
+  if (result.blocks.length === 0) {
+    throw new DocumentError(documentType === "pdf"
+      ? "No extractable text in PDF (scanned or image-only documents are not supported)"
+      : `No text found in ${documentType} document`);
+  }
+  return { html: blocksToHtml(result.blocks, result.title), title: result.title, blocks: result.blocks.length };
+}
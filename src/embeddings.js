@@ -0,0 +1,159 @@
+/* jshint node: true, esversion: 11 */
+/**
+ * Embedding providers for semantic unit retrieval (GET /v1/search/semantic)
+ *
+ * A provider turns texts into fixed-length vectors:
+ *   { name, dimensions, isAvailable(): boolean, embed(texts): Promise<number[][]> }
+ * embed() throws on failure. Vectors are stored with the provider name
+ * (content_units.embedding_model) and only compared with vectors of the same
+ * name. The active provider is chosen with EMBEDDING_PROVIDER ("local" by
+ * default, or "openai"), or replaced at runtime with setEmbeddingProvider().
+ */
+
+const LOCAL_DIMENSIONS = 384;
+const OPENAI_BATCH_SIZE = 100;
+
+// FNV-1a, 32-bit
+function hashFeature(feature, seed = 0x811c9dc5) {
+  let hash = seed;
+  for (let i = 0; i < feature.length; i++) {
+    hash ^= feature.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function tokenize(text) {
+  return String(text || "").normalize("NFKC").toLowerCase().match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+}
+
+/**
+ * Hashed bag of words, word bigrams and character trigrams (the trigrams
+ * match inflections and scripts written without spaces). Signed feature
+ * hashing into LOCAL_DIMENSIONS buckets, sublinear term frequency, L2 normalized.
+ */
+function hashedVector(text) {
+  const counts = new Map();
+  const add = (feature, weight) => counts.set(feature, (counts.get(feature) || 0) + weight);
+
+  const tokens = tokenize(text);
+  tokens.forEach((token, i) => {
+    add(`w:${token}`, 1);
+    if (i > 0) add(`b:${tokens[i - 1]} ${token}`, 0.5);
+    const padded = `^${token}$`;
+    for (let j = 0; j + 3 <= padded.length; j++) {
+      add(`c:${padded.slice(j, j + 3)}`, 0.25);
+    }
+  });
+
+  const vector = new Array(LOCAL_DIMENSIONS).fill(0);
+  for (const [feature, count] of counts) {
+    const hash = hashFeature(feature);
+    const sign = hashFeature(feature, 0x9e3779b9) & 1 ? 1 : -1;
+    vector[hash % LOCAL_DIMENSIONS] += sign * (1 + Math.log(count));
+  }
+  const norm = Math.hypot(...vector);
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+}
+
+/**
+ * Deterministic on-CPU provider: no model download, no network
+ */
+export const localProvider = {
+  name: "local-hashing-v1",
+  dimensions: LOCAL_DIMENSIONS,
+
+  isAvailable() {
+    return true;
+  },
+
+  async embed(texts) {
+    return texts.map(hashedVector);
+  },
+};
+
+let openaiClient = null;
+
+async function getOpenAIClient() {
+  if (!openaiClient) {
+    // Optional dependency - only loaded when this provider is used
+    const { default: OpenAI } = await import("openai");
+    openaiClient = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  }
+  return openaiClient;
+}
+
+/**
+ * OpenAI embeddings API (OPENAI_EMBEDDING_MODEL, default text-embedding-3-small)
+ */
+export const openaiProvider = {
+  get name() {
+    return `openai:${process.env.OPENAI_EMBEDDING_MODEL || "text-embedding-3-small"}`;
+  },
+  dimensions: parseInt(process.env.OPENAI_EMBEDDING_DIMENSIONS || "1536", 10),
+
+  isAvailable() {
+    return !!process.env.OPENAI_API_KEY;
+  },
+
+  async embed(texts) {
+    if (!process.env.OPENAI_API_KEY) {
+      throw new Error("OPENAI_API_KEY not configured");
+    }
+    const client = await getOpenAIClient();
+    const model = process.env.OPENAI_EMBEDDING_MODEL || "text-embedding-3-small";
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += OPENAI_BATCH_SIZE) {
+      const response = await client.embeddings.create({
+        model,
+        input: texts.slice(i, i + OPENAI_BATCH_SIZE).map(text => String(text || " ")),
+        dimensions: this.dimensions,
+      });
+      vectors.push(...response.data.sort((a, b) => a.index - b.index).map(item => item.embedding));
+    }
+    return vectors;
+  },
+};
+
+const PROVIDERS = {
+  local: localProvider,
+  openai: openaiProvider,
+};
+
+let activeProvider = null;
+
+/**
+ * Get the active embedding provider (EMBEDDING_PROVIDER, default "local")
+ */
+export function getEmbeddingProvider() {
+  if (activeProvider) return activeProvider;
+  const name = process.env.EMBEDDING_PROVIDER || "local";
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown EMBEDDING_PROVIDER: ${name} (expected ${Object.keys(PROVIDERS).join(", ")})`);
+  }
+  return provider;
+}
+
+/**
+ * Replace the active provider (pass null to go back to EMBEDDING_PROVIDER)
+ */
+export function setEmbeddingProvider(provider) {
+  if (provider && (typeof provider.embed !== "function" || !provider.name)) {
+    throw new Error("Embedding provider must have a name and an embed(texts) function");
+  }
+  activeProvider = provider;
+}
+
+export function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
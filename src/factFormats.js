@@ -0,0 +1,334 @@
+/* jshint node: true, esversion: 11 */
+/**
+ * Export formats for the facts feeds (GET /v1/facts/:domain.<ext>)
+ *
+ * Each format serializes v1.1 facts (as written to the NDJSON stream) page by
+ * page: { name, extension, contentType, begin(context), line(fact), end() },
+ * where begin and end return the text before and after the facts. Every format
+ * keeps fact identity (fact_id, slot_id, revision, previous_fact_id) and the
+ * evidence anchor. RDF formats reify each fact as an rdf:Statement carrying
+ * its provenance; the vocabulary for provenance terms is FACT_NS.
+ */
+
+export const FACT_NS = "https://croutons.ai/ns/facts#";
+const SCHEMA_NS = "https://schema.org/";
+const RDF_NS = "http://www.w3.org/1999/02/22-rdf-syntax-ns#";
+const XSD_NS = "http://www.w3.org/2001/XMLSchema#";
+
+const isIri = value => typeof value === "string" && /^https?:\/\/\S+$/i.test(value);
+
+function factIri(fact) {
+  return `urn:croutons:fact:${fact.fact_id}`;
+}
+
+// Plain predicates ("telephone") are schema.org properties; "states" is the text-fact predicate
+function predicateIri(predicate) {
+  if (isIri(predicate)) return predicate;
+  if (!predicate || predicate === "states") return `${FACT_NS}states`;
+  return `${SCHEMA_NS}${encodeURIComponent(predicate)}`;
+}
+
+function entityIri(entityId) {
+  return isIri(entityId) ? entityId : `urn:croutons:entity:${encodeURIComponent(String(entityId))}`;
+}
+
+function objectValue(value) {
+  return typeof value === "string" ? value : JSON.stringify(value);
+}
+
+// --- NDJSON -------------------------------------------------------------
+
+const ndjson = {
+  name: "ndjson",
+  extension: "ndjson",
+  contentType: "application/x-ndjson; charset=utf-8",
+  begin: () => "",
+  line: fact => `${JSON.stringify(fact)}\n`,
+  end: () => "",
+};
+
+// --- JSON-LD ------------------------------------------------------------
+
+const JSONLD_CONTEXT = {
+  "@vocab": SCHEMA_NS,
+  f: FACT_NS,
+  factId: "f:factId",
+  slotId: "f:slotId",
+  revision: "f:revision",
+  previousFactId: "f:previousFactId",
+  evidenceType: "f:evidenceType",
+  supportingText: "f:supportingText",
+  evidenceAnchor: { "@id": "f:evidenceAnchor", "@type": "@json" },
+  anchorMissing: "f:anchorMissing",
+  confidence: "f:confidence",
+  sourcePath: "f:sourcePath",
+  retractedAt: "f:retractedAt",
+};
+
+/**
+ * One PropertyValue node per fact: the entity's property and value, with the
+ * page it came from (isBasedOn) and identity / evidence under the f: vocabulary
+ */
+function jsonldNode(fact) {
+  const node = {
+    "@id": factIri(fact),
+    "@type": "PropertyValue",
+    about: { "@id": entityIri(fact.entity_id) },
+    propertyID: fact.predicate,
+    value: isIri(fact.object) ? { "@id": fact.object } : objectValue(fact.object),
+    isBasedOn: { "@id": fact.source_url },
+    inLanguage: fact.language || undefined,
+    dateModified: fact.updated_at || undefined,
+    factId: fact.fact_id,
+    slotId: fact.slot_id || undefined,
+    revision: fact.revision,
+    previousFactId: fact.previous_fact_id || undefined,
+    evidenceType: fact.evidence_type || undefined,
+    supportingText: fact.supporting_text || undefined,
+    evidenceAnchor: fact.evidence_anchor || undefined,
+    anchorMissing: fact.anchor_missing,
+    confidence: fact.confidence ?? undefined,
+    sourcePath: fact.source_path || undefined,
+    retractedAt: fact.retracted_at || undefined,
+  };
+  return JSON.parse(JSON.stringify(node));
+}
+
+function jsonld() {
+  let count = 0;
+  return {
+    name: "jsonld",
+    extension: "jsonld",
+    contentType: "application/ld+json; charset=utf-8",
+    begin: () => `{"@context":${JSON.stringify(JSONLD_CONTEXT)},"@graph":[\n`,
+    line: fact => `${count++ > 0 ? ",\n" : ""}${JSON.stringify(jsonldNode(fact))}`,
+    end: () => "\n]}\n",
+  };
+}
+
+// --- RDF (N-Triples, Turtle) --------------------------------------------
+
+function escapeLiteral(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, "\\\"")
+    .replace(/\n/g, "\\n")
+    .replace(/\r/g, "\\r")
+    .replace(/\t/g, "\\t");
+}
+
+function escapeIri(iri) {
+  return iri.replace(/[\u0000- <>"{}|^`\\]/g, ch => `%${ch.charCodeAt(0).toString(16).toUpperCase().padStart(2, "0")}`);
+}
+
+const iriTerm = iri => ({ iri });
+const literalTerm = (value, datatype, language) => ({ value: String(value), datatype, language });
+
+/**
+ * The fact's own triple plus its reification: [subject, predicate, object] terms
+ */
+function factStatements(fact) {
+  const object = isIri(fact.object)
+    ? iriTerm(fact.object)
+    : literalTerm(objectValue(fact.object), null, fact.predicate === "states" ? fact.language : null);
+  const subject = iriTerm(entityIri(fact.entity_id));
+  const predicate = iriTerm(predicateIri(fact.predicate));
+  const statement = iriTerm(factIri(fact));
+  const anchor = fact.evidence_anchor || {};
+  const prov = (name, term) => [statement, iriTerm(`${FACT_NS}${name}`), term];
+
+  return [
+    [subject, predicate, object],
+    [statement, iriTerm(`${RDF_NS}type`), iriTerm(`${RDF_NS}Statement`)],
+    [statement, iriTerm(`${RDF_NS}subject`), subject],
+    [statement, iriTerm(`${RDF_NS}predicate`), predicate],
+    [statement, iriTerm(`${RDF_NS}object`), object],
+    prov("factId", literalTerm(fact.fact_id)),
+    fact.slot_id && prov("slotId", literalTerm(fact.slot_id)),
+    prov("revision", literalTerm(fact.revision, `${XSD_NS}integer`)),
+    fact.previous_fact_id && prov("previousFactId", literalTerm(fact.previous_fact_id)),
+    fact.evidence_type && prov("evidenceType", literalTerm(fact.evidence_type)),
+    isIri(fact.source_url) && prov("sourceUrl", iriTerm(fact.source_url)),
+    fact.supporting_text && prov("supportingText", literalTerm(fact.supporting_text)),
+    Number.isInteger(anchor.char_start) && prov("charStart", literalTerm(anchor.char_start, `${XSD_NS}integer`)),
+    Number.isInteger(anchor.char_end) && prov("charEnd", literalTerm(anchor.char_end, `${XSD_NS}integer`)),
+    anchor.fragment_hash && prov("fragmentHash", literalTerm(anchor.fragment_hash)),
+    anchor.extraction_text_hash && prov("extractionTextHash", literalTerm(anchor.extraction_text_hash)),
+    fact.evidence_anchor && prov("evidenceAnchor", literalTerm(JSON.stringify(fact.evidence_anchor), `${RDF_NS}JSON`)),
+    typeof fact.anchor_missing === "boolean" && prov("anchorMissing", literalTerm(fact.anchor_missing, `${XSD_NS}boolean`)),
+    fact.confidence !== null && fact.confidence !== undefined &&
+      prov("confidence", literalTerm(fact.confidence, `${XSD_NS}decimal`)),
+    fact.source_path && prov("sourcePath", literalTerm(fact.source_path)),
+    fact.language && prov("language", literalTerm(fact.language)),
+    fact.updated_at && prov("updatedAt", literalTerm(new Date(fact.updated_at).toISOString(), `${XSD_NS}dateTime`)),
+    fact.retracted_at && prov("retractedAt", literalTerm(new Date(fact.retracted_at).toISOString(), `${XSD_NS}dateTime`)),
+  ].filter(Boolean);
+}
+
+function ntTerm(term) {
+  if (term.iri) return `<${escapeIri(term.iri)}>`;
+  const literal = `"${escapeLiteral(term.value)}"`;
+  if (term.language) return `${literal}@${term.language}`;
+  return term.datatype ? `${literal}^^<${term.datatype}>` : literal;
+}
+
+const ntriples = {
+  name: "ntriples",
+  extension: "nt",
+  contentType: "application/n-triples; charset=utf-8",
+  begin: () => "",
+  line: fact => factStatements(fact).map(triple => `${triple.map(ntTerm).join(" ")} .\n`).join(""),
+  end: () => "",
+};
+
+const TURTLE_PREFIXES = [
+  ["rdf", RDF_NS],
+  ["xsd", XSD_NS],
+  ["schema", SCHEMA_NS],
+  ["f", FACT_NS],
+];
+
+function turtleTerm(term) {
+  if (term.iri) {
+    for (const [prefix, ns] of TURTLE_PREFIXES) {
+      const local = term.iri.startsWith(ns) ? term.iri.slice(ns.length) : null;
+      if (local && /^[A-Za-z][\w-]*$/.test(local)) return `${prefix}:${local}`;
+    }
+    return `<${escapeIri(term.iri)}>`;
+  }
+  const literal = `"${escapeLiteral(term.value)}"`;
+  if (term.language) return `${literal}@${term.language}`;
+  return term.datatype ? `${literal}^^${turtleTerm(iriTerm(term.datatype))}` : literal;
+}
+
+const turtle = {
+  name: "turtle",
+  extension: "ttl",
+  contentType: "text/turtle; charset=utf-8",
+  begin: context => [
+    ...TURTLE_PREFIXES.map(([prefix, ns]) => `@prefix ${prefix}: <${ns}> .\n`),
+    context.domain ? `# Facts for ${context.domain}\n` : "",
+    "\n",
+  ].join(""),
+  line: fact => {
+    const [main, ...provenance] = factStatements(fact);
+    const statement = turtleTerm(provenance[0][0]);
+    const properties = provenance.map(([, predicate, object]) =>
+      `    ${predicate.iri === `${RDF_NS}type` ? "a" : turtleTerm(predicate)} ${turtleTerm(object)}`);
+    return `${main.map(turtleTerm).join(" ")} .\n${statement}\n${properties.join(" ;\n")} .\n\n`;
+  },
+  end: () => "",
+};
+
+// --- CSV ----------------------------------------------------------------
+
+// One row per fact; the evidence anchor is flattened and also kept whole as JSON
+export const CSV_COLUMNS = [
+  ["fact_id", fact => fact.fact_id],
+  ["slot_id", fact => fact.slot_id],
+  ["revision", fact => fact.revision],
+  ["previous_fact_id", fact => fact.previous_fact_id],
+  ["evidence_type", fact => fact.evidence_type],
+  ["entity_id", fact => fact.entity_id],
+  ["predicate", fact => fact.predicate],
+  ["object", fact => fact.object],
+  ["source_url", fact => fact.source_url],
+  ["language", fact => fact.language],
+  ["supporting_text", fact => fact.supporting_text],
+  ["anchor_char_start", fact => fact.evidence_anchor?.char_start],
+  ["anchor_char_end", fact => fact.evidence_anchor?.char_end],
+  ["anchor_fragment_hash", fact => fact.evidence_anchor?.fragment_hash],
+  ["evidence_anchor", fact => fact.evidence_anchor ? JSON.stringify(fact.evidence_anchor) : null],
+  ["anchor_missing", fact => fact.anchor_missing],
+  ["source_path", fact => fact.source_path],
+  ["confidence", fact => fact.confidence],
+  ["updated_at", fact => fact.updated_at ? new Date(fact.updated_at).toISOString() : null],
+  ["retracted_at", fact => fact.retracted_at ? new Date(fact.retracted_at).toISOString() : null],
+  ["crouton_id", fact => fact.crouton_id],
+];
+
+/**
+ * RFC 4180 field. Text that a spreadsheet would run as a formula (=, @, or +/-
+ * not followed by a number) is prefixed with an apostrophe.
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  let text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  if (/^[=@\t\r]/.test(text) || (/^[+-]/.test(text) && !/^[+-][\d\s().-]*$/.test(text))) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+const csv = {
+  name: "csv",
+  extension: "csv",
+  contentType: "text/csv; charset=utf-8; header=present",
+  begin: () => `${CSV_COLUMNS.map(([name]) => name).join(",")}\r\n`,
+  line: fact => `${CSV_COLUMNS.map(([, get]) => csvField(get(fact))).join(",")}\r\n`,
+  end: () => "",
+};
+
+// --- Columnar JSON ------------------------------------------------------
+
+/**
+ * { columns: [...], count, data: { column: [values...] } } - one array per
+ * column (CSV columns, evidence_anchor as an object). Buffers one page.
+ */
+function columns() {
+  const data = Object.fromEntries(CSV_COLUMNS.map(([name]) => [name, []]));
+  let count = 0;
+  return {
+    name: "columns",
+    extension: "json",
+    contentType: "application/json; charset=utf-8",
+    begin: () => "",
+    line: fact => {
+      for (const [name, get] of CSV_COLUMNS) {
+        data[name].push(name === "evidence_anchor" ? fact.evidence_anchor || null : get(fact) ?? null);
+      }
+      count++;
+      return "";
+    },
+    end: () => `${JSON.stringify({ columns: CSV_COLUMNS.map(([name]) => name), count, data })}\n`,
+  };
+}
+
+// Extension -> serializer factory (stateful formats get a fresh instance per response)
+const FORMATS = {
+  ndjson: () => ndjson,
+  jsonld,
+  nt: () => ntriples,
+  ttl: () => turtle,
+  csv: () => csv,
+  json: columns,
+};
+
+// Accept media types in order of preference for */*
+const MEDIA_TYPES = {
+  "application/x-ndjson": "ndjson",
+  "application/ndjson": "ndjson",
+  "application/ld+json": "jsonld",
+  "application/n-triples": "nt",
+  "text/turtle": "ttl",
+  "text/csv": "csv",
+  "application/json": "json",
+};
+
+export const FORMAT_EXTENSIONS = Object.keys(FORMATS);
+export const FORMAT_MEDIA_TYPES = Object.keys(MEDIA_TYPES);
+
+/**
+ * Serializer for an extension (ndjson, jsonld, nt, ttl, csv, json), or null
+ */
+export function getFactFormat(extension) {
+  const factory = FORMATS[String(extension || "").toLowerCase()];
+  return factory ? factory() : null;
+}
+
+/**
+ * Extension for a negotiated media type (from req.accepts(FORMAT_MEDIA_TYPES))
+ */
+export function formatForMediaType(mediaType) {
+  return MEDIA_TYPES[mediaType] || null;
+}
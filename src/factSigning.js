@@ -0,0 +1,208 @@
+/* jshint node: true, esversion: 11 */
+/**
+ * Signed fact sets: Merkle trees over fact_ids and Ed25519 signatures
+ *
+ * A set of facts is committed to by the Merkle Tree Hash of RFC 6962 over its
+ * fact_ids, sorted ascending: leaf = sha256(0x00 || fact_id), node =
+ * sha256(0x01 || left || right), where a tree of n > 1 leaves splits after the
+ * largest power of two below n. The root is signed (detached Ed25519) as the
+ * text of rootMessage(); verifiers fetch the public key by key_id from
+ * GET /.well-known/croutons-facts-keys.json.
+ *
+ * The key is FACTS_SIGNING_KEY: an Ed25519 private key as PKCS#8 PEM, or its
+ * DER bytes in base64. It is required: server.js refuses to start without it
+ * (requireSigningKey), so every feed page is signed.
+ */
+
+import crypto from "crypto";
+
+export const MERKLE_ALGORITHM = "rfc6962-sha256";
+export const SIGNATURE_ALGORITHM = "Ed25519";
+const MESSAGE_VERSION = "croutons-facts-root/v1";
+
+const sha256 = (...parts) => crypto.createHash("sha256").update(Buffer.concat(parts)).digest();
+const LEAF_PREFIX = Buffer.from([0x00]);
+const NODE_PREFIX = Buffer.from([0x01]);
+
+export function leafHash(factId) {
+  return sha256(LEAF_PREFIX, Buffer.from(String(factId), "utf8"));
+}
+
+function nodeHash(left, right) {
+  return sha256(NODE_PREFIX, left, right);
+}
+
+// Largest power of two strictly below n (n > 1)
+function splitPoint(n) {
+  let k = 1;
+  while (k * 2 < n) k *= 2;
+  return k;
+}
+
+function subtreeHash(leaves, start, end) {
+  if (end - start === 1) return leaves[start];
+  const k = splitPoint(end - start);
+  return nodeHash(subtreeHash(leaves, start, start + k), subtreeHash(leaves, start + k, end));
+}
+
+/**
+ * Distinct fact_ids in tree order (ascending), empty values dropped
+ */
+export function sortFactIds(factIds) {
+  return [...new Set(factIds.filter(Boolean).map(String))].sort();
+}
+
+/**
+ * Merkle root (hex) of a fact set; the empty set hashes to sha256("")
+ */
+export function merkleRoot(factIds) {
+  const leaves = sortFactIds(factIds).map(leafHash);
+  if (leaves.length === 0) return sha256().toString("hex");
+  return subtreeHash(leaves, 0, leaves.length).toString("hex");
+}
+
+/**
+ * Inclusion proof for one fact_id: { leaf_index, tree_size, leaf_hash, audit_path, root },
+ * or null when the fact is not in the set. audit_path lists sibling hashes
+ * from the leaf up (RFC 6962 PATH).
+ */
+export function inclusionProof(factIds, factId) {
+  const sorted = sortFactIds(factIds);
+  const index = sorted.indexOf(String(factId));
+  if (index === -1) return null;
+
+  const leaves = sorted.map(leafHash);
+  const path = [];
+  const collect = (m, start, end) => {
+    if (end - start <= 1) return;
+    const k = splitPoint(end - start);
+    if (m < k) {
+      collect(m, start, start + k);
+      path.push(subtreeHash(leaves, start + k, end));
+    } else {
+      collect(m - k, start + k, end);
+      path.push(subtreeHash(leaves, start, start + k));
+    }
+  };
+  collect(index, 0, leaves.length);
+
+  return {
+    leaf_index: index,
+    tree_size: leaves.length,
+    leaf_hash: leaves[index].toString("hex"),
+    audit_path: path.map(hash => hash.toString("hex")),
+    root: subtreeHash(leaves, 0, leaves.length).toString("hex"),
+  };
+}
+
+/**
+ * Check an inclusion proof against a root (RFC 9162 section 2.1.3.2)
+ */
+export function verifyInclusion(factId, { leaf_index, tree_size, audit_path }, root) {
+  if (!Number.isInteger(leaf_index) || leaf_index < 0 || leaf_index >= tree_size) return false;
+  let fn = leaf_index;
+  let sn = tree_size - 1;
+  let hash = leafHash(factId);
+  for (const sibling of audit_path) {
+    if (sn === 0) return false;
+    const siblingHash = Buffer.from(sibling, "hex");
+    if (fn % 2 === 1 || fn === sn) {
+      hash = nodeHash(siblingHash, hash);
+      if (fn % 2 === 0) {
+        while (fn % 2 === 0 && fn !== 0) {
+          fn >>= 1;
+          sn >>= 1;
+        }
+      }
+    } else {
+      hash = nodeHash(hash, siblingHash);
+    }
+    fn >>= 1;
+    sn >>= 1;
+  }
+  return sn === 0 && hash.toString("hex") === root;
+}
+
+/**
+ * The exact text that is signed for a root ("*" for a feed spanning domains)
+ */
+export function rootMessage({ domain, treeSize, root }) {
+  return [
+    MESSAGE_VERSION,
+    `domain=${domain || "*"}`,
+    `tree_size=${treeSize}`,
+    `root=${root}`,
+  ].join("\n");
+}
+
+let signingKey = null;
+
+// The configured key; throws when FACTS_SIGNING_KEY is unset or not an Ed25519 key
+function loadSigningKey() {
+  if (signingKey) return signingKey;
+
+  const configured = (process.env.FACTS_SIGNING_KEY || "").trim();
+  if (!configured) {
+    throw new Error("FACTS_SIGNING_KEY is not set (an Ed25519 private key, PKCS#8 PEM or base64 DER)");
+  }
+
+  const privateKey = configured.includes("-----BEGIN")
+    ? crypto.createPrivateKey(configured.replace(/\\n/g, "\n"))
+    : crypto.createPrivateKey({ key: Buffer.from(configured, "base64"), format: "der", type: "pkcs8" });
+  if (privateKey.asymmetricKeyType !== "ed25519") {
+    throw new Error(`FACTS_SIGNING_KEY must be an Ed25519 key (got ${privateKey.asymmetricKeyType})`);
+  }
+
+  const { x } = crypto.createPublicKey(privateKey).export({ format: "jwk" });
+  signingKey = {
+    privateKey,
+    x,
+    keyId: sha256(Buffer.from(x, "base64url")).toString("hex").substring(0, 16),
+  };
+  return signingKey;
+}
+
+/**
+ * Load the signing key at startup; returns its key_id, throws when it is missing or invalid
+ */
+export function requireSigningKey() {
+  return loadSigningKey().keyId;
+}
+
+/**
+ * Sign a fact set root: { signature (base64url), key_id, message }
+ */
+export function signRoot({ domain, treeSize, root }) {
+  const key = loadSigningKey();
+  const message = rootMessage({ domain, treeSize, root });
+  return {
+    signature: crypto.sign(null, Buffer.from(message, "utf8"), key.privateKey).toString("base64url"),
+    key_id: key.keyId,
+    message,
+  };
+}
+
+/**
+ * Verify a detached signature over a message with an Ed25519 JWK ({ x })
+ */
+export function verifyRootSignature(message, signature, jwk) {
+  const publicKey = crypto.createPublicKey({ key: { kty: "OKP", crv: "Ed25519", x: jwk.x }, format: "jwk" });
+  return crypto.verify(null, Buffer.from(message, "utf8"), publicKey, Buffer.from(signature, "base64url"));
+}
+
+/**
+ * Published verification keys as a JWK Set
+ */
+export function publicKeySet() {
+  const key = loadSigningKey();
+  return {
+    keys: [{
+      kty: "OKP",
+      crv: "Ed25519",
+      x: key.x,
+      kid: key.keyId,
+      alg: "EdDSA",
+      use: "sig",
+    }],
+  };
+}
@@ -0,0 +1,418 @@
+/* jshint node: true, esversion: 11 */
+/**
+ * JSON-LD processing for schema extraction
+ *
+ * Items from JSON-LD, microdata and RDFa are expanded (contexts, prefixes,
+ * @vocab, @base, @graph, relative @id, @type arrays), compacted back to
+ * schema.org terms, then flattened so every entity is exactly one node:
+ * fragments sharing an @id are merged, and intra-document {"@id"} references
+ * are resolved by embedding the referenced node.
+ *
+ * Remote contexts are never fetched. schema.org is built in and is also the
+ * default vocabulary, since most pages omit @context on nested items.
+ */
+
+export const SCHEMA_VOCAB = "https://schema.org/";
+const SCHEMA_CONTEXT = "https://schema.org";
+const SCHEMA_IRI = /^https?:\/\/schema\.org\//i;
+const MAX_IRI_DEPTH = 8;
+const MAX_EMBED_DEPTH = 4;
+
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * "https://schema.org", "http://schema.org/", "schema.org",
+ * "https://schema.org/docs/jsonldcontext.jsonld", ...
+ */
+function isSchemaOrgUrl(value) {
+  return typeof value === "string" &&
+    /^(https?:\/\/)?(www\.)?schema\.org\/?(docs\/jsonldcontext\.json(ld)?)?$/i.test(value.trim());
+}
+
+function resolveIri(base, value) {
+  if (value.startsWith("_:")) return value;
+  try {
+    return base ? new URL(value, base).href : new URL(value).href;
+  } catch {
+    return value;
+  }
+}
+
+// ----- Context processing -----
+
+function initialContext(base) {
+  return { base, vocab: SCHEMA_VOCAB, terms: new Map() };
+}
+
+function processContext(active, localContext) {
+  let result = { ...active, terms: new Map(active.terms) };
+
+  for (const context of toArray(localContext === null ? [null] : localContext)) {
+    if (context === null) {
+      result = initialContext(active.base);
+      continue;
+    }
+    if (typeof context === "string") {
+      // Only schema.org is known offline; other remote contexts are ignored
+      if (isSchemaOrgUrl(context)) result.vocab = SCHEMA_VOCAB;
+      continue;
+    }
+    if (!isPlainObject(context)) continue;
+
+    if ("@base" in context) {
+      result.base = typeof context["@base"] === "string"
+        ? resolveIri(result.base, context["@base"])
+        : null;
+    }
+
+    for (const [term, definition] of Object.entries(context)) {
+      if (term.startsWith("@")) continue;
+      if (definition === null) {
+        result.terms.set(term, { id: null });
+      } else if (typeof definition === "string") {
+        result.terms.set(term, { id: definition });
+      } else if (isPlainObject(definition)) {
+        result.terms.set(term, {
+          id: definition["@id"],
+          type: definition["@type"],
+          container: definition["@container"],
+        });
+      }
+    }
+
+    // @vocab may itself use a prefix defined in the same context
+    if ("@vocab" in context) {
+      const vocab = context["@vocab"];
+      if (typeof vocab !== "string") {
+        result.vocab = null;
+      } else if (isSchemaOrgUrl(vocab)) {
+        result.vocab = SCHEMA_VOCAB;
+      } else {
+        result.vocab = expandIri(result, vocab, true);
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Expand a term, compact IRI or relative IRI.
+ * vocab=true resolves against @vocab (keys, @type); otherwise against @base (@id).
+ */
+function expandIri(context, value, vocab, depth = 0) {
+  if (typeof value !== "string" || value.startsWith("@")) return value;
+  if (depth > MAX_IRI_DEPTH) return value;
+
+  if (vocab && context.terms.has(value)) {
+    const definition = context.terms.get(value);
+    if (definition.id === null) return null;
+    if (typeof definition.id === "string" && definition.id !== value) {
+      return expandIri(context, definition.id, true, depth + 1);
+    }
+    if (!definition.id) return context.vocab ? context.vocab + value : value;
+  }
+
+  const colon = value.indexOf(":");
+  if (colon > 0) {
+    const prefix = value.slice(0, colon);
+    const suffix = value.slice(colon + 1);
+    if (prefix === "_" || suffix.startsWith("//")) return value;
+    const definition = context.terms.get(prefix);
+    if (typeof definition?.id === "string") {
+      return expandIri(context, definition.id, true, depth + 1) + suffix;
+    }
+    // Absolute IRI with some other scheme (urn:, mailto:, og:, ...)
+    return value;
+  }
+
+  if (vocab) return context.vocab ? context.vocab + value : value;
+  return resolveIri(context.base, value);
+}
+
+// ----- Expansion -----
+
+function expandValues(context, value, definition) {
+  const expanded = [];
+  for (const item of toArray(value)) {
+    if (item === null || item === undefined) continue;
+    if (Array.isArray(item)) {
+      expanded.push(...expandValues(context, item, definition));
+    } else if (typeof item === "object") {
+      expanded.push(...toArray(expandObject(context, item)));
+    } else if (typeof item === "string" && definition?.type === "@id") {
+      expanded.push({ "@id": expandIri(context, item, false) });
+    } else if (typeof item === "string" && definition?.type === "@vocab") {
+      expanded.push({ "@id": expandIri(context, item, true) });
+    } else {
+      expanded.push({ "@value": item });
+    }
+  }
+  return expanded;
+}
+
+function expandObject(activeContext, object) {
+  const context = object["@context"] !== undefined
+    ? processContext(activeContext, object["@context"])
+    : activeContext;
+
+  if ("@value" in object) return { "@value": object["@value"] };
+  if ("@list" in object) return { "@list": expandValues(context, object["@list"]) };
+  if ("@set" in object) return expandValues(context, object["@set"]);
+
+  const node = {};
+  for (const [key, value] of Object.entries(object)) {
+    if (key === "@context") continue;
+    if (key === "@id") {
+      if (typeof value === "string") node["@id"] = expandIri(context, value, false);
+      continue;
+    }
+    if (key === "@type") {
+      node["@type"] = toArray(value)
+        .filter(type => typeof type === "string")
+        .map(type => expandIri(context, type.trim(), true))
+        .filter(Boolean);
+      continue;
+    }
+    if (key === "@graph") {
+      node["@graph"] = expandValues(context, value).filter(isPlainObject);
+      continue;
+    }
+    if (key.startsWith("@")) continue;
+
+    const iri = expandIri(context, key, true);
+    // Terms that map to nothing are dropped, as in JSON-LD expansion
+    if (!iri || !iri.includes(":")) continue;
+
+    const definition = context.terms.get(key);
+    let values = expandValues(context, value, definition);
+    if (definition?.container === "@list") values = [{ "@list": values }];
+    if (values.length > 0) node[iri] = (node[iri] || []).concat(values);
+  }
+  return node;
+}
+
+/**
+ * Expand a parsed JSON-LD document (object or array) against its contexts.
+ * Returns expanded node objects: absolute IRI keys, array values.
+ */
+export function expandJsonLd(document, baseUrl) {
+  return expandValues(initialContext(baseUrl || null), document).filter(isPlainObject);
+}
+
+// ----- Compaction -----
+
+function compactIri(iri) {
+  return SCHEMA_IRI.test(iri) ? iri.replace(SCHEMA_IRI, "") : iri;
+}
+
+function compactValue(value) {
+  if ("@value" in value) return value["@value"];
+  if ("@list" in value) return value["@list"].map(compactValue);
+  return compactNode(value);
+}
+
+/**
+ * Compact an expanded node to schema.org terms: schema.org IRIs become plain
+ * terms, other vocabularies keep their full IRI, single values are unwrapped.
+ */
+export function compactNode(node) {
+  const compacted = {};
+  if (node["@id"]) compacted["@id"] = node["@id"];
+
+  const types = toArray(node["@type"]).map(compactIri);
+  if (types.length === 1) compacted["@type"] = types[0];
+  else if (types.length > 1) compacted["@type"] = types;
+
+  if (node["@graph"]) compacted["@graph"] = node["@graph"].map(compactNode);
+
+  for (const [iri, values] of Object.entries(node)) {
+    if (iri.startsWith("@")) continue;
+    const term = compactIri(iri);
+    const compactedValues = values.map(compactValue);
+    const value = compactedValues.length === 1 ? compactedValues[0] : compactedValues;
+    compacted[term] = compacted[term] === undefined
+      ? value
+      : toArray(compacted[term]).concat(toArray(value));
+  }
+  return compacted;
+}
+
+// ----- Flattening and merging -----
+
+function isReference(value) {
+  return isPlainObject(value) && typeof value["@id"] === "string" &&
+    Object.keys(value).length === 1;
+}
+
+function typeList(node) {
+  return toArray(node["@type"]);
+}
+
+function mergeValues(existing, incoming) {
+  const merged = toArray(existing).slice();
+  const seen = new Set(merged.map(value => JSON.stringify(value)));
+  for (const value of toArray(incoming)) {
+    const key = JSON.stringify(value);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    merged.push(value);
+  }
+  return merged.length === 1 ? merged[0] : merged;
+}
+
+function mergeInto(target, source) {
+  const types = mergeValues(typeList(target), typeList(source));
+  if (toArray(types).length > 0) target["@type"] = types;
+  for (const [key, value] of Object.entries(source)) {
+    if (key.startsWith("@")) continue;
+    target[key] = target[key] === undefined ? value : mergeValues(target[key], value);
+  }
+  return target;
+}
+
+/**
+ * Identity for a node without @id: its types plus url (or name).
+ * Returns null when there is nothing to identify it by.
+ */
+function blankNodeKey(node) {
+  const label = [node.url, node.name].map(value => toArray(value)[0])
+    .find(value => typeof value === "string" && value.trim());
+  if (!label) return null;
+  return `${typeList(node).slice().sort().join(",")}|${label.trim().toLowerCase()}`;
+}
+
+/**
+ * Flatten and merge compacted nodes from every source into one node per entity.
+ * Named nodes (with @id) are pulled out of wherever they are embedded and
+ * merged; root nodes without @id are merged by type + url/name. References are
+ * then resolved by embedding (cycles and deep chains stay as {"@id"} references).
+ */
+export function mergeSchemaNodes(nodes) {
+  const named = new Map();
+  const blankRoots = [];
+  const order = [];
+  let fragmentsMerged = 0;
+
+  // Named nodes keep the position where they were first seen
+  const reserve = (id) => {
+    if (!named.has(id)) {
+      const entry = { "@id": id };
+      named.set(id, entry);
+      order.push(entry);
+    }
+    return named.get(id);
+  };
+
+  // Returns the value to keep in the parent: a reference for named nodes
+  const collect = (node, isRoot) => {
+    if (isReference(node)) return node;
+    const entry = typeof node["@id"] === "string" ? reserve(node["@id"]) : null;
+
+    if (Array.isArray(node["@graph"])) {
+      for (const item of node["@graph"]) collect(item, true);
+    }
+
+    const flat = {};
+    for (const [key, value] of Object.entries(node)) {
+      if (key === "@graph" || key === "@context") continue;
+      if (key.startsWith("@")) {
+        flat[key] = value;
+        continue;
+      }
+      const values = toArray(value).map(item => (isPlainObject(item) ? collect(item, false) : item));
+      flat[key] = Array.isArray(value) ? values : values[0];
+    }
+
+    const hasContent = Object.keys(flat).some(key => key !== "@id");
+    if (entry) {
+      if (hasContent) {
+        if (Object.keys(entry).length > 1) fragmentsMerged++;
+        mergeInto(entry, flat);
+      }
+      return { "@id": entry["@id"] };
+    }
+    if (isRoot) {
+      if (hasContent) {
+        blankRoots.push(flat);
+        order.push(flat);
+      }
+      return null;
+    }
+    return flat;
+  };
+
+  for (const node of nodes) {
+    if (isPlainObject(node)) collect(node, true);
+  }
+
+  // Root nodes without @id: merge into a named node or an earlier root describing the same thing
+  const byKey = new Map();
+  const absorbed = new Set();
+  for (const node of named.values()) {
+    const key = blankNodeKey(node);
+    if (key && !byKey.has(key)) byKey.set(key, node);
+  }
+  for (const node of blankRoots) {
+    const key = blankNodeKey(node);
+    const existing = key ? byKey.get(key) : null;
+    if (existing) {
+      mergeInto(existing, node);
+      absorbed.add(node);
+      fragmentsMerged++;
+      continue;
+    }
+    if (key) byKey.set(key, node);
+  }
+
+  const embed = (value, path, depth) => {
+    if (Array.isArray(value)) return value.map(item => embed(item, path, depth));
+    if (!isPlainObject(value)) return value;
+    if (isReference(value)) {
+      const target = named.get(value["@id"]);
+      if (!target || path.has(value["@id"]) || depth >= MAX_EMBED_DEPTH) return value;
+      return embedNode(target, path, depth + 1);
+    }
+    return embedNode(value, path, depth + 1);
+  };
+
+  const embedNode = (node, path, depth) => {
+    const nextPath = node["@id"] ? new Set(path).add(node["@id"]) : path;
+    const result = {};
+    for (const [key, value] of Object.entries(node)) {
+      result[key] = key.startsWith("@") ? value : embed(value, nextPath, depth);
+    }
+    return result;
+  };
+
+  // Named nodes only ever referenced (never described) are not entities of their own
+  const entities = order
+    .filter(node => !absorbed.has(node) && Object.keys(node).some(key => key !== "@id"))
+    .map(node => ({
+    "@context": SCHEMA_CONTEXT,
+    ...embedNode(node, new Set(), 0),
+  }));
+
+  return { entities, fragmentsMerged };
+}
+
+/**
+ * Full pipeline: expand + compact each raw item (JSON-LD document, microdata
+ * or RDFa item), then merge everything into one node per entity.
+ */
+export function processStructuredData(rawItems, baseUrl) {
+  const compacted = [];
+  for (const item of rawItems) {
+    for (const node of expandJsonLd(item, baseUrl)) {
+      compacted.push(compactNode(node));
+    }
+  }
+  return mergeSchemaNodes(compacted);
+}
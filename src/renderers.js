@@ -0,0 +1,121 @@
+/* jshint node: true, esversion: 11 */
+/**
+ * Prerender renderers for headless-rendered ingestion (render: "prerender")
+ *
+ * A renderer turns a page URL into fully rendered HTML:
+ *   { name, isAvailable(): boolean, render(url): Promise<string> }
+ * render() throws on failure. The active renderer is chosen with
+ * PRERENDER_RENDERER ("service" by default, or "fixtures"), or replaced at
+ * runtime with setRenderer() - e.g. by a test harness.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+
+const RENDER_TIMEOUT_MS = parseInt(process.env.PRERENDER_TIMEOUT_MS || "30000", 10);
+
+/**
+ * External prerender service: GET PRENDER_SERVICE_URL?url=<page url> -> text/html
+ */
+export const serviceRenderer = {
+  name: "prerender-service",
+
+  isAvailable() {
+    return !!process.env.PRENDER_SERVICE_URL;
+  },
+
+  async render(url) {
+    const endpoint = process.env.PRENDER_SERVICE_URL;
+    if (!endpoint) {
+      throw new Error("PRENDER_SERVICE_URL not configured");
+    }
+    const separator = endpoint.includes("?") ? "&" : "?";
+    const response = await fetch(`${endpoint}${separator}url=${encodeURIComponent(url)}`, {
+      headers: {
+        "User-Agent": "Croutons-Ingestor/1.0",
+        "Accept": "text/html",
+      },
+      signal: AbortSignal.timeout(RENDER_TIMEOUT_MS),
+    });
+    if (!response.ok) {
+      throw new Error(`Prerender service returned ${response.status}`);
+    }
+    return await response.text();
+  },
+};
+
+/**
+ * Map a page URL to its fixture file: <dir>/<host>/<path>.html
+ * ("/" -> index.html, "/a/b/" -> a/b/index.html, "/a/b" -> a/b.html)
+ */
+export function fixturePathForUrl(fixtureDir, url) {
+  const { hostname, pathname } = new URL(url);
+  let relative = decodeURIComponent(pathname);
+  if (relative.endsWith("/")) relative += "index";
+  relative = relative.replace(/\.html?$/i, "") + ".html";
+
+  const resolved = path.resolve(fixtureDir, hostname, "." + relative);
+  // Never read outside the fixture directory
+  if (!resolved.startsWith(path.resolve(fixtureDir) + path.sep)) {
+    throw new Error(`Fixture path escapes fixture directory: ${url}`);
+  }
+  return resolved;
+}
+
+/**
+ * Local stand-in: serves pre-rendered HTML saved under PRERENDER_FIXTURE_DIR,
+ * so rendered ingestion can run without a headless browser or network
+ */
+export const fixtureRenderer = {
+  name: "prerender-fixtures",
+
+  isAvailable() {
+    return !!process.env.PRERENDER_FIXTURE_DIR;
+  },
+
+  async render(url) {
+    const fixtureDir = process.env.PRERENDER_FIXTURE_DIR;
+    if (!fixtureDir) {
+      throw new Error("PRERENDER_FIXTURE_DIR not configured");
+    }
+    const file = fixturePathForUrl(fixtureDir, url);
+    try {
+      return await fs.readFile(file, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        throw new Error(`No prerender fixture for ${url}`);
+      }
+      throw error;
+    }
+  },
+};
+
+const RENDERERS = {
+  service: serviceRenderer,
+  fixtures: fixtureRenderer,
+};
+
+let activeRenderer = null;
+
+/**
+ * Get the active renderer (PRERENDER_RENDERER, default "service")
+ */
+export function getRenderer() {
+  if (activeRenderer) return activeRenderer;
+  const name = process.env.PRERENDER_RENDERER || "service";
+  const renderer = RENDERERS[name];
+  if (!renderer) {
+    throw new Error(`Unknown PRERENDER_RENDERER: ${name} (expected ${Object.keys(RENDERERS).join(", ")})`);
+  }
+  return renderer;
+}
+
+/**
+ * Replace the active renderer (pass null to go back to PRERENDER_RENDERER)
+ */
+export function setRenderer(renderer) {
+  if (renderer && (typeof renderer.render !== "function" || !renderer.name)) {
+    throw new Error("Renderer must have a name and a render(url) function");
+  }
+  activeRenderer = renderer;
+}
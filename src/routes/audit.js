@@ -115,7 +115,7 @@ export async function auditPage(req, res) {
         SELECT COUNT(*) as count,
                COUNT(CASE WHEN evidence_anchor IS NOT NULL THEN 1 END) as with_anchors
         FROM public.croutons
-        WHERE domain = $1
+        WHERE domain = $1 AND retracted_at IS NULL
         LIMIT 1000
       `, [domain]);
 
@@ -5,6 +5,7 @@
 import { pool } from '../db.js';
 import { parse } from 'node-html-parser';
 import dns from 'dns/promises';
+import { normalizeUrl as normalizePageUrl } from '../urls.js';
 
 /**
  * Verify domain ownership (DNS TXT or HTTP well-known fallback)
@@ -246,6 +247,8 @@ export async function discoverPage(req, res) {
     }
 
     // Step 6: Store discovery record with proof (Protocol v1.1)
+    // Keyed on the canonical URL ingestion resolved, like html_snapshots
+    const pageUrl = ingestResult.data?.source_url || normalizePageUrl(page) || page;
     const path = new URL(page).pathname.replace(/^\/+|\/+$/g, '') || 'index';
     await pool.query(`
       INSERT INTO discovered_pages (
@@ -264,7 +267,7 @@ export async function discoverPage(req, res) {
         ingestion_id = EXCLUDED.ingestion_id
     `, [
       domain, 
-      page, 
+      pageUrl, 
       alternateLink.href, 
       discoveredMirrorUrl,
       discoveryMethod,
@@ -84,6 +84,7 @@ export async function getExtract(req, res) {
       WHERE domain = $1 
         AND source_url = $2 
         AND evidence_type = 'text_extraction'
+        AND retracted_at IS NULL
       ORDER BY fact_id`,
       [domain, canonicalUrl]
     );
@@ -1,8 +1,11 @@
 // src/routes/facts.js
-// E1: NDJSON facts stream endpoint for guaranteed citeability
+// E1: NDJSON facts stream endpoint for guaranteed citeability (keyset-paginated, cursor-streamed)
 
 import crypto from 'crypto';
 import { pool } from '../db.js';
+import { normalizeUrl } from '../urls.js';
+import { getFactFormat, formatForMediaType, FORMAT_MEDIA_TYPES } from '../factFormats.js';
+import { merkleRoot, inclusionProof, signRoot, publicKeySet, MERKLE_ALGORITHM, SIGNATURE_ALGORITHM } from '../factSigning.js';
 
 /**
  * Generate stable fact ID from components
@@ -14,9 +17,619 @@ function generateFactId(domain, sourceUrl, entityId, predicate, object) {
   return crypto.createHash('sha256').update(components).digest('hex');
 }
 
+// Feed order: ingestion order (ingest_seq, migrations/039). The key never
+// changes once a row is stored - re-verifying a fact does not move it - so pages
+// neither repeat nor skip facts, and a consumer resuming from its last cursor
+// receives facts (and revisions) stored after it started. Changes to facts it
+// already has come from the changes feed (?since=).
+const FEED_ORDER = [
+  { sql: 'ingest_seq', type: 'bigint' }
+];
+
+// Changes feed (?since=): live rows by their last visible change (maintained by a
+// trigger, see migrations/038 and 041) plus versions superseded or removed into
+// croutons_history. A fact that was retracted and later restored appears as a
+// retract (from its history row) followed by an upsert.
+//
+// Changes are read in (change_txid, change_seq) order, and only those made by
+// transactions older than the reading snapshot's xmin (CHANGES_SETTLED): every
+// such transaction has finished, so no change can later commit behind a resume
+// token. Timestamps come from the writer's clock and could not promise that.
+const CHANGES_SOURCE = `(
+  SELECT changed_at AS event_at, change_txid, change_seq,
+    CASE WHEN retracted_at IS NULL THEN 'upsert' ELSE 'retract' END AS op,
+    domain, crouton_id, source_url, text, triple, confidence, created_at, verified_at,
+    slot_id, fact_id, previous_fact_id, revision, supporting_text, evidence_anchor,
+    extraction_text_hash, evidence_type, source_path, language, retracted_at,
+    anchor_missing, NULL::varchar AS superseded_by
+  FROM public.croutons
+  UNION ALL
+  SELECT superseded_at, change_txid, change_seq, 'retract',
+    domain, crouton_id, source_url, text, triple, confidence, valid_from, NULL::timestamptz,
+    slot_id, fact_id, previous_fact_id, revision, supporting_text, evidence_anchor,
+    extraction_text_hash, evidence_type, source_path, language, superseded_at,
+    NULL::boolean, superseded_by
+  FROM public.croutons_history
+) AS changes`;
+const CHANGES_ORDER = [
+  { sql: 'change_txid', type: 'bigint' },
+  { sql: 'change_seq', type: 'bigint' }
+];
+const CHANGES_HORIZON = 'pg_snapshot_xmin(pg_current_snapshot())::text::bigint';
+const CHANGES_SETTLED = ` AND change_txid < ${CHANGES_HORIZON}`;
+
+const DEFAULT_PAGE_SIZE = 1000;
+const MAX_PAGE_SIZE = 50000;
+const FETCH_BATCH_SIZE = 500;
+const TIMESTAMP_TEXT = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(\.\d+)?([+-]\d{2}(:?\d{2})?|Z)?$/;
+// Cursor key parts by SQL type (text parts take any string)
+const KEY_PATTERNS = {
+  timestamptz: TIMESTAMP_TEXT,
+  bigint: /^\d{1,18}$/
+};
+
+/**
+ * Opaque feed cursor: base64url JSON of a row's order key
+ */
+function encodeFeedCursor(key) {
+  return Buffer.from(JSON.stringify(key)).toString('base64url');
+}
+
+function decodeFeedCursor(cursor, order) {
+  try {
+    const key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Array.isArray(key) && key.length === order.length &&
+        key.every((part, i) => typeof part === 'string' &&
+          (!KEY_PATTERNS[order[i].type] || KEY_PATTERNS[order[i].type].test(part)))) {
+      return key;
+    }
+  } catch {
+    // Malformed cursor
+  }
+  return null;
+}
+
+function parsePageSize(limit) {
+  return Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+}
+
+/**
+ * Key comparison against a cursor: appends the key to params
+ */
+function orderKeyCondition(order, operator, key, params) {
+  const placeholders = order.map((part, i) => {
+    params.push(key[i]);
+    return `$${params.length}::${part.type}`;
+  });
+  return ` AND (${order.map(part => part.sql).join(', ')}) ${operator} (${placeholders.join(', ')})`;
+}
+
+/**
+ * Read the order keys of one feed page (pageSize rows after feed.after), in the
+ * caller's transaction or snapshot. With feed.signing, also the fact_ids the
+ * page will carry, as written to the body.
+ */
+async function readFeedPage(db, feed, pageSize) {
+  const pageParams = [...feed.params];
+  let pageWhere = feed.where;
+  if (feed.after) {
+    pageWhere += orderKeyCondition(feed.order, '>', feed.after, pageParams);
+  }
+
+  const { rows: keyRows } = await db.query(`
+    SELECT ${feed.order.map((part, i) => `(${part.sql})::text AS k${i}`).join(', ')},
+           (${feed.version})::text AS version
+           ${feed.signing ? `, ${feed.signing.columns}` : ''}
+    FROM ${feed.from}
+    WHERE ${pageWhere}
+    ORDER BY ${feed.order.map(part => part.sql).join(', ')}
+    LIMIT $${pageParams.length + 1}
+  `, [...pageParams, pageSize + 1]);
+
+  const pageKeys = keyRows.slice(0, pageSize);
+  const keyOf = row => feed.order.map((part, i) => row[`k${i}`]);
+  return {
+    pageWhere,
+    pageParams,
+    pageKeys,
+    keyOf,
+    lastKey: pageKeys.length > 0 ? keyOf(pageKeys[pageKeys.length - 1]) : null,
+    hasMore: keyRows.length > pageSize,
+    factIds: feed.signing ? pageKeys.map(feed.signing.factId).filter(Boolean) : null
+  };
+}
+
+/**
+ * Stream one page of a facts feed, reading rows through a server-side cursor
+ * instead of buffering them.
+ *
+ * feed: { from, order, columns, version, where, params, after, cursorParam, formatRow, format?, resumeToken?, signing? }
+ * - rows of `from` matching `where` / `params` are read in `order`, after the `after` key
+ * - `version` is a SQL expression that changes whenever a row's output does
+ * - formatRow(row) returns the fact to write (or null to skip the row)
+ * - format is the serializer from src/factFormats.js (default NDJSON)
+ * - resumeToken(lastKey) returns the X-Resume-Token header value
+ * - signing: { columns, factId(row) } signs the page (X-Facts-Merkle-Root,
+ *   X-Facts-Tree-Size, X-Facts-Signature, X-Facts-Key-Id) over the fact_ids
+ *   factId() derives from `columns`, which must match what formatRow writes
+ *
+ * The page's keys are read first, so Link: rel="next" (cursorParam=<last key>),
+ * an ETag and the signature over the whole page can be sent ahead of the body;
+ * a matching If-None-Match gets 304 without reading the rows. Keys and rows are
+ * read in one repeatable-read transaction, so the headers describe exactly the
+ * rows written.
+ */
+async function streamFactsPage(req, res, feed) {
+  const format = feed.format || getFactFormat('ndjson');
+  const pageSize = parsePageSize(req.query.limit);
+
+  const client = await pool.connect();
+  let closed = false;
+  res.on('close', () => { closed = true; });
+  try {
+    await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+    const page = await readFeedPage(client, feed, pageSize);
+    const { lastKey } = page;
+
+    const etag = `"${crypto.createHash('sha256')
+      .update(JSON.stringify([format.name, page.pageKeys.map(row => [...page.keyOf(row), row.version])]))
+      .digest('hex').substring(0, 32)}"`;
+    res.setHeader('ETag', etag);
+    res.setHeader('Cache-Control', 'public, max-age=300');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    if (page.factIds) {
+      const treeSize = new Set(page.factIds).size;
+      const root = merkleRoot(page.factIds);
+      const signed = signRoot({ domain: feed.domain, treeSize, root });
+      res.setHeader('X-Facts-Merkle-Root', root);
+      res.setHeader('X-Facts-Tree-Size', String(treeSize));
+      res.setHeader('X-Facts-Signature', signed.signature);
+      res.setHeader('X-Facts-Key-Id', signed.key_id);
+    }
+    if (feed.resumeToken) {
+      const token = feed.resumeToken(lastKey);
+      if (token) res.setHeader('X-Resume-Token', token);
+    }
+    if (page.hasMore) {
+      const next = new URL(req.originalUrl, 'http://localhost');
+      next.searchParams.set(feed.cursorParam, encodeFeedCursor(lastKey));
+      res.setHeader('Link', `<${next.pathname}${next.search}>; rel="next"`);
+    }
+    if (req.headers['if-none-match'] === etag) {
+      await client.query('COMMIT');
+      return res.status(304).end();
+    }
+
+    res.setHeader('Content-Type', format.contentType);
+    const context = { domain: feed.domain || null };
+    if (!lastKey) {
+      await client.query('COMMIT');
+      return res.end(format.begin(context) + format.end());
+    }
+
+    const streamParams = [...page.pageParams];
+    const streamWhere = page.pageWhere + orderKeyCondition(feed.order, '<=', lastKey, streamParams);
+    await client.query(`
+      DECLARE facts_feed NO SCROLL CURSOR FOR
+      SELECT ${feed.columns}
+      FROM ${feed.from}
+      WHERE ${streamWhere}
+      ORDER BY ${feed.order.map(part => part.sql).join(', ')}
+    `, streamParams);
+
+    res.flushHeaders();
+    res.write(format.begin(context));
+    while (!closed) {
+      const { rows } = await client.query(`FETCH ${FETCH_BATCH_SIZE} FROM facts_feed`);
+      for (const row of rows) {
+        const fact = feed.formatRow(row);
+        const text = fact ? format.line(fact) : '';
+        if (text && !res.write(text)) {
+          await new Promise(resolve => {
+            const done = () => {
+              res.off('drain', done).off('close', done);
+              resolve();
+            };
+            res.on('drain', done).on('close', done);
+          });
+        }
+      }
+      if (rows.length < FETCH_BATCH_SIZE) break;
+    }
+
+    await client.query('COMMIT');
+    res.end(format.end());
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Columns the NDJSON feeds read from public.croutons
+const FEED_COLUMNS = `
+  crouton_id, source_url, text, triple, confidence, created_at, verified_at,
+  slot_id, fact_id, previous_fact_id, revision, supporting_text, evidence_anchor,
+  extraction_text_hash, evidence_type, source_path, language, retracted_at`;
+
+// Columns a feed page is signed over: enough to derive each fact_id as written
+// (content only for legacy rows without a stored fact_id)
+const SIGNING_COLUMNS = `
+  fact_id, source_url,
+  CASE WHEN fact_id IS NULL THEN triple END AS triple,
+  CASE WHEN fact_id IS NULL THEN text END AS text`;
+
+/**
+ * fact_id of a croutons row as the feeds write it: the stored one, or for
+ * legacy rows one generated from its content
+ */
+function rowFactId(row, domain) {
+  if (row.fact_id) return row.fact_id;
+  if (row.triple && typeof row.triple === 'object') {
+    const { subject, predicate, object } = row.triple;
+    return generateFactId(domain, row.source_url, subject, predicate, object);
+  }
+  return generateFactId(domain, row.source_url, `https://${domain}/#org`, 'states', row.text);
+}
+
+// Domain of a row in the all-domains feed (null for malformed source URLs, which are skipped)
+function feedRowDomain(row) {
+  try {
+    return new URL(row.source_url).hostname;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Format a croutons row for GET /v1/facts/:domain.ndjson
+ */
+function formatDomainFact(row, domain, includeRetracted) {
+  // Generate entity ID for this domain
+  const baseEntityId = `https://${domain}/#org`;
+
+  // Protocol v1.1: Determine evidence type
+  const evidenceType = row.evidence_type || 'unknown';
+
+  // If we have a triple, use it
+  if (row.triple && typeof row.triple === 'object') {
+    const { subject, predicate, object } = row.triple;
+
+    return {
+      // Protocol v1.1: Identity fields
+      slot_id: row.slot_id || null,
+      fact_id: rowFactId(row, domain),
+      revision: row.revision || 1,
+      previous_fact_id: row.previous_fact_id || null,
+
+      // Protocol v1.1: Evidence type (REQUIRED)
+      evidence_type: evidenceType,
+
+      // Core fact fields
+      entity_id: subject || baseEntityId,
+      predicate: predicate || 'states',
+      object: object,
+      source_url: row.source_url,
+      language: row.language || null,
+
+      // Protocol v1.1: Evidence fields (conditional on type)
+      ...(evidenceType === 'text_extraction' ? {
+        supporting_text: row.supporting_text,
+        evidence_anchor: row.evidence_anchor,
+        anchor_missing: !row.evidence_anchor || !row.supporting_text
+      } : {
+        supporting_text: null,
+        evidence_anchor: null,
+        anchor_missing: true,
+        source_path: row.source_path || `${predicate}`
+      }),
+
+      // Metadata
+      updated_at: row.verified_at || row.created_at,
+      confidence: row.confidence,
+      crouton_id: row.crouton_id,
+      ...(includeRetracted ? { retracted: !!row.retracted_at, retracted_at: row.retracted_at || null } : {})
+    };
+  }
+
+  // Fall back to text-based fact
+  return {
+    // Protocol v1.1: Identity fields
+    slot_id: row.slot_id || null,
+    fact_id: rowFactId(row, domain),
+    revision: row.revision || 1,
+    previous_fact_id: row.previous_fact_id || null,
+
+    // Core fact fields
+    entity_id: baseEntityId,
+    predicate: 'states',
+    object: row.text,
+    source_url: row.source_url,
+    language: row.language || null,
+
+    // Protocol v1.1: Evidence anchor
+    supporting_text: row.supporting_text || row.text,
+    evidence_anchor: row.evidence_anchor || null,
+
+    // Metadata
+    updated_at: row.verified_at || row.created_at,
+    confidence: row.confidence,
+    crouton_id: row.crouton_id,
+    ...(includeRetracted ? { retracted: !!row.retracted_at, retracted_at: row.retracted_at || null } : {})
+  };
+}
+
+/**
+ * Format a croutons row for GET /v1/facts.ndjson (null for malformed source URLs)
+ */
+function formatFeedFact(row) {
+  const domain = feedRowDomain(row);
+  if (!domain) return null;
+  const baseEntityId = `https://${domain}/#org`;
+
+  if (row.triple && typeof row.triple === 'object') {
+    const { subject, predicate, object } = row.triple;
+
+    return {
+      // Protocol v1.1: Identity fields
+      slot_id: row.slot_id || null,
+      fact_id: rowFactId(row, domain),
+      revision: row.revision || 1,
+      previous_fact_id: row.previous_fact_id || null,
+
+      // Core fact fields
+      entity_id: subject || baseEntityId,
+      predicate: predicate || 'states',
+      object: object,
+      source_url: row.source_url,
+
+      // Protocol v1.1: Evidence anchor
+      supporting_text: row.supporting_text || row.text || object,
+      evidence_anchor: row.evidence_anchor || null,
+
+      // Metadata
+      updated_at: row.verified_at || row.created_at,
+      confidence: row.confidence,
+      crouton_id: row.crouton_id
+    };
+  }
+
+  return {
+    // Protocol v1.1: Identity fields
+    slot_id: row.slot_id || null,
+    fact_id: rowFactId(row, domain),
+    revision: row.revision || 1,
+    previous_fact_id: row.previous_fact_id || null,
+
+    // Core fact fields
+    entity_id: baseEntityId,
+    predicate: 'states',
+    object: row.text,
+    source_url: row.source_url,
+
+    // Protocol v1.1: Evidence anchor
+    supporting_text: row.supporting_text || row.text,
+    evidence_anchor: row.evidence_anchor || null,
+
+    // Metadata
+    updated_at: row.verified_at || row.created_at,
+    confidence: row.confidence,
+    crouton_id: row.crouton_id
+  };
+}
+
+/**
+ * End a response after a feed error: a JSON error before the body has
+ * started, otherwise abort so the client sees a truncated stream
+ */
+function failFeed(res, error) {
+  if (res.headersSent) {
+    res.destroy(error);
+  } else {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Parse ?since=: a changes feed cursor (X-Resume-Token or a rel="next" link)
+ * or an ISO 8601 timestamp. Returns { after } (the order key to read after) or
+ * { at } (changes from that time on, read from the start of the order), or null.
+ */
+function parseSince(since) {
+  const cursor = decodeFeedCursor(since, CHANGES_ORDER);
+  if (cursor) return { after: cursor };
+  const at = new Date(since);
+  return isNaN(at.getTime()) ? null : { at: at.toISOString() };
+}
+
+/**
+ * Changes feed cursor for "now": every change a later poll can see was made by a
+ * transaction at or past the current snapshot's xmin
+ */
+async function readChangesHorizon() {
+  const { rows: [horizon] } = await pool.query(`SELECT ${CHANGES_HORIZON}::text AS txid`);
+  return [horizon.txid, '0'];
+}
+
+/**
+ * Escape LIKE wildcards in a literal prefix (used with ESCAPE '\')
+ */
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, '\\$&');
+}
+
+function parseList(value) {
+  return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Filters shared by the NDJSON feeds. Appends values to params and returns
+ * { sql } (" AND ..." conditions on croutons columns) or { error } for a 400.
+ * domain is the feed's domain (null for the all-domains feed).
+ *
+ * evidence_type, language, source_url (exact, any alias), source_url_prefix (path
+ * such as /services/, or a URL prefix), predicate and entity_id / subject
+ * (comma-separated), source_path_prefix, min_confidence, anchored_only=true,
+ * revision / min_revision, verified_after / verified_before (on verified_at,
+ * else created_at - the fact's updated_at)
+ */
+async function parseFactFilters(query, params, domain) {
+  let sql = '';
+  const add = (condition, ...values) => {
+    const placeholders = values.map(value => {
+      params.push(value);
+      return `$${params.length}`;
+    });
+    sql += ` AND ${condition(...placeholders)}`;
+  };
+
+  // Protocol v1.1: Support filtering by evidence_type
+  const evidenceTypeFilter = query.evidence_type;
+  const validTypes = ['structured_data', 'text_extraction'];
+  if (evidenceTypeFilter && validTypes.includes(evidenceTypeFilter)) {
+    add(p => `evidence_type = ${p}`, evidenceTypeFilter);
+  }
+
+  // Multilingual: filter by detected page language (primary subtag, e.g. "th")
+  const languageFilter = (query.language || '').trim().toLowerCase();
+  if (languageFilter) {
+    add(p => `language = ${p}`, languageFilter);
+  }
+
+  // PHASE F: Add source_url filter for per-URL verification
+  const sourceUrlFilter = (query.source_url || '').trim();
+  if (sourceUrlFilter) {
+    let aliasDomain = domain;
+    if (!aliasDomain) {
+      try {
+        aliasDomain = new URL(sourceUrlFilter).hostname;
+      } catch {
+        return { error: 'source_url must be an absolute URL' };
+      }
+    }
+    sql += addSourceUrlFilter(params, await resolveSourceUrl(aliasDomain, sourceUrlFilter));
+  }
+
+  const sourceUrlPrefix = (query.source_url_prefix || '').trim();
+  if (sourceUrlPrefix) {
+    if (/^https?:\/\//i.test(sourceUrlPrefix)) {
+      add(p => `source_url LIKE ${p} ESCAPE '\\'`, `${escapeLike(sourceUrlPrefix)}%`);
+    } else {
+      const path = sourceUrlPrefix.startsWith('/') ? sourceUrlPrefix : `/${sourceUrlPrefix}`;
+      add(p => `regexp_replace(source_url, '^[a-z]+://[^/]+', '') LIKE ${p} ESCAPE '\\'`, `${escapeLike(path)}%`);
+    }
+  }
+
+  // Text facts without a triple are served as <domain>/#org "states" <text>
+  const predicates = parseList(query.predicate);
+  if (predicates.length > 0) {
+    add(p => `COALESCE(triple->>'predicate', 'states') = ANY(${p})`, predicates);
+  }
+  const entityIds = parseList(query.entity_id || query.subject);
+  if (entityIds.length > 0) {
+    add(p => `COALESCE(triple->>'subject', 'https://' || domain || '/#org') = ANY(${p})`, entityIds);
+  }
+
+  const sourcePathPrefix = (query.source_path_prefix || '').trim();
+  if (sourcePathPrefix) {
+    add(p => `COALESCE(source_path, triple->>'predicate') LIKE ${p} ESCAPE '\\'`, `${escapeLike(sourcePathPrefix)}%`);
+  }
+
+  if (query.min_confidence !== undefined) {
+    const minConfidence = parseFloat(query.min_confidence);
+    if (!Number.isFinite(minConfidence)) {
+      return { error: 'min_confidence must be a number' };
+    }
+    add(p => `confidence >= ${p}`, minConfidence);
+  }
+
+  // Citation-grade only: anchored text and not flagged by re-verification
+  if (query.anchored_only === 'true') {
+    sql += ' AND evidence_anchor IS NOT NULL AND supporting_text IS NOT NULL AND anchor_missing IS NOT TRUE';
+  }
+
+  for (const [name, operator] of [['revision', '='], ['min_revision', '>=']]) {
+    if (query[name] === undefined) continue;
+    const revision = Number(query[name]);
+    if (!Number.isInteger(revision) || revision < 1) {
+      return { error: `${name} must be a positive integer` };
+    }
+    add(p => `COALESCE(revision, 1) ${operator} ${p}`, revision);
+  }
+
+  for (const [name, operator] of [['verified_after', '>='], ['verified_before', '<']]) {
+    if (query[name] === undefined) continue;
+    const at = new Date(query[name]);
+    if (isNaN(at.getTime())) {
+      return { error: `${name} must be an ISO 8601 timestamp` };
+    }
+    add(p => `COALESCE(verified_at, created_at) ${operator} ${p}`, at.toISOString());
+  }
+
+  return { sql };
+}
+
+/**
+ * Export format of a domain facts request: the path extension
+ * (/v1/facts/:domain.csv), else negotiated from Accept on /v1/facts/:domain
+ * (NDJSON when Accept is absent or accepts anything). Returns null when nothing
+ * acceptable.
+ */
+function resolveFactFormat(req, res) {
+  const extension = req.params.format || (req.path.endsWith('.ndjson') ? 'ndjson' : null);
+  if (extension) return getFactFormat(extension);
+  res.vary('Accept');
+  const mediaType = req.accepts(FORMAT_MEDIA_TYPES);
+  return mediaType ? getFactFormat(formatForMediaType(mediaType)) : null;
+}
+
+/**
+ * WHERE clause of a domain feed: { where, params }, or { error } for a bad filter
+ */
+async function domainFeedWhere(query, domain, includeRetracted) {
+  let where = 'domain = $1';
+  const params = [domain];
+  if (!includeRetracted) {
+    where += ` AND retracted_at IS NULL`;
+  }
+  const filters = await parseFactFilters(query, params, domain);
+  if (filters.error) {
+    return { error: filters.error };
+  }
+  return { where: where + filters.sql, params };
+}
+
+/**
+ * The full (non-changes) domain feed, signed - shared by the feed and its proofs
+ */
+function domainFactsFeed(domain, where, params, after, includeRetracted) {
+  return {
+    from: 'public.croutons',
+    order: FEED_ORDER,
+    columns: FEED_COLUMNS,
+    version: "COALESCE(changed_at::text, '')",
+    where,
+    params,
+    after,
+    cursorParam: 'after',
+    formatRow: row => formatDomainFact(row, domain, includeRetracted),
+    signing: { columns: SIGNING_COLUMNS, factId: row => rowFactId(row, domain) },
+    domain
+  };
+}
+
 /**
- * GET /v1/facts/:domain.ndjson
- * Returns all facts for a domain in spec-compliant NDJSON format
+ * GET /v1/facts/:domain.ndjson (also .jsonld, .nt, .ttl, .csv, .json, or
+ * /v1/facts/:domain with an Accept header - see src/factFormats.js)
+ * Returns a domain's facts in spec-compliant NDJSON format in ingestion order,
+ * in pages of `limit` (default 1000): follow the Link: rel="next" header
+ * (?after=<cursor>) until it is absent to read every fact.
+ *
+ * With ?since=<timestamp|cursor> returns changes instead: one line per fact
+ * created, updated or retracted after that point, in change order, each with
+ * op ("upsert" or "retract") and changed_at. X-Resume-Token is the ?since= value
+ * for the next poll.
  */
 export async function getFactsStream(req, res) {
   try {
@@ -26,258 +639,431 @@ export async function getFactsStream(req, res) {
       return res.status(400).json({ error: 'Domain required' });
     }
     
-    // Protocol v1.1: Support filtering by evidence_type
-    const evidenceTypeFilter = req.query.evidence_type;
-    const validTypes = ['structured_data', 'text_extraction'];
-    
-    let query = `SELECT 
-        crouton_id,
-        source_url,
-        text,
-        triple,
-        confidence,
-        created_at,
-        verified_at,
-        slot_id,
-        fact_id,
-        previous_fact_id,
-        revision,
-        supporting_text,
-        evidence_anchor,
-        extraction_text_hash,
-        evidence_type,
-        source_path
-      FROM public.croutons
-      WHERE domain = $1`;
-    
-    const params = [domain];
-    
-    // Add evidence_type filter if provided
-    if (evidenceTypeFilter && validTypes.includes(evidenceTypeFilter)) {
-      query += ` AND evidence_type = $2`;
-      params.push(evidenceTypeFilter);
+    const format = resolveFactFormat(req, res);
+    if (!format) {
+      return res.status(406).json({ error: 'Not Acceptable', available: FORMAT_MEDIA_TYPES });
     }
     
-    // PHASE F: Add source_url filter for per-URL verification
-    const sourceUrlFilter = (req.query.source_url || '').trim();
-    if (sourceUrlFilter) {
-      // Normalize: strip all trailing slashes, then match both variants
-      const base = sourceUrlFilter.replace(/\/+$/, '');
-      const urlA = base;
-      const urlB = base + '/';
-      
-      query += ` AND (source_url = $${params.length + 1} OR source_url = $${params.length + 2})`;
-      params.push(urlA, urlB);
+    const since = req.query.since ? parseSince(String(req.query.since)) : null;
+    if (req.query.since && !since) {
+      return res.status(400).json({ error: 'since must be an ISO 8601 timestamp or a resume token' });
     }
-    
-    query += ` ORDER BY created_at DESC LIMIT 1000`;
-    
-    const { rows } = await pool.query(query, params);
-    
-    // Protocol v1.1: Set proper NDJSON headers
-    res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
-    res.setHeader('Cache-Control', 'public, max-age=300');
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    
-    // Generate ETag from first fact's extraction_text_hash (if available)
-    if (rows.length > 0 && rows[0].extraction_text_hash) {
-      res.setHeader('ETag', `"${rows[0].extraction_text_hash.substring(0, 16)}"`);
+    if (since && format.name !== 'ndjson') {
+      return res.status(400).json({ error: 'The changes feed (since) is only available as NDJSON' });
+    }
+    const after = req.query.after ? decodeFeedCursor(String(req.query.after), FEED_ORDER) : null;
+    if (req.query.after && (!after || since)) {
+      return res.status(400).json({ error: since ? 'after cannot be combined with since' : 'Invalid after cursor' });
     }
     
-    // Generate entity ID for this domain
-    const baseEntityId = `https://${domain}/#org`;
+    // Tombstoned facts are stale citations - only served on request (changes always carry retractions)
+    const includeRetracted = since !== null || req.query.include_retracted === 'true';
+    const { where, params, error } = await domainFeedWhere(req.query, domain, includeRetracted);
+    if (error) {
+      return res.status(400).json({ error });
+    }
     
-    // Stream facts in v1.1 format
-    for (const row of rows) {
-      let fact;
-      
-      // Protocol v1.1: Use stored slot_id and fact_id if available
-      const hasV1Fields = row.slot_id && row.fact_id;
-      
-      // Protocol v1.1: Determine evidence type
-      const evidenceType = row.evidence_type || 'unknown';
-      
-      // If we have a triple, use it
-      if (row.triple && typeof row.triple === 'object') {
-        const { subject, predicate, object } = row.triple;
-        
-        fact = {
-          // Protocol v1.1: Identity fields
-          slot_id: row.slot_id || null,
-          fact_id: row.fact_id || generateFactId(domain, row.source_url, subject, predicate, object),
-          revision: row.revision || 1,
-          previous_fact_id: row.previous_fact_id || null,
-          
-          // Protocol v1.1: Evidence type (REQUIRED)
-          evidence_type: evidenceType,
-          
-          // Core fact fields
-          entity_id: subject || baseEntityId,
-          predicate: predicate || 'states',
-          object: object,
-          source_url: row.source_url,
-          
-          // Protocol v1.1: Evidence fields (conditional on type)
-          ...(evidenceType === 'text_extraction' ? {
-            supporting_text: row.supporting_text,
-            evidence_anchor: row.evidence_anchor,
-            anchor_missing: !row.evidence_anchor || !row.supporting_text
-          } : {
-            supporting_text: null,
-            evidence_anchor: null,
-            anchor_missing: true,
-            source_path: row.source_path || `${predicate}`
-          }),
-          
-          // Metadata
-          updated_at: row.verified_at || row.created_at,
-          confidence: row.confidence,
-          crouton_id: row.crouton_id
-        };
-      } else {
-        // Fall back to text-based fact
-        fact = {
-          // Protocol v1.1: Identity fields
-          slot_id: row.slot_id || null,
-          fact_id: row.fact_id || generateFactId(domain, row.source_url, baseEntityId, 'states', row.text),
-          revision: row.revision || 1,
-          previous_fact_id: row.previous_fact_id || null,
-          
-          // Core fact fields
-          entity_id: baseEntityId,
-          predicate: 'states',
-          object: row.text,
-          source_url: row.source_url,
-          
-          // Protocol v1.1: Evidence anchor
-          supporting_text: row.supporting_text || row.text,
-          evidence_anchor: row.evidence_anchor || null,
-          
-          // Metadata
-          updated_at: row.verified_at || row.created_at,
-          confidence: row.confidence,
-          crouton_id: row.crouton_id
-        };
+    if (since) {
+      let changesWhere = where + CHANGES_SETTLED;
+      // A timestamp has no place in the order: filter on it and hand out the
+      // horizon when nothing matches yet, so the next poll starts from there
+      let emptyToken = since.after;
+      if (since.at) {
+        params.push(since.at);
+        changesWhere += ` AND event_at >= $${params.length}::timestamptz`;
+        emptyToken = await readChangesHorizon();
       }
-      
-      // Write NDJSON line
-      res.write(JSON.stringify(fact) + '\n');
+      return await streamFactsPage(req, res, {
+        from: CHANGES_SOURCE,
+        order: CHANGES_ORDER,
+        columns: `event_at AS changed_at, op, superseded_by, ${FEED_COLUMNS}`,
+        version: 'op',
+        where: changesWhere,
+        params,
+        after: since.after || null,
+        cursorParam: 'since',
+        formatRow: row => ({
+          op: row.op,
+          changed_at: row.changed_at,
+          ...formatDomainFact(row, domain, true),
+          ...(row.superseded_by ? { superseded_by: row.superseded_by } : {})
+        }),
+        resumeToken: lastKey => encodeFeedCursor(lastKey || emptyToken)
+      });
+    }
+    
+    // A full download hands out the point it started from, to poll changes with ?since= afterwards
+    let changesToken = null;
+    if (!after) {
+      changesToken = encodeFeedCursor(await readChangesHorizon());
     }
     
-    res.end();
+    await streamFactsPage(req, res, {
+      ...domainFactsFeed(domain, where, params, after, includeRetracted),
+      format,
+      resumeToken: () => changesToken
+    });
     
   } catch (error) {
     console.error('[facts] Error:', error);
-    res.status(500).json({ error: error.message });
+    failFeed(res, error);
   }
 }
 
 /**
  * GET /v1/facts.ndjson (all domains)
- * Returns all facts in spec-compliant NDJSON format
+ * Returns all facts in spec-compliant NDJSON format, paginated and filtered like
+ * GET /v1/facts/:domain.ndjson (limit, after, Link: rel="next"); ?domain= takes a
+ * comma-separated domain list
  */
 export async function getAllFactsStream(req, res) {
   try {
-    const limit = parseInt(req.query.limit) || 1000;
-    
-    // Protocol v1.1: Query croutons with new fields
-    const { rows } = await pool.query(
-      `SELECT 
-        crouton_id,
-        source_url,
-        text,
-        triple,
-        confidence,
-        created_at,
-        verified_at,
-        slot_id,
-        fact_id,
-        previous_fact_id,
-        revision,
-        supporting_text,
-        evidence_anchor,
-        extraction_text_hash
-      FROM croutons
-      ORDER BY created_at DESC
-      LIMIT $1`,
-      [limit]
-    );
+    const after = req.query.after ? decodeFeedCursor(String(req.query.after), FEED_ORDER) : null;
+    if (req.query.after && !after) {
+      return res.status(400).json({ error: 'Invalid after cursor' });
+    }
     
-    // Protocol v1.1: Set proper NDJSON headers
-    res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
-    res.setHeader('Cache-Control', 'public, max-age=300');
-    res.setHeader('Access-Control-Allow-Origin', '*');
+    const params = [req.query.include_retracted === 'true'];
+    let where = '($1::boolean OR retracted_at IS NULL)';
+    const domains = parseList(req.query.domain).map(domain => domain.toLowerCase());
+    if (domains.length > 0) {
+      params.push(domains);
+      where += ` AND domain = ANY($${params.length})`;
+    }
+    const filters = await parseFactFilters(req.query, params, null);
+    if (filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
+    where += filters.sql;
     
-    // Stream facts in v1.1 format
-    for (const row of rows) {
-      try {
-        const sourceUrl = new URL(row.source_url);
-        const domain = sourceUrl.hostname;
-        const baseEntityId = `https://${domain}/#org`;
-        
-        let fact;
-        
-        if (row.triple && typeof row.triple === 'object') {
-          const { subject, predicate, object } = row.triple;
-          
-          fact = {
-            // Protocol v1.1: Identity fields
-            slot_id: row.slot_id || null,
-            fact_id: row.fact_id || generateFactId(domain, row.source_url, subject, predicate, object),
-            revision: row.revision || 1,
-            previous_fact_id: row.previous_fact_id || null,
-            
-            // Core fact fields
-            entity_id: subject || baseEntityId,
-            predicate: predicate || 'states',
-            object: object,
-            source_url: row.source_url,
-            
-            // Protocol v1.1: Evidence anchor
-            supporting_text: row.supporting_text || row.text || object,
-            evidence_anchor: row.evidence_anchor || null,
-            
-            // Metadata
-            updated_at: row.verified_at || row.created_at,
-            confidence: row.confidence,
-            crouton_id: row.crouton_id
-          };
-        } else {
-          fact = {
-            // Protocol v1.1: Identity fields
-            slot_id: row.slot_id || null,
-            fact_id: row.fact_id || generateFactId(domain, row.source_url, baseEntityId, 'states', row.text),
-            revision: row.revision || 1,
-            previous_fact_id: row.previous_fact_id || null,
-            
-            // Core fact fields
-            entity_id: baseEntityId,
-            predicate: 'states',
-            object: row.text,
-            source_url: row.source_url,
-            
-            // Protocol v1.1: Evidence anchor
-            supporting_text: row.supporting_text || row.text,
-            evidence_anchor: row.evidence_anchor || null,
-            
-            // Metadata
-            updated_at: row.verified_at || row.created_at,
-            confidence: row.confidence,
-            crouton_id: row.crouton_id
-          };
+    await streamFactsPage(req, res, {
+      from: 'public.croutons',
+      order: FEED_ORDER,
+      columns: FEED_COLUMNS,
+      version: "COALESCE(changed_at::text, '')",
+      where,
+      params,
+      after,
+      cursorParam: 'after',
+      formatRow: formatFeedFact,
+      signing: {
+        columns: SIGNING_COLUMNS,
+        factId: row => {
+          const domain = feedRowDomain(row);
+          return domain ? rowFactId(row, domain) : null;
         }
-        
-        res.write(JSON.stringify(fact) + '\n');
-      } catch (e) {
-        // Skip malformed URLs
-        continue;
       }
-    }
-    
-    res.end();
+    });
     
   } catch (error) {
     console.error('[facts-all] Error:', error);
+    failFeed(res, error);
+  }
+}
+
+// Columns shared by public.croutons and public.croutons_history
+const VERSION_COLUMNS = `
+  crouton_id, source_url, text, triple, confidence,
+  slot_id, fact_id, previous_fact_id, revision,
+  supporting_text, evidence_anchor, extraction_text_hash,
+  evidence_type, source_path, language`;
+
+/**
+ * Format a current or archived fact row as a version record
+ */
+function formatFactVersion(row) {
+  const triple = row.triple && typeof row.triple === 'object' ? row.triple : {};
+  return {
+    slot_id: row.slot_id || null,
+    fact_id: row.fact_id || null,
+    revision: row.revision || 1,
+    previous_fact_id: row.previous_fact_id || null,
+    evidence_type: row.evidence_type || 'unknown',
+    entity_id: triple.subject || null,
+    predicate: triple.predicate || 'states',
+    object: triple.object ?? row.text,
+    source_url: row.source_url,
+    source_path: row.source_path || null,
+    language: row.language || null,
+    supporting_text: row.supporting_text || null,
+    evidence_anchor: row.evidence_anchor || null,
+    extraction_text_hash: row.extraction_text_hash || null,
+    confidence: row.confidence,
+    crouton_id: row.crouton_id,
+    valid_from: row.valid_from,
+    valid_until: row.valid_until || null,
+    ...(row.change_type ? { change_type: row.change_type, superseded_by: row.superseded_by || null } : {})
+  };
+}
+
+/**
+ * Resolve a source_url filter to the canonical URL facts are stored under:
+ * normalize it, then follow url_aliases (e.g. a tracking-param or non-canonical spelling)
+ */
+export async function resolveSourceUrl(domain, sourceUrl) {
+  const normalized = normalizeUrl(sourceUrl);
+  if (!normalized) return sourceUrl;
+  const { rows } = await pool.query(
+    'SELECT canonical_url FROM url_aliases WHERE domain = $1 AND alias_url = $2',
+    [domain, normalized]
+  );
+  return rows[0]?.canonical_url || normalized;
+}
+
+/**
+ * Append an exact source_url filter (pass a URL resolved with resolveSourceUrl)
+ */
+function addSourceUrlFilter(params, sourceUrl) {
+  params.push(sourceUrl);
+  return ` AND source_url = $${params.length}`;
+}
+
+/**
+ * Load the facts that were current for a domain at a point in time:
+ * live rows created by then plus archived versions whose validity window covers it.
+ * Returns Map<crouton_id, row>.
+ */
+async function getFactsAt(domain, at, sourceUrl) {
+  const params = [domain, at];
+  const urlFilter = sourceUrl ? addSourceUrlFilter(params, sourceUrl) : '';
+
+  const { rows } = await pool.query(`
+    SELECT ${VERSION_COLUMNS}, created_at AS valid_from, retracted_at AS valid_until
+    FROM public.croutons
+    WHERE domain = $1 AND created_at <= $2
+      AND (retracted_at IS NULL OR retracted_at > $2)${urlFilter}
+    UNION ALL
+    SELECT ${VERSION_COLUMNS}, valid_from, superseded_at AS valid_until
+    FROM public.croutons_history
+    WHERE domain = $1 AND valid_from <= $2 AND superseded_at > $2${urlFilter}
+  `, params);
+
+  const facts = new Map();
+  for (const row of rows) {
+    facts.set(row.crouton_id, row);
+  }
+  return facts;
+}
+
+/**
+ * GET /v1/facts/:domain/history?slot_id=
+ * Returns every version of a fact slot, oldest first: archived versions from
+ * croutons_history followed by the row(s) still in croutons (live or retracted)
+ */
+export async function getFactHistory(req, res) {
+  try {
+    const { domain } = req.params;
+    const slotId = (req.query.slot_id || '').trim();
+
+    if (!slotId) {
+      return res.status(400).json({ error: 'slot_id query parameter required' });
+    }
+
+    const { rows } = await pool.query(`
+      SELECT ${VERSION_COLUMNS}, valid_from, superseded_at AS valid_until,
+        change_type, superseded_by
+      FROM public.croutons_history
+      WHERE domain = $1 AND slot_id = $2
+      UNION ALL
+      SELECT ${VERSION_COLUMNS}, created_at AS valid_from, retracted_at AS valid_until,
+        CASE WHEN retracted_at IS NOT NULL THEN 'retracted' END AS change_type, NULL AS superseded_by
+      FROM public.croutons
+      WHERE domain = $1 AND slot_id = $2
+      ORDER BY valid_from ASC, revision ASC
+    `, [domain, slotId]);
+
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'No facts found for slot', domain, slot_id: slotId });
+    }
+
+    const versions = rows.map(row => ({
+      ...formatFactVersion(row),
+      current: row.valid_until === null
+    }));
+
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.json({
+      domain,
+      slot_id: slotId,
+      revisions: versions.length,
+      current: versions.filter(v => v.current).map(v => v.fact_id),
+      versions
+    });
+
+  } catch (error) {
+    console.error('[facts-history] Error:', error);
     res.status(500).json({ error: error.message });
   }
 }
+
+/**
+ * Compare two fact sets (Maps of crouton_id -> row): rows only in `after` are
+ * added, rows only in `before` removed, and a removed and an added row sharing a
+ * slot_id are one change. Returns { added, removed, changed: [{ slot_id, before, after }] }
+ * (exported for the golden fixture harness, scripts/extraction-regression.js)
+ */
+export function diffFactSets(before, after) {
+  const added = [...after.values()].filter(row => !before.has(row.crouton_id));
+  const removed = [...before.values()].filter(row => !after.has(row.crouton_id));
+
+  const addedBySlot = new Map();
+  for (const row of added) {
+    if (!row.slot_id) continue;
+    if (!addedBySlot.has(row.slot_id)) addedBySlot.set(row.slot_id, []);
+    addedBySlot.get(row.slot_id).push(row);
+  }
+
+  const changed = [];
+  const paired = new Set();
+  const removedOnly = [];
+  for (const row of removed) {
+    const successor = row.slot_id ? addedBySlot.get(row.slot_id)?.shift() : null;
+    if (successor) {
+      paired.add(successor.crouton_id);
+      changed.push({ slot_id: row.slot_id, before: row, after: successor });
+    } else {
+      removedOnly.push(row);
+    }
+  }
+
+  return {
+    added: added.filter(row => !paired.has(row.crouton_id)),
+    removed: removedOnly,
+    changed
+  };
+}
+
+/**
+ * GET /v1/facts/:domain/diff?since=<timestamp>[&until=<timestamp>][&source_url=]
+ * Compares the facts that were current at `since` with those current at `until`
+ * (default now). A removed and an added fact sharing a slot_id are reported as changed.
+ */
+export async function getFactsDiff(req, res) {
+  try {
+    const { domain } = req.params;
+    const since = new Date(req.query.since);
+    const until = req.query.until ? new Date(req.query.until) : new Date();
+
+    if (!req.query.since || isNaN(since.getTime())) {
+      return res.status(400).json({ error: 'since query parameter required (ISO 8601 timestamp)' });
+    }
+    if (isNaN(until.getTime())) {
+      return res.status(400).json({ error: 'until must be an ISO 8601 timestamp' });
+    }
+    if (until < since) {
+      return res.status(400).json({ error: 'until must not be earlier than since' });
+    }
+
+    const sourceUrlFilter = (req.query.source_url || '').trim();
+    const sourceUrl = sourceUrlFilter ? await resolveSourceUrl(domain, sourceUrlFilter) : '';
+    const before = await getFactsAt(domain, since, sourceUrl);
+    const after = await getFactsAt(domain, until, sourceUrl);
+
+    const { added, removed, changed } = diffFactSets(before, after);
+    const addedOnly = added.map(formatFactVersion);
+    const removedOnly = removed.map(formatFactVersion);
+
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.json({
+      domain,
+      source_url: sourceUrl || null,
+      since: since.toISOString(),
+      until: until.toISOString(),
+      summary: {
+        added: addedOnly.length,
+        removed: removedOnly.length,
+        changed: changed.length,
+        unchanged: after.size - added.length - changed.length
+      },
+      added: addedOnly,
+      removed: removedOnly,
+      changed: changed.map(({ slot_id, before: row, after: successor }) => ({
+        slot_id,
+        before: formatFactVersion(row),
+        after: formatFactVersion(successor)
+      }))
+    });
+
+  } catch (error) {
+    console.error('[facts-diff] Error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * GET /v1/facts/:domain/proof?fact_id=[&after=&limit=&<filters>][&root=]
+ * Inclusion proof of a fact in the feed page it was served on: pass the page's
+ * query (after, limit, filters, include_retracted) and fact_id. The page is
+ * re-read and hashed exactly as GET /v1/facts/:domain signs it; with root (the
+ * page's X-Facts-Merkle-Root) a page that has changed since gets 409.
+ */
+export async function getFactProof(req, res) {
+  try {
+    const { domain } = req.params;
+    const factId = (req.query.fact_id || '').trim();
+
+    if (!factId) {
+      return res.status(400).json({ error: 'fact_id query parameter required' });
+    }
+    const after = req.query.after ? decodeFeedCursor(String(req.query.after), FEED_ORDER) : null;
+    if (req.query.after && !after) {
+      return res.status(400).json({ error: 'Invalid after cursor' });
+    }
+    const includeRetracted = req.query.include_retracted === 'true';
+    const { where, params, error } = await domainFeedWhere(req.query, domain, includeRetracted);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const pageSize = parsePageSize(req.query.limit);
+    const page = await readFeedPage(pool, domainFactsFeed(domain, where, params, after, includeRetracted), pageSize);
+    const proof = inclusionProof(page.factIds, factId);
+    if (!proof) {
+      return res.status(404).json({ error: 'fact_id is not on this feed page', domain, fact_id: factId });
+    }
+
+    const expectedRoot = (req.query.root || '').trim().toLowerCase();
+    if (expectedRoot && expectedRoot !== proof.root) {
+      return res.status(409).json({ error: 'The feed page has changed since it was signed', domain, root: proof.root });
+    }
+
+    const signed = signRoot({ domain, treeSize: proof.tree_size, root: proof.root });
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.json({
+      domain,
+      fact_id: factId,
+      page: { after: req.query.after || null, limit: pageSize },
+      tree_size: proof.tree_size,
+      root: proof.root,
+      leaf_index: proof.leaf_index,
+      leaf_hash: proof.leaf_hash,
+      audit_path: proof.audit_path,
+      signature: signed.signature,
+      key_id: signed.key_id,
+      signed_message: signed.message,
+      algorithms: { merkle: MERKLE_ALGORITHM, signature: SIGNATURE_ALGORITHM },
+      keys_url: '/.well-known/croutons-facts-keys.json'
+    });
+
+  } catch (error) {
+    console.error('[facts-proof] Error:', error);
+    res.status(500).json({ error: 'Failed to build proof', message: error.message });
+  }
+}
+
+/**
+ * GET /.well-known/croutons-facts-keys.json
+ * Ed25519 public keys (JWK Set) for the X-Facts-Signature headers and proof signatures
+ */
+export function getFactSigningKeys(req, res) {
+  try {
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.json(publicKeySet());
+  } catch (error) {
+    console.error('[facts-keys] Error:', error);
+    res.status(500).json({ error: 'Signing key unavailable', message: error.message });
+  }
+}
@@ -1,7 +1,8 @@
 // src/routes/graph.js
-// C2: Aggregated entity graph endpoint
+// C2: Aggregated entity graph endpoint, hop graph edges and traversal
 
 import { pool } from '../db.js';
+import { resolveSourceUrl } from './facts.js';
 
 /**
  * GET /v1/graph/:domain.jsonld
@@ -121,3 +122,299 @@ function extractArrayFromTriples(triples, entityId, predicate) {
   }
   return values.length > 0 ? values : undefined;
 }
+
+// Hop graph (see migrations/036_add_hop_graph_edges.sql): the unit, section and
+// schema entity edges computed at ingestion, stored per page by storeContentIndex
+
+const DEFAULT_EDGE_LIMIT = 500;
+const MAX_EDGE_LIMIT = 5000;
+const DEFAULT_HOP_DEPTH = 2;
+const MAX_HOP_DEPTH = 4;
+const MAX_HOP_NODES = 500;
+const HOP_DIRECTIONS = ['out', 'in', 'both'];
+
+/**
+ * Normalize an extraction's edges to hop graph rows. Unit edges carry
+ * from_unit_id/to_unit_id (section ids for links_to), schema edges carry
+ * from_entity_id/to_entity_id. Duplicate edges are dropped.
+ */
+export function hopGraphEdges(extractedContent) {
+  const sectionIds = new Set((extractedContent.sections || []).map(section => section.section_id));
+  const kindOf = (id, isEntity) => isEntity ? 'entity' : sectionIds.has(id) ? 'section' : 'unit';
+
+  const rows = new Map();
+  for (const edge of extractedContent.edges || []) {
+    const isEntity = edge.from_entity_id !== undefined || edge.to_entity_id !== undefined;
+    const fromId = isEntity ? edge.from_entity_id : edge.from_unit_id;
+    const toId = isEntity ? edge.to_entity_id : edge.to_unit_id;
+    if (!fromId || !toId || !edge.edge_type) continue;
+
+    const key = [fromId, toId, edge.edge_type, edge.edge_label || ''].join('|');
+    if (rows.has(key)) continue;
+    rows.set(key, {
+      from_id: String(fromId),
+      from_kind: kindOf(fromId, isEntity),
+      from_entity_type: isEntity ? [].concat(edge.from_entity_type || [])[0] || null : null,
+      to_id: String(toId),
+      to_kind: kindOf(toId, isEntity),
+      to_entity_type: isEntity ? [].concat(edge.to_entity_type || [])[0] || null : null,
+      edge_type: edge.edge_type,
+      edge_label: edge.edge_label || null,
+      confidence: edge.confidence ?? null
+    });
+  }
+  return [...rows.values()];
+}
+
+function parseList(value) {
+  return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function formatEdge(row) {
+  return {
+    from_id: row.from_id,
+    from_kind: row.from_kind,
+    from_entity_type: row.from_entity_type,
+    to_id: row.to_id,
+    to_kind: row.to_kind,
+    to_entity_type: row.to_entity_type,
+    edge_type: row.edge_type,
+    edge_label: row.edge_label,
+    confidence: row.confidence,
+    source_url: row.source_url
+  };
+}
+
+/**
+ * GET /v1/graph/:domain/edges
+ * Stored hop graph edges of a domain. Optional filters: source_url, edge_type
+ * (comma-separated), node (edges touching a unit, section or entity id); limit (max 5000).
+ */
+export async function getHopGraphEdges(req, res) {
+  try {
+    const domain = req.params.domain;
+    const edgeTypes = parseList(req.query.edge_type);
+    const node = (req.query.node || '').trim();
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_EDGE_LIMIT, 1), MAX_EDGE_LIMIT);
+
+    const params = [domain];
+    let filters = '';
+    const sourceUrlFilter = (req.query.source_url || '').trim();
+    const sourceUrl = sourceUrlFilter ? await resolveSourceUrl(domain, sourceUrlFilter) : null;
+    if (sourceUrl) {
+      params.push(sourceUrl);
+      filters += ` AND source_url = $${params.length}`;
+    }
+    if (edgeTypes.length > 0) {
+      params.push(edgeTypes);
+      filters += ` AND edge_type = ANY($${params.length})`;
+    }
+    if (node) {
+      params.push(node);
+      filters += ` AND (from_id = $${params.length} OR to_id = $${params.length})`;
+    }
+    params.push(limit);
+
+    const { rows } = await pool.query(`
+      SELECT from_id, from_kind, from_entity_type, to_id, to_kind, to_entity_type,
+             edge_type, edge_label, confidence, source_url
+      FROM hop_graph_edges
+      WHERE domain = $1${filters}
+      ORDER BY source_url, id
+      LIMIT $${params.length}
+    `, params);
+
+    res.json({
+      domain,
+      filters: {
+        source_url: sourceUrl,
+        edge_type: edgeTypes.length > 0 ? edgeTypes : null,
+        node: node || null
+      },
+      count: rows.length,
+      edges: rows.map(formatEdge)
+    });
+  } catch (error) {
+    console.error('[graph] Edges error:', error);
+    res.status(500).json({
+      error: 'Failed to load graph edges',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Unit and section details for traversal nodes (entities carry only their type)
+ */
+async function describeNodes(domain, nodes) {
+  const ids = nodes.filter(node => node.kind !== 'entity').map(node => node.id);
+  if (ids.length === 0) return;
+
+  const [{ rows: units }, { rows: sections }] = await Promise.all([
+    pool.query(`
+      SELECT unit_id, unit_type, clean_text, source_url, section_id, fact_id, evidence_anchor
+      FROM content_units
+      WHERE domain = $1 AND unit_id = ANY($2)
+    `, [domain, ids]),
+    pool.query(`
+      SELECT section_id, section_path, heading_text, source_url
+      FROM content_sections
+      WHERE domain = $1 AND section_id = ANY($2)
+    `, [domain, ids])
+  ]);
+  const unitsById = new Map(units.map(row => [row.unit_id, row]));
+  const sectionsById = new Map(sections.map(row => [row.section_id, row]));
+
+  for (const node of nodes) {
+    const unit = unitsById.get(node.id);
+    const section = sectionsById.get(node.id);
+    if (unit) {
+      Object.assign(node, {
+        unit_type: unit.unit_type,
+        text: unit.clean_text,
+        source_url: unit.source_url,
+        section_id: unit.section_id,
+        fact_id: unit.fact_id,
+        evidence_anchor: unit.evidence_anchor
+      });
+    } else if (section) {
+      Object.assign(node, {
+        section_path: section.section_path,
+        heading_text: section.heading_text,
+        source_url: section.source_url
+      });
+    }
+  }
+}
+
+/**
+ * GET /v1/graph/:domain/hop?from=&depth=
+ * Breadth-first traversal of the hop graph from a unit, section or entity id.
+ * depth 1-4 (default 2); direction out, in or both (default both); optional
+ * edge_type (comma-separated) and min_confidence. Stops at 500 nodes or 5000 edges
+ * (truncated: true).
+ * Each node carries its hop distance and, for units and sections, their text.
+ */
+export async function getHopGraphTraversal(req, res) {
+  try {
+    const domain = req.params.domain;
+    const from = (req.query.from || '').trim();
+    if (!from) {
+      return res.status(400).json({ error: 'from is required (unit_id, section_id or entity_id)' });
+    }
+
+    const depth = req.query.depth === undefined ? DEFAULT_HOP_DEPTH : parseInt(req.query.depth, 10);
+    if (!Number.isInteger(depth) || depth < 1 || depth > MAX_HOP_DEPTH) {
+      return res.status(400).json({ error: `depth must be between 1 and ${MAX_HOP_DEPTH}` });
+    }
+    const direction = (req.query.direction || 'both').trim().toLowerCase();
+    if (!HOP_DIRECTIONS.includes(direction)) {
+      return res.status(400).json({ error: `direction must be one of ${HOP_DIRECTIONS.join(', ')}` });
+    }
+    const edgeTypes = parseList(req.query.edge_type);
+    const minConfidence = req.query.min_confidence === undefined ? null : parseFloat(req.query.min_confidence);
+    if (minConfidence !== null && !Number.isFinite(minConfidence)) {
+      return res.status(400).json({ error: 'min_confidence must be a number' });
+    }
+
+    const { rows: startRows } = await pool.query(`
+      SELECT from_kind AS kind, from_entity_type AS entity_type FROM hop_graph_edges WHERE domain = $1 AND from_id = $2
+      UNION ALL
+      SELECT to_kind, to_entity_type FROM hop_graph_edges WHERE domain = $1 AND to_id = $2
+      UNION ALL
+      SELECT 'unit', NULL FROM content_units WHERE domain = $1 AND unit_id = $2
+      LIMIT 1
+    `, [domain, from]);
+    if (startRows.length === 0) {
+      return res.status(404).json({ error: 'Node not found in hop graph', from });
+    }
+
+    const params = [domain];
+    let filters = '';
+    if (edgeTypes.length > 0) {
+      params.push(edgeTypes);
+      filters += ` AND edge_type = ANY($${params.length})`;
+    }
+    if (minConfidence !== null) {
+      params.push(minConfidence);
+      filters += ` AND confidence >= $${params.length}`;
+    }
+    const frontierParam = `$${params.length + 1}`;
+    const match = {
+      out: `from_id = ANY(${frontierParam})`,
+      in: `to_id = ANY(${frontierParam})`,
+      both: `(from_id = ANY(${frontierParam}) OR to_id = ANY(${frontierParam}))`
+    }[direction];
+
+    const nodes = new Map([[from, { id: from, kind: startRows[0].kind, entity_type: startRows[0].entity_type, hop: 0 }]]);
+    const edges = new Map();
+    let frontier = [from];
+    let truncated = false;
+
+    for (let hop = 1; hop <= depth && frontier.length > 0 && !truncated; hop++) {
+      // One row past the remaining edge budget tells a full hop from a cut-off one
+      const edgeBudget = MAX_EDGE_LIMIT - edges.size;
+      const { rows } = await pool.query(`
+        SELECT id, from_id, from_kind, from_entity_type, to_id, to_kind, to_entity_type,
+               edge_type, edge_label, confidence, source_url
+        FROM hop_graph_edges
+        WHERE domain = $1 AND ${match}${filters}
+        ORDER BY confidence DESC NULLS LAST, id
+        LIMIT $${params.length + 2}
+      `, [...params, frontier, edgeBudget + 1]);
+      if (rows.length > edgeBudget) {
+        truncated = true;
+        rows.length = edgeBudget;
+      }
+
+      const current = new Set(frontier);
+      const next = [];
+      for (const row of rows) {
+        const neighbors = [];
+        if (direction !== 'in' && current.has(row.from_id)) {
+          neighbors.push({ id: row.to_id, kind: row.to_kind, entity_type: row.to_entity_type });
+        }
+        if (direction !== 'out' && current.has(row.to_id)) {
+          neighbors.push({ id: row.from_id, kind: row.from_kind, entity_type: row.from_entity_type });
+        }
+
+        const unseen = neighbors.filter(neighbor => !nodes.has(neighbor.id));
+        if (nodes.size + unseen.length > MAX_HOP_NODES) {
+          truncated = true;
+          break;
+        }
+        edges.set(row.id, row);
+        for (const neighbor of unseen) {
+          nodes.set(neighbor.id, { ...neighbor, hop });
+          next.push(neighbor.id);
+        }
+      }
+      frontier = next;
+    }
+
+    const nodeList = [...nodes.values()];
+    await describeNodes(domain, nodeList);
+
+    res.json({
+      domain,
+      from,
+      depth,
+      direction,
+      filters: {
+        edge_type: edgeTypes.length > 0 ? edgeTypes : null,
+        min_confidence: minConfidence
+      },
+      truncated,
+      node_count: nodeList.length,
+      edge_count: edges.size,
+      nodes: nodeList,
+      edges: [...edges.values()].map(formatEdge)
+    });
+  } catch (error) {
+    console.error('[graph] Hop traversal error:', error);
+    res.status(500).json({
+      error: 'Hop traversal failed',
+      message: error.message
+    });
+  }
+}
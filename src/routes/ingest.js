@@ -4,7 +4,15 @@
 
 import crypto from 'crypto';
 import { parse } from 'node-html-parser';
-import { pool } from '../db.js';
+import { pool, insertJob } from '../db.js';
+import { enqueueJob } from '../redis.js';
+import { getRenderer } from '../renderers.js';
+import { normalizeUrl, resolveCanonicalUrl, extractHreflangAlternates, isSameSite, isSamePage } from '../urls.js';
+import { processStructuredData } from '../jsonld.js';
+import { parseMultipart, collectUploadPages, UploadError } from '../uploads.js';
+import { detectDocumentType, documentToHtml, DocumentError } from '../documents.js';
+import { resolveQAPolicy } from './qaPolicies.js';
+import { storeContentIndex } from './search.js';
 import { loadKB } from '../../precogs-worker/src/kb.js';
 import { validateJsonLdAgainstRules, buildRecommendations } from '../../precogs-worker/src/validateSchema.js';
 
@@ -14,6 +22,9 @@ function generateId(...components) {
   return crypto.createHash('sha256').update(combined).digest('hex').substring(0, 16);
 }
 
+// Page fetches (ingestion and previews) give up after this long
+const FETCH_TIMEOUT_MS = parseInt(process.env.INGEST_FETCH_TIMEOUT_MS || '30000', 10);
+
 // Extract JSON-LD structured data from HTML
 const SCHEMA_CONTEXT = 'https://schema.org';
 const schemaKB = loadKB('schema-foundation');
@@ -65,7 +76,7 @@ function getElementValue(element) {
 function isDescendantOfNestedScope(node, scope) {
   let current = node?.parentNode;
   while (current && current !== scope) {
-    if (current.getAttribute && current.getAttribute('itemscope') !== null) {
+    if (current.hasAttribute && current.hasAttribute('itemscope')) {
       return true;
     }
     current = current.parentNode;
@@ -115,7 +126,7 @@ function collectMicrodataProperties(scope) {
     if (!propName) continue;
     if (propEl === scope) continue;
     if (isDescendantOfNestedScope(propEl, scope)) continue;
-    const nestedScope = propEl.getAttribute('itemscope') !== null;
+    const nestedScope = propEl.hasAttribute('itemscope');
     const value = nestedScope ? buildMicrodataItem(propEl) : getElementValue(propEl);
     for (const namePart of getPropertyNames(propName)) {
       assignPropertyValue(props, namePart, value);
@@ -128,8 +139,11 @@ function extractMicrodata(html) {
   if (!html) return { items: [], itemCount: 0 };
   const root = parse(html);
   const scopes = root.querySelectorAll('[itemscope]');
-  const items = Array.from(scopes).map(scope => buildMicrodataItem(scope));
-  return { items, itemCount: items.length };
+  // Scopes that are a property of another scope are built as part of it
+  const items = Array.from(scopes)
+    .filter(scope => !scope.hasAttribute('itemprop') || !isDescendantOfNestedScope(scope, null))
+    .map(scope => buildMicrodataItem(scope));
+  return { items, itemCount: scopes.length };
 }
 
 function collectRdfaProperties(node) {
@@ -139,7 +153,7 @@ function collectRdfaProperties(node) {
     const propName = propEl.getAttribute('property');
     if (!propName) continue;
     if (isDescendantOfNestedType(propEl, node)) continue;
-    const value = getElementValue(propEl);
+    const value = propEl.getAttribute('typeof') ? buildRdfaItem(propEl) : getElementValue(propEl);
     for (const namePart of getPropertyNames(propName)) {
       assignPropertyValue(props, namePart, value);
     }
@@ -147,6 +161,38 @@ function collectRdfaProperties(node) {
   return props;
 }
 
+// RDFa initial context prefix used for schema.org properties ("schema:name")
+const RDFA_CONTEXT = [SCHEMA_CONTEXT, { schema: 'https://schema.org/' }];
+
+function buildRdfaItem(node) {
+  const rawTypes = (node.getAttribute('typeof') || '').split(/\s+/);
+  const normalizedTypes = rawTypes.map(normalizeSchemaType).filter(Boolean);
+  const item = { '@context': RDFA_CONTEXT };
+  if (normalizedTypes.length === 1) {
+    item['@type'] = normalizedTypes[0];
+  } else if (normalizedTypes.length > 1) {
+    item['@type'] = normalizedTypes;
+  } else {
+    item['@type'] = 'Thing';
+  }
+  const subject = node.getAttribute('resource') || node.getAttribute('about');
+  if (subject) {
+    item['@id'] = subject;
+  }
+  Object.assign(item, collectRdfaProperties(node));
+  return item;
+}
+
+function countRdfaTriples(item) {
+  return Object.entries(item).reduce((sum, [key, value]) => {
+    if (key.startsWith('@')) return sum;
+    return (Array.isArray(value) ? value : [value]).reduce((count, entry) => {
+      if (entry && typeof entry === 'object') return count + 1 + countRdfaTriples(entry);
+      return count + (entry ? 1 : 0);
+    }, sum);
+  }, 0);
+}
+
 function extractRdfa(html) {
   if (!html) return { items: [], tripleCount: 0 };
   const root = parse(html);
@@ -154,22 +200,10 @@ function extractRdfa(html) {
   const items = [];
   let tripleCount = 0;
   for (const node of nodes) {
-    const rawTypes = (node.getAttribute('typeof') || '').split(/\s+/);
-    const normalizedTypes = rawTypes.map(normalizeSchemaType).filter(Boolean);
-    const item = { '@context': SCHEMA_CONTEXT };
-    if (normalizedTypes.length === 1) {
-      item['@type'] = normalizedTypes[0];
-    } else if (normalizedTypes.length > 1) {
-      item['@type'] = normalizedTypes;
-    } else {
-      item['@type'] = 'Thing';
-    }
-    const props = collectRdfaProperties(node);
-    tripleCount += Object.values(props).reduce((sum, value) => {
-      if (Array.isArray(value)) return sum + value.length;
-      return sum + (value ? 1 : 0);
-    }, 0);
-    Object.assign(item, props);
+    // Typed nodes that are a property of another typed node are built as part of it
+    if (node.getAttribute('property') && isDescendantOfNestedType(node, null)) continue;
+    const item = buildRdfaItem(node);
+    tripleCount += countRdfaTriples(item);
     items.push(item);
   }
   return { items, tripleCount };
@@ -212,7 +246,9 @@ function normalizeSchemaItem(item) {
   return normalized;
 }
 
-function extractAllSchema(html) {
+// JSON-LD, microdata and RDFa are processed together (src/jsonld.js):
+// expanded, compacted to schema.org, and merged into one node per entity
+function extractAllSchema(html, baseUrl = null) {
   const jsonLdResult = extractJsonLdBlocks(html);
   const microdataResult = extractMicrodata(html);
   const rdfaResult = extractRdfa(html);
@@ -221,7 +257,8 @@ function extractAllSchema(html) {
     ...microdataResult.items,
     ...rdfaResult.items
   ];
-  const structuredData = rawItems
+  const { entities, fragmentsMerged } = processStructuredData(rawItems, baseUrl);
+  const structuredData = entities
     .map(normalizeSchemaItem)
     .filter(Boolean);
   const schemaTypes = new Set();
@@ -241,6 +278,8 @@ function extractAllSchema(html) {
       jsonld_block_count: jsonLdResult.blockCount,
       microdata_item_count: microdataResult.itemCount,
       rdfa_triple_count: rdfaResult.tripleCount,
+      entity_count: structuredData.length,
+      merged_fragment_count: fragmentsMerged,
       extracted_schema_types: Array.from(schemaTypes).sort()
     }
   };
@@ -709,6 +748,241 @@ function extractSections(html, url, docId, boilerplateSignals) {
   return sections;
 }
 
+// DOM-based extraction: walks the parsed tree instead of regex-slicing the markup
+const DOM_SKIP_TAGS = new Set(['script', 'style', 'noscript', 'template', 'svg', 'nav', 'footer', 'aside', 'iframe', 'form']);
+const DOM_HEADING_TAGS = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+const MAX_SECTION_WINDOW = 3000;
+
+// Append one section's text as windowed section records (same shape as extractSections)
+function pushSectionWindows(sections, { url, docId, sectionPath, headingText, headingLevel, pathDepth, cleanText }) {
+  let windowIndex = 0;
+  let remainingText = cleanText;
+
+  while (remainingText.length > 0) {
+    const windowText = remainingText.substring(0, MAX_SECTION_WINDOW);
+    const sectionId = generateId(url, sectionPath, windowIndex);
+    const prevSection = sections[sections.length - 1] || null;
+
+    sections.push({
+      section_id: sectionId,
+      doc_id: docId,
+      url,
+      section_path: sectionPath,
+      heading_text: headingText,
+      heading_level: headingLevel,
+      char_start: 0, // Set when building doc_clean_text
+      char_end: 0,
+      clean_text: windowText,
+      section_text: windowText,
+      prev_section_id: prevSection ? prevSection.section_id : null,
+      next_section_id: null,
+      section_rank_features: {
+        heading_level: headingLevel,
+        section_path_depth: pathDepth,
+        schema_density: 0
+      }
+    });
+    if (prevSection) prevSection.next_section_id = sectionId;
+
+    remainingText = remainingText.substring(MAX_SECTION_WINDOW);
+    windowIndex++;
+  }
+}
+
+// Split a DOM subtree into heading-delimited sections
+function extractSectionsFromNode(root, url, docId, boilerplateSignals) {
+  const sections = [];
+  const pathStack = [];
+  let current = { heading: null, parts: [], linkTexts: new Set() };
+
+  const flush = () => {
+    let cleanText = current.parts.join(' ').replace(/\s+/g, ' ').trim();
+    cleanText = removeBoilerplateHard(cleanText, current.linkTexts, boilerplateSignals);
+    if (cleanText.length >= 100) {
+      const heading = current.heading;
+      pushSectionWindows(sections, {
+        url,
+        docId,
+        sectionPath: heading ? pathStack.map(h => h.text).join(' > ') : 'Document',
+        headingText: heading ? heading.text : '',
+        headingLevel: heading ? heading.level : 0,
+        pathDepth: pathStack.length,
+        cleanText
+      });
+    }
+  };
+
+  const walk = (node) => {
+    for (const child of node.childNodes) {
+      if (child.nodeType === 3) {
+        current.parts.push(child.text);
+        continue;
+      }
+      if (child.nodeType !== 1) continue;
+
+      const tag = (child.rawTagName || '').toLowerCase();
+      if (DOM_SKIP_TAGS.has(tag) || child.getAttribute('aria-hidden') === 'true') continue;
+
+      if (DOM_HEADING_TAGS.has(tag)) {
+        flush();
+        const level = parseInt(tag[1]);
+        const text = child.text.replace(/\s+/g, ' ').trim();
+        while (pathStack.length > 0 && pathStack[pathStack.length - 1].level >= level) {
+          pathStack.pop();
+        }
+        pathStack.push({ level, text });
+        current = { heading: { level, text }, parts: [], linkTexts: new Set() };
+        continue;
+      }
+
+      if (tag === 'a') {
+        const linkText = child.text.replace(/\s+/g, ' ').trim();
+        if (linkText && linkText.length < 100) current.linkTexts.add(linkText.toLowerCase());
+      }
+
+      walk(child);
+      // Block boundaries become spaces so adjacent blocks don't fuse words
+      current.parts.push(' ');
+    }
+  };
+
+  walk(root);
+  flush();
+  return sections;
+}
+
+// croutons-dom-v1: heading-delimited sections over the whole <body>
+function extractSectionsDom(html, url, docId, boilerplateSignals) {
+  const root = parse(html);
+  const body = root.querySelector('body') || root;
+  return extractSectionsFromNode(body, url, docId, boilerplateSignals);
+}
+
+// Readability-style container scoring for croutons-main-content-v1
+const POSITIVE_CONTENT_HINTS = /article|body|content|entry|main|page|post|story|text/i;
+const NEGATIVE_CONTENT_HINTS = /ad-|banner|breadcrumb|comment|cookie|footer|header|menu|modal|nav|promo|related|share|sidebar|social|sponsor|widget/i;
+
+function scoreContentCandidate(node) {
+  const text = node.text.replace(/\s+/g, ' ').trim();
+  if (text.length < 200) return 0;
+
+  const linkTextLength = node.querySelectorAll('a')
+    .reduce((sum, a) => sum + a.text.replace(/\s+/g, ' ').trim().length, 0);
+  const linkDensity = linkTextLength / text.length;
+  const paragraphs = node.querySelectorAll('p').length;
+  const commas = (text.match(/,/g) || []).length;
+
+  let score = Math.min(text.length / 100, 30) + paragraphs * 3 + commas;
+  const tag = (node.rawTagName || '').toLowerCase();
+  if (tag === 'article' || tag === 'main' || node.getAttribute('role') === 'main') score += 25;
+
+  const hints = `${node.getAttribute('class') || ''} ${node.getAttribute('id') || ''}`;
+  if (POSITIVE_CONTENT_HINTS.test(hints)) score += 25;
+  if (NEGATIVE_CONTENT_HINTS.test(hints)) score -= 25;
+
+  return score * (1 - linkDensity);
+}
+
+// croutons-main-content-v1: pick the highest-scoring content container, then
+// split it like croutons-dom-v1 (falls back to <body> when nothing scores)
+function extractSectionsMainContent(html, url, docId, boilerplateSignals) {
+  const root = parse(html);
+  const body = root.querySelector('body') || root;
+
+  let best = null;
+  let bestScore = 0;
+  for (const candidate of body.querySelectorAll('article, main, section, div, [role="main"]')) {
+    const score = scoreContentCandidate(candidate);
+    if (score > bestScore) {
+      best = candidate;
+      bestScore = score;
+    }
+  }
+
+  const sections = extractSectionsFromNode(best || body, url, docId, boilerplateSignals);
+  // A container that yields nothing usable is a mis-pick - use the whole body
+  return sections.length > 0 || !best ? sections : extractSectionsFromNode(body, url, docId, boilerplateSignals);
+}
+
+// Extraction method registry: named, versioned extractors producing sections
+// (and so canonical_extracted_text). Existing anchors are only reproducible
+// with the method that produced them, so an extractor's output must never
+// change under the same name - ship a new version instead.
+const EXTRACTION_METHODS = {
+  'croutons-readability-v1': {
+    aliases: ['regex'],
+    description: 'Regex split on <h1>-<h6> tags (original extractor)',
+    extractSections
+  },
+  'croutons-dom-v1': {
+    aliases: ['dom'],
+    description: 'DOM walk (node-html-parser) with heading-delimited sections',
+    extractSections: extractSectionsDom
+  },
+  'croutons-main-content-v1': {
+    aliases: ['main-content'],
+    description: 'Readability-style main content scoring, then DOM sections',
+    extractSections: extractSectionsMainContent
+  }
+};
+const DEFAULT_EXTRACTION_METHOD = 'croutons-readability-v1';
+
+// Resolve a method name or alias to its registered name (null if unknown)
+export function resolveExtractionMethod(name) {
+  if (!name) return null;
+  const key = String(name).trim().toLowerCase();
+  if (EXTRACTION_METHODS[key]) return key;
+  return Object.keys(EXTRACTION_METHODS).find(method => EXTRACTION_METHODS[method].aliases.includes(key)) || null;
+}
+
+// List registered extraction methods (for error messages and discovery)
+export function listExtractionMethods() {
+  return Object.entries(EXTRACTION_METHODS).map(([name, method]) => ({
+    name,
+    aliases: method.aliases,
+    description: method.description,
+    default: name === DEFAULT_EXTRACTION_METHOD
+  }));
+}
+
+// Deterministic replay: re-run a recorded extraction method on stored HTML exactly
+// as extractContentUniversal does. Returns null for unregistered methods.
+export function replayExtraction(html, sourceUrl, extractionMethod = DEFAULT_EXTRACTION_METHOD) {
+  const extractor = EXTRACTION_METHODS[extractionMethod];
+  if (!extractor) return null;
+
+  const docId = generateId(sourceUrl, 'doc');
+  const sections = extractor.extractSections(html, sourceUrl, docId, { removed_fragments: [], rules_fired: [] });
+  const canonicalExtractedText = buildDocCleanText(sections);
+  return {
+    canonical_extracted_text: canonicalExtractedText,
+    extraction_text_hash: crypto.createHash('sha256').update(canonicalExtractedText, 'utf8').digest('hex')
+  };
+}
+
+// Per-domain extractor preference from verified_domains (null when unset)
+async function getDomainExtractionMethod(domain) {
+  try {
+    const result = await pool.query(
+      'SELECT extraction_method FROM verified_domains WHERE domain = $1',
+      [domain]
+    );
+    return resolveExtractionMethod(result.rows[0]?.extraction_method);
+  } catch (error) {
+    console.warn(`[ingest] Error reading extraction_method for ${domain}:`, error.message);
+    return null;
+  }
+}
+
+// Extractor for a request: request > verified_domains setting > default
+// (null if the requested method is unknown)
+async function selectExtractionMethod(domain, requestedMethod) {
+  if (requestedMethod) {
+    return resolveExtractionMethod(requestedMethod);
+  }
+  return (await getDomainExtractionMethod(domain)) || DEFAULT_EXTRACTION_METHOD;
+}
+
 // REQUIREMENT 1: Build doc_clean_text and fix provenance offsets (REQUIREMENT 2: Fix offsets)
 // Protocol v1.1: This becomes canonical_extracted_text - must be deterministic
 function buildDocCleanText(sections) {
@@ -1817,10 +2091,35 @@ function detectVertical(schemas) {
   };
 }
 
+// QA checks that measure schema markup (not applicable as blockers to non-HTML documents)
+const SCHEMA_DERIVED_CHECKS = ['schema_coverage_score', 'hop_graph_density'];
+
 // REQUIREMENT 9: Citations Guarantee QA gate
-async function runQAGate(units, sections, docCleanText, boilerplateSignals, schemaCheckReport = {}, edges = [], domain = null) {
+// Thresholds and blocking/warning levels come from the QA policy resolved for the
+// domain / detected vertical (see routes/qaPolicies.js)
+async function runQAGate(units, sections, docCleanText, boilerplateSignals, schemaCheckReport = {}, edges = [], domain = null, vertical = null, documentType = 'html') {
   const errors = [];
+  const warnings = [];
   const fixSuggestions = [];
+  const checkResults = {};
+  const policy = await resolveQAPolicy(domain, vertical);
+  
+  // Record a check result; failures block or warn according to the policy
+  const applyCheck = (check, value, failed, message, suggestion) => {
+    let { level } = policy.checks[check];
+    // PDF / DOCX / text sources cannot carry schema markup: schema-derived checks only warn
+    if (documentType !== 'html' && level === 'blocking' && SCHEMA_DERIVED_CHECKS.includes(check)) {
+      level = 'warning';
+    }
+    checkResults[check] = { level, value, passed: !failed };
+    if (!failed || level === 'off') return;
+    if (level === 'warning') {
+      warnings.push(message);
+    } else {
+      errors.push(message);
+    }
+    fixSuggestions.push(suggestion);
+  };
   const schemaChecks = {
     missing_schema_checks: schemaCheckReport?.missing_schema_checks || [],
     present_schema_checks: schemaCheckReport?.present_schema_checks || [],
@@ -1830,7 +2129,7 @@ async function runQAGate(units, sections, docCleanText, boilerplateSignals, sche
   
   // Check if domain is verified (lower threshold for verified domains)
   let isVerified = false;
-  let requiredSchemaCoverage = 0.5; // Default threshold
+  let requiredSchemaCoverage = policy.checks.schema_coverage_score.min;
   
   if (domain) {
     try {
@@ -1839,8 +2138,8 @@ async function runQAGate(units, sections, docCleanText, boilerplateSignals, sche
         [domain]
       );
       isVerified = verifiedCheck.rows.length > 0 && verifiedCheck.rows[0].verified_at !== null;
-      if (isVerified) {
-        requiredSchemaCoverage = 0.0; // Verified domains bypass schema coverage requirement
+      if (isVerified && typeof policy.checks.schema_coverage_score.verified_min === 'number') {
+        requiredSchemaCoverage = policy.checks.schema_coverage_score.verified_min; // Verified domains get the policy's verified threshold
         console.log(`[runQAGate] Verified domain ${domain} detected - lowering schema coverage threshold to ${requiredSchemaCoverage}`);
       }
     } catch (error) {
@@ -1856,36 +2155,44 @@ async function runQAGate(units, sections, docCleanText, boilerplateSignals, sche
   ).length;
   const groundedFactRate = facts.length > 0 ? groundedFacts / facts.length : 1.0;
   
-  if (groundedFactRate < 0.95) {
-    errors.push(`grounded_fact_rate too low: ${groundedFactRate.toFixed(2)} (required: >= 0.95)`);
-    fixSuggestions.push('Review fact extraction - ensure all facts are schema-grounded or visible-text-grounded');
-  }
+  const minGroundedFactRate = policy.checks.grounded_fact_rate.min;
+  applyCheck('grounded_fact_rate', groundedFactRate, groundedFactRate < minGroundedFactRate,
+    `grounded_fact_rate too low: ${groundedFactRate.toFixed(2)} (required: >= ${minGroundedFactRate})`,
+    'Review fact extraction - ensure all facts are schema-grounded or visible-text-grounded');
   
   // Check ungrounded facts
   const ungroundedFacts = facts.filter(f => 
     f.unit_grounding === 'model_inferred' || !f.unit_grounding
   ).length;
   
-  if (ungroundedFacts > 0) {
-    errors.push(`ungrounded_fact_count: ${ungroundedFacts} (required: 0)`);
-    fixSuggestions.push('Downgrade ungrounded facts to claims with lower confidence');
-  }
+  const maxUngroundedFacts = policy.checks.ungrounded_fact_count.max;
+  applyCheck('ungrounded_fact_count', ungroundedFacts, ungroundedFacts > maxUngroundedFacts,
+    `ungrounded_fact_count: ${ungroundedFacts} (required: ${maxUngroundedFacts > 0 ? `<= ${maxUngroundedFacts}` : maxUngroundedFacts})`,
+    'Downgrade ungrounded facts to claims with lower confidence');
   
   // Check unit length (target range by type)
   const avgLengths = {};
+  const maxAvgLength = policy.checks.avg_unit_length.max;
+  let longestAvgLength = 0;
   for (const unitType of ['fact', 'definition', 'claim', 'faq_a']) {
     const typeUnits = units.filter(u => u.unit_type === unitType);
     if (typeUnits.length > 0) {
       const avgLength = typeUnits.reduce((sum, u) => sum + u.clean_text.length, 0) / typeUnits.length;
       avgLengths[unitType] = avgLength;
       
+      longestAvgLength = Math.max(longestAvgLength, avgLength);
+      
       // Target: 120-350 chars
-      if (avgLength > 500) {
-        errors.push(`${unitType} avg_length too high: ${avgLength.toFixed(0)} chars (target: 120-350)`);
-        fixSuggestions.push(`Atomize ${unitType} units further`);
+      if (avgLength > maxAvgLength) {
+        applyCheck('avg_unit_length', avgLength, true,
+          `${unitType} avg_length too high: ${avgLength.toFixed(0)} chars (target: 120-350)`,
+          `Atomize ${unitType} units further`);
       }
     }
   }
+  if (!checkResults.avg_unit_length) {
+    applyCheck('avg_unit_length', longestAvgLength, false);
+  }
   
   // Check atomicity (no multi-claim units)
   const multiClaimUnits = units.filter(u => {
@@ -1894,10 +2201,10 @@ async function runQAGate(units, sections, docCleanText, boilerplateSignals, sche
   }).length;
   const atomicityPassRate = units.length > 0 ? 1 - (multiClaimUnits / units.length) : 1.0;
   
-  if (atomicityPassRate < 0.9) {
-    errors.push(`atomicity_pass_rate too low: ${atomicityPassRate.toFixed(2)} (required: >= 0.9)`);
-    fixSuggestions.push('Split multi-claim units into single-assertion units');
-  }
+  const minAtomicityPassRate = policy.checks.atomicity_pass_rate.min;
+  applyCheck('atomicity_pass_rate', atomicityPassRate, atomicityPassRate < minAtomicityPassRate,
+    `atomicity_pass_rate too low: ${atomicityPassRate.toFixed(2)} (required: >= ${minAtomicityPassRate})`,
+    'Split multi-claim units into single-assertion units');
   
   // Check schema coverage
   const schemaUnits = units.filter(u => ['schema', 'schema_text'].includes(u.unit_grounding)).length;
@@ -1911,15 +2218,20 @@ async function runQAGate(units, sections, docCleanText, boilerplateSignals, sche
 
   if (schemaCoverageScore < requiredSchemaCoverage) {
     needsSchema = true;
-    errors.push(`schema_coverage_score too low: ${schemaCoverageScore.toFixed(2)} (required: >= ${requiredSchemaCoverage.toFixed(1)})`);
-    fixSuggestions.push(`needs schema coverage increase (>= ${requiredSchemaCoverage.toFixed(1)})`);
   }
+  applyCheck('schema_coverage_score', schemaCoverageScore, needsSchema,
+    `schema_coverage_score too low: ${schemaCoverageScore.toFixed(2)} (required: >= ${requiredSchemaCoverage.toFixed(1)})`,
+    `needs schema coverage increase (>= ${requiredSchemaCoverage.toFixed(1)})`);
 
+  const minHopGraphDensity = policy.checks.hop_graph_density.gt;
   if (hopGraphDensity === 0) {
     graphEdgesMissing = true;
-    errors.push('hop_graph_density is 0 (graph edges missing)');
-    fixSuggestions.push('Create schema relationships so hop_graph_density > 0');
   }
+  applyCheck('hop_graph_density', hopGraphDensity, !(hopGraphDensity > minHopGraphDensity),
+    hopGraphDensity === 0
+      ? 'hop_graph_density is 0 (graph edges missing)'
+      : `hop_graph_density too low: ${hopGraphDensity.toFixed(2)} (required: > ${minHopGraphDensity})`,
+    `Create schema relationships so hop_graph_density > ${minHopGraphDensity}`);
   
   const qualityReport = {
     grounded_fact_rate: groundedFactRate,
@@ -1934,7 +2246,16 @@ async function runQAGate(units, sections, docCleanText, boilerplateSignals, sche
     present_schema_checks: schemaChecks.present_schema_checks,
     detected_schema_types: schemaChecks.detected_schema_types,
     recommended_next_types: schemaChecks.recommended_next_types,
+    qa_policy: {
+      name: policy.name,
+      version: policy.version,
+      source: policy.source,
+      vertical: vertical || null
+    },
+    document_type: documentType,
+    checks: checkResults,
     errors: errors.length > 0 ? errors : undefined,
+    warnings: warnings.length > 0 ? warnings : undefined,
     fix_suggestions: fixSuggestions.length > 0 ? fixSuggestions : undefined
   };
   
@@ -1981,7 +2302,8 @@ function computeQAMetrics(sections, units, docCleanText, boilerplateSignals) {
 }
 
 // Main content extraction with all upgrades
-async function extractContentUniversal(html, baseUrl, schemaHtmlOverride = null, domain = null) {
+// (exported for the golden fixture harness, scripts/extraction-regression.js)
+export async function extractContentUniversal(html, baseUrl, schemaHtmlOverride = null, domain = null, extractionMethod = DEFAULT_EXTRACTION_METHOD, documentType = 'html') {
   const docId = generateId(baseUrl, 'doc');
   const boilerplateSignals = { removed_fragments: [], rules_fired: [] };
   
@@ -1990,22 +2312,28 @@ async function extractContentUniversal(html, baseUrl, schemaHtmlOverride = null,
   const title = titleMatch ? titleMatch[1].trim() : '';
   const meta = extractMetaTags(html);
   const schemaSourceHtml = schemaHtmlOverride || html;
-  const { structured_data, extraction_stats } = extractAllSchema(schemaSourceHtml);
+  const { structured_data, extraction_stats } = extractAllSchema(schemaSourceHtml, baseUrl);
   const schemaCheckReport = analyzeSchemaCoverage(structured_data, extraction_stats);
   
   // Extract sections (retrieve-layer parents) with hard boilerplate scrubbing
-  const sections = extractSections(html, baseUrl, docId, boilerplateSignals);
+  const extractor = EXTRACTION_METHODS[extractionMethod];
+  if (!extractor) {
+    throw new Error(`Unknown extraction method: ${extractionMethod}`);
+  }
+  const sections = extractor.extractSections(html, baseUrl, docId, boilerplateSignals);
   
   // REQUIREMENT 1: Build doc_clean_text and fix provenance offsets
   // Protocol v1.1: This is canonical_extracted_text - deterministic extraction
   const docCleanText = buildDocCleanText(sections);
   
-  // Protocol v1.1: Generate extraction hash (must be deterministic)
-  const extractionMethod = 'croutons-readability-v1';
+  // Protocol v1.1: Generate extraction hash (must be deterministic per extraction method)
   const extractionTextHash = crypto.createHash('sha256')
     .update(docCleanText, 'utf8')
     .digest('hex');
   
+  // Page language: drives sentence segmentation and assertion cues for facts
+  const { language, source: languageSource } = detectLanguage(html, docCleanText, baseUrl);
+  
   // Extract units (search-layer children)
   const units = [];
   const edges = [];
@@ -2102,7 +2430,7 @@ async function extractContentUniversal(html, baseUrl, schemaHtmlOverride = null,
   const qa = computeQAMetrics(sections, units, docCleanText, boilerplateSignals);
   
   // 9. Run QA gate (REQUIREMENT 9: Citations Guarantee)
-  const qaGate = await runQAGate(units, sections, docCleanText, boilerplateSignals, schemaCheckReport, edges, domain);
+  const qaGate = await runQAGate(units, sections, docCleanText, boilerplateSignals, schemaCheckReport, edges, domain, vertical.vertical, documentType);
   
   return {
     doc_id: docId,
@@ -2115,6 +2443,8 @@ async function extractContentUniversal(html, baseUrl, schemaHtmlOverride = null,
     canonical_extracted_text: docCleanText,
     extraction_method: extractionMethod,
     extraction_text_hash: extractionTextHash,
+    language,
+    language_source: languageSource,
     boilerplate_signals: boilerplateSignals, // REQUIREMENT 2
     entities, // REQUIREMENT 5
     intended_users: intendedUsers, // REQUIREMENT 7
@@ -2301,7 +2631,9 @@ function derivePath(sourceUrl) {
 }
 
 // Generate markdown from extracted content + STORED units (Protocol v1.1)
-async function generateMarkdown(extractedContent, sourceUrl, contentHash, domain) {
+// pageFacts ({ textExtractionFacts, structuredDataFacts }) replaces the stored
+// facts - used by ingestion previews, which store nothing
+async function generateMarkdown(extractedContent, sourceUrl, contentHash, domain, pageFacts = null) {
   const title = extractedContent.title || '';
   const generatedAt = new Date().toISOString();
   const baseUrl = `https://${domain}`;
@@ -2366,7 +2698,7 @@ async function generateMarkdown(extractedContent, sourceUrl, contentHash, domain
   const entities = {};
   
   for (const item of structuredData) {
-    const type = normalizeSchemaType(item['@type']);
+    const type = normalizeSchemaType(Array.isArray(item['@type']) ? item['@type'][0] : item['@type']);
     let entityId = null;
     
     // Assign appropriate entity ID based on type
@@ -2459,41 +2791,48 @@ async function generateMarkdown(extractedContent, sourceUrl, contentHash, domain
   let textExtractionFacts = [];
   let structuredDataFacts = [];
   
-  try {
-    // Query text_extraction facts (citation-grade)
-    const textResult = await pool.query(`
-      SELECT 
-        triple,
-        slot_id,
-        fact_id,
-        revision,
-        supporting_text,
-        evidence_anchor,
-        evidence_type,
-        source_path
-      FROM public.croutons
-      WHERE domain = $1 AND source_url = $2 AND evidence_type = 'text_extraction'
-      ORDER BY updated_at DESC
-      LIMIT 500
-    `, [domain, sourceUrl]);
-    textExtractionFacts = textResult.rows;
-    
-    // Query structured_data facts (metadata)
-    const structuredResult = await pool.query(`
-      SELECT 
-        triple,
-        fact_id,
-        evidence_type,
-        source_path
-      FROM public.croutons
-      WHERE domain = $1 AND source_url = $2 AND evidence_type = 'structured_data'
-      ORDER BY updated_at DESC
-      LIMIT 500
-    `, [domain, sourceUrl]);
-    structuredDataFacts = structuredResult.rows;
-  } catch (err) {
-    console.error('[generateMarkdown] Failed to query stored facts:', err.message);
-    // Fall back to empty if query fails
+  if (pageFacts) {
+    textExtractionFacts = pageFacts.textExtractionFacts;
+    structuredDataFacts = pageFacts.structuredDataFacts;
+  } else {
+    try {
+      // Query text_extraction facts (citation-grade)
+      const textResult = await pool.query(`
+        SELECT 
+          triple,
+          slot_id,
+          fact_id,
+          revision,
+          supporting_text,
+          evidence_anchor,
+          evidence_type,
+          source_path
+        FROM public.croutons
+        WHERE domain = $1 AND source_url = $2 AND evidence_type = 'text_extraction'
+          AND retracted_at IS NULL
+        ORDER BY updated_at DESC
+        LIMIT 500
+      `, [domain, sourceUrl]);
+      textExtractionFacts = textResult.rows;
+    
+      // Query structured_data facts (metadata)
+      const structuredResult = await pool.query(`
+        SELECT 
+          triple,
+          fact_id,
+          evidence_type,
+          source_path
+        FROM public.croutons
+        WHERE domain = $1 AND source_url = $2 AND evidence_type = 'structured_data'
+          AND retracted_at IS NULL
+        ORDER BY updated_at DESC
+        LIMIT 500
+      `, [domain, sourceUrl]);
+      structuredDataFacts = structuredResult.rows;
+    } catch (err) {
+      console.error('[generateMarkdown] Failed to query stored facts:', err.message);
+      // Fall back to empty if query fails
+    }
   }
   
   // SECTION 1: Text Extraction Facts (Citation-Grade)
@@ -2639,44 +2978,273 @@ async function generateMarkdown(extractedContent, sourceUrl, contentHash, domain
   return frontmatter + markdown;
 }
 
+// Multilingual ingestion: language detection, sentence segmentation, assertion cues
+
+// Non-Latin scripts that identify a language on their own
+const SCRIPT_LANGUAGES = [
+  ['th', /\p{Script=Thai}/gu],
+  ['ja', /[\p{Script=Hiragana}\p{Script=Katakana}]/gu],
+  ['ko', /\p{Script=Hangul}/gu],
+  ['zh', /\p{Script=Han}/gu],
+  ['ru', /\p{Script=Cyrillic}/gu],
+  ['ar', /\p{Script=Arabic}/gu],
+  ['he', /\p{Script=Hebrew}/gu],
+  ['hi', /\p{Script=Devanagari}/gu],
+  ['el', /\p{Script=Greek}/gu],
+  ['lo', /\p{Script=Lao}/gu],
+  ['km', /\p{Script=Khmer}/gu],
+  ['my', /\p{Script=Myanmar}/gu]
+];
+
+// Function words that separate Latin-script languages
+const LATIN_STOPWORDS = {
+  en: ['the', 'and', 'is', 'are', 'of', 'to', 'with', 'for', 'that', 'this'],
+  es: ['el', 'la', 'los', 'las', 'de', 'que', 'y', 'es', 'en', 'para', 'con', 'una'],
+  fr: ['le', 'la', 'les', 'des', 'et', 'est', 'une', 'pour', 'dans', 'que', 'avec', 'du'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'mit', 'für', 'ein', 'eine', 'auf', 'den'],
+  pt: ['o', 'os', 'as', 'de', 'que', 'e', 'é', 'para', 'com', 'uma', 'não', 'em'],
+  it: ['il', 'lo', 'gli', 'della', 'che', 'e', 'è', 'per', 'con', 'una', 'non', 'di'],
+  nl: ['de', 'het', 'een', 'en', 'is', 'van', 'voor', 'met', 'niet', 'dat', 'zijn', 'op'],
+  id: ['yang', 'dan', 'di', 'ini', 'itu', 'dengan', 'untuk', 'adalah', 'dari', 'kami']
+};
+
+// Languages written without spaces between words but with spaces between clauses
+const SPACE_DELIMITED_SENTENCE_LANGUAGES = new Set(['th', 'lo', 'km', 'my']);
+// Dense scripts carry more meaning per character
+const CJK_LANGUAGES = new Set(['ja', 'zh', 'ko']);
+
+// Primary language subtag ("th-TH" -> "th"); null for empty/x-default
+function normalizeLanguageTag(tag) {
+  const primary = String(tag || '').trim().toLowerCase().split(/[-_]/)[0];
+  return /^[a-z]{2,3}$/.test(primary) ? primary : null;
+}
+
+// Guess the language from the text itself: dominant non-Latin script, else stopwords
+function detectContentLanguage(text) {
+  const sample = (text || '').substring(0, 5000);
+  const letters = (sample.match(/\p{L}/gu) || []).length;
+  if (letters < 20) return null;
+
+  let best = null;
+  let bestCount = 0;
+  for (const [language, pattern] of SCRIPT_LANGUAGES) {
+    const count = (sample.match(pattern) || []).length;
+    if (count > bestCount) {
+      best = language;
+      bestCount = count;
+    }
+  }
+  // Japanese mixes kana with Han; any real share of kana means Japanese, not Chinese
+  if (best === 'zh') {
+    const kana = (sample.match(SCRIPT_LANGUAGES.find(([l]) => l === 'ja')[1]) || []).length;
+    if (kana >= bestCount * 0.1) best = 'ja';
+  }
+  if (best && bestCount / letters >= 0.3) {
+    return { language: best, confident: bestCount / letters >= 0.5 };
+  }
+
+  const words = sample.toLowerCase().match(/\p{L}+/gu) || [];
+  const scores = Object.entries(LATIN_STOPWORDS).map(([language, stopwords]) => {
+    const set = new Set(stopwords);
+    return [language, words.filter(w => set.has(w)).length];
+  }).sort((a, b) => b[1] - a[1]);
+  const [topLanguage, topScore] = scores[0];
+  if (topScore < 3) return null;
+  // Confident only when clearly ahead of the runner-up (Romance languages share words)
+  return { language: topLanguage, confident: topScore >= 10 && topScore >= scores[1][1] * 2 };
+}
+
+// Detect page language from <html lang>, Content-Language meta, self-referencing
+// hreflang, then content. A confident content guess overrides a declared language,
+// since templates often ship a hard-coded lang="en".
+function detectLanguage(html, text, pageUrl) {
+  let declared = null;
+  let source = null;
+
+  const htmlLang = html.match(/<html[^>]*\slang=["']?([^"'\s>]+)/i);
+  if (htmlLang) {
+    declared = normalizeLanguageTag(htmlLang[1]);
+    source = 'html_lang';
+  }
+
+  if (!declared) {
+    const metaLang = html.match(/<meta[^>]*http-equiv=["']content-language["'][^>]*content=["']([^"']+)["']/i);
+    if (metaLang) {
+      declared = normalizeLanguageTag(metaLang[1].split(',')[0]);
+      source = 'meta';
+    }
+  }
+
+  if (!declared && pageUrl) {
+    const normalizedPage = pageUrl.replace(/\/+$/, '');
+    const linkRegex = /<link[^>]+>/gi;
+    let linkMatch;
+    while ((linkMatch = linkRegex.exec(html)) !== null) {
+      const tag = linkMatch[0];
+      const hreflang = tag.match(/hreflang=["']([^"']+)["']/i);
+      const href = tag.match(/href=["']([^"']+)["']/i);
+      if (!hreflang || !href || !/rel=["']alternate["']/i.test(tag)) continue;
+      try {
+        if (new URL(href[1], pageUrl).href.replace(/\/+$/, '') === normalizedPage) {
+          declared = normalizeLanguageTag(hreflang[1]);
+          source = 'hreflang';
+          if (declared) break;
+        }
+      } catch {
+        continue;
+      }
+    }
+  }
+
+  const detected = detectContentLanguage(text);
+  if (detected && (!declared || (detected.confident && detected.language !== declared))) {
+    return { language: detected.language, source: 'content', declared };
+  }
+  if (declared) {
+    return { language: declared, source, declared };
+  }
+  return { language: 'en', source: 'default', declared: null };
+}
+
+// Sentence length window (chars) for fact candidates
+function getSentenceLengthLimits(language) {
+  return CJK_LANGUAGES.has(language) ? { min: 12, max: 160 } : { min: 40, max: 240 };
+}
+
+// Split text into sentences with exact offsets into the text.
+// English keeps the original punctuation splitter so existing slot_id/fact_id
+// values stay stable; every other language uses Intl.Segmenter.
+function segmentSentences(text, language) {
+  const { min, max } = getSentenceLengthLimits(language);
+  const sentences = [];
+
+  if (language === 'en' || typeof Intl.Segmenter !== 'function') {
+    const rawSentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
+    let searchStart = 0;
+    for (const rawSentence of rawSentences) {
+      const trimmed = rawSentence.trim();
+      if (trimmed.length < min || trimmed.length > max) continue;
+      
+      // Find the exact position of this sentence in the canonical text
+      const charStart = text.indexOf(trimmed, searchStart);
+      if (charStart === -1) continue; // Skip if not found
+      
+      const charEnd = charStart + trimmed.length;
+      sentences.push({ text: trimmed, charStart, charEnd });
+      
+      // Next search starts after this sentence
+      searchStart = charEnd;
+    }
+    return sentences;
+  }
+
+  // Collect [start, end) spans from the segmenter
+  let spans = [];
+  const segmenter = new Intl.Segmenter(language, { granularity: 'sentence' });
+  for (const { segment, index } of segmenter.segment(text)) {
+    spans.push([index, index + segment.length]);
+  }
+
+  // Thai & co. mark sentence/clause ends with spaces, which the segmenter ignores:
+  // split on whitespace, then merge clauses until they reach the minimum length
+  if (SPACE_DELIMITED_SENTENCE_LANGUAGES.has(language)) {
+    const clauseSpans = [];
+    for (const [start, end] of spans) {
+      const clauseRegex = /\S+/g;
+      const segmentText = text.substring(start, end);
+      let clauseMatch;
+      while ((clauseMatch = clauseRegex.exec(segmentText)) !== null) {
+        clauseSpans.push([start + clauseMatch.index, start + clauseMatch.index + clauseMatch[0].length]);
+      }
+    }
+    spans = [];
+    let current = null;
+    for (const clause of clauseSpans) {
+      if (current && (current[1] - current[0] >= min || clause[1] - current[0] > max)) {
+        spans.push(current);
+        current = null;
+      }
+      current = current ? [current[0], clause[1]] : clause;
+    }
+    if (current) spans.push(current);
+  }
+
+  for (const [start, end] of spans) {
+    const raw = text.substring(start, end);
+    const trimmed = raw.trim();
+    if (trimmed.length < min || trimmed.length > max) continue;
+    const charStart = start + raw.indexOf(trimmed);
+    sentences.push({ text: trimmed, charStart, charEnd: charStart + trimmed.length });
+  }
+  return sentences;
+}
+
+// Whole-word cue matcher that works outside ASCII (\b does not)
+function wordCues(words) {
+  return new RegExp(`(?<![\\p{L}\\p{N}])(${words.join('|')})(?![\\p{L}\\p{N}])`, 'iu');
+}
+
+// Substring cue matcher for scripts written without word spaces
+function substringCues(words) {
+  return new RegExp(`(${words.join('|')})`, 'u');
+}
+
+// Assertion cues ("X is/provides/has Y") per language
+const ASSERTION_CUES = {
+  en: /\b(is|are|means|provides|offers|has|have|includes|contains)\b/,
+  es: wordCues(['es', 'son', 'significa', 'ofrece', 'ofrecemos', 'proporciona', 'tiene', 'tienen', 'incluye', 'contiene']),
+  fr: wordCues(['est', 'sont', 'signifie', 'offre', 'propose', 'proposons', 'fournit', 'a', 'ont', 'comprend', 'contient']),
+  de: wordCues(['ist', 'sind', 'bedeutet', 'bietet', 'bieten', 'hat', 'haben', 'enthält', 'umfasst']),
+  pt: wordCues(['é', 'são', 'significa', 'oferece', 'oferecemos', 'fornece', 'tem', 'têm', 'inclui', 'contém']),
+  it: wordCues(['è', 'sono', 'significa', 'offre', 'offriamo', 'fornisce', 'ha', 'hanno', 'include', 'contiene']),
+  nl: wordCues(['is', 'zijn', 'betekent', 'biedt', 'bieden', 'heeft', 'hebben', 'bevat', 'omvat']),
+  id: wordCues(['adalah', 'merupakan', 'menyediakan', 'menawarkan', 'memiliki', 'termasuk', 'berarti']),
+  th: substringCues(['คือ', 'เป็น', 'มี', 'ให้บริการ', 'หมายถึง', 'ประกอบด้วย', 'รวมถึง', 'นำเสนอ']),
+  ja: substringCues(['です', 'である', 'とは', '提供', 'あります', '含む', '意味', 'います']),
+  zh: substringCues(['是', '提供', '包括', '拥有', '擁有', '意味', '包含', '具有']),
+  ko: substringCues(['입니다', '이다', '제공', '있습니다', '포함', '의미', '갖추'])
+};
+
+// true/false when the language has cues; null when it has none (caller decides)
+function hasAssertionCue(text, language) {
+  const cues = ASSERTION_CUES[language];
+  return cues ? cues.test(text) : null;
+}
+
 // PHASE B: Build text_extraction facts from canonical body text
 // Returns array of facts with deterministic anchors
-function buildTextExtractionFacts(domain, sourceUrl, canonicalExtractedText, extractionTextHash, orgName = null) {
+// Slots are positions, not content: source_url + section path + the sentence's
+// ordinal in that section, so a sentence edited in place is a new revision of
+// its slot. sections (with char_start/char_end in canonicalExtractedText) are
+// optional; without them ordinals count over the whole page.
+function buildTextExtractionFacts(domain, sourceUrl, canonicalExtractedText, extractionTextHash, orgName = null, language = 'en', sections = []) {
   const facts = [];
+  const { min: minSentenceLength, max: maxSentenceLength } = getSentenceLengthLimits(language);
   
   if (!canonicalExtractedText || canonicalExtractedText.length < 50) {
     console.log(`[buildTextExtractionFacts] Skipping - text too short (${canonicalExtractedText?.length || 0} chars)`);
     return facts;
   }
   
-  console.log(`[buildTextExtractionFacts] Processing ${canonicalExtractedText.length} chars for ${domain}`);
+  console.log(`[buildTextExtractionFacts] Processing ${canonicalExtractedText.length} chars for ${domain} (language: ${language})`);
   
-  // Step 1: Split into sentences deterministically
-  // Use simple split and then find exact positions
-  const rawSentences = canonicalExtractedText.split(/[.!?]+/).filter(s => s.trim().length > 0);
-  const sentences = [];
+  // Step 1: Split into sentences deterministically, with exact positions
+  const sentences = segmentSentences(canonicalExtractedText, language);
   
-  let searchStart = 0;
-  for (const rawSentence of rawSentences) {
-    const trimmed = rawSentence.trim();
-    if (trimmed.length < 40 || trimmed.length > 240) continue;
-    
-    // Find the exact position of this sentence in the canonical text
-    const charStart = canonicalExtractedText.indexOf(trimmed, searchStart);
-    if (charStart === -1) continue; // Skip if not found
-    
-    const charEnd = charStart + trimmed.length;
-    sentences.push({
-      text: trimmed,
-      charStart,
-      charEnd
-    });
-    
-    // Next search starts after this sentence
-    searchStart = charEnd;
-  }
+  console.log(`[buildTextExtractionFacts] Found ${sentences.length} sentences in length range [${minSentenceLength}-${maxSentenceLength}]`);
   
-  console.log(`[buildTextExtractionFacts] Found ${sentences.length} sentences in length range [40-240]`);
+  // Sentence positions (section path + ordinal), counted before filtering so a
+  // sentence's position does not depend on whether its neighbours are kept
+  const sectionPathAt = charStart => (sections || []).find(section =>
+    Number.isInteger(section?.char_start) && charStart >= section.char_start && charStart < section.char_end
+  )?.section_path || '';
+  const sentencesPerPath = new Map();
+  for (const sentence of sentences) {
+    const sectionPath = sectionPathAt(sentence.charStart);
+    const ordinal = sentencesPerPath.get(sectionPath) || 0;
+    sentencesPerPath.set(sectionPath, ordinal + 1);
+    sentence.position = `${sectionPath}#${ordinal}`;
+  }
   
   // Step 2: Filter to high-signal sentences
   const highSignalSentences = sentences.filter(s => {
@@ -2687,8 +3255,9 @@ function buildTextExtractionFacts(domain, sourceUrl, canonicalExtractedText, ext
       return true;
     }
     
-    // Check for assertion patterns
-    if (/\b(is|are|means|provides|offers|has|have|includes|contains)\b/.test(text)) {
+    // Check for assertion patterns (languages without a cue list keep every sentence)
+    const assertion = hasAssertionCue(text, language);
+    if (assertion === null || assertion) {
       return true;
     }
     
@@ -2732,7 +3301,8 @@ function buildTextExtractionFacts(domain, sourceUrl, canonicalExtractedText, ext
           predicate: 'mentions',
           object: sentence.text
         },
-        source_path: null
+        source_path: null,
+        language
       });
       continue;
     }
@@ -2745,8 +3315,9 @@ function buildTextExtractionFacts(domain, sourceUrl, canonicalExtractedText, ext
       extraction_text_hash: extractionTextHash
     };
     
-    // Generate stable fact identity
-    const slotIdInput = `${baseEntityId}|mentions|${sourceUrl}|${sentence.charStart}|${sentence.charEnd}|${extractionTextHash}`;
+    // Generate stable fact identity: the slot is the sentence's position, the
+    // anchor (offsets, extraction_text_hash) stays on the fact
+    const slotIdInput = `${baseEntityId}|mentions|${sourceUrl}|${sentence.position}`;
     const slotId = crypto.createHash('sha256').update(slotIdInput, 'utf8').digest('hex').substring(0, 16);
     
     const factIdInput = `${slotId}|${sentence.text}|${fragmentHash}`;
@@ -2766,6 +3337,7 @@ function buildTextExtractionFacts(domain, sourceUrl, canonicalExtractedText, ext
         object: sentence.text
       },
       source_path: null,
+      language,
       confidence: 0.90
     });
   }
@@ -2775,6 +3347,104 @@ function buildTextExtractionFacts(domain, sourceUrl, canonicalExtractedText, ext
   return facts;
 }
 
+const MAX_STRUCTURED_DEPTH = 5;
+
+// PHASE B: Build structured_data facts from schema.org nodes (no anchors)
+// Nested objects (address, offers, geo, openingHoursSpecification, aggregateRating,
+// provider, ...) are walked recursively: each gets its own subject ID, a link fact
+// from the parent, and facts with the full dotted source_path
+// (e.g. LocalBusiness.address.postalCode).
+function buildStructuredDataFacts(domain, sourceUrl, structuredData) {
+  const facts = [];
+  const items = structuredData || [];
+  // Entities emitted at the top level are linked to, not walked again
+  const topLevelIds = new Set(items.map(item => item['@id']).filter(Boolean));
+
+  const pushFact = (subject, predicate, object, sourcePath, nested) => {
+    // Fact IDs are per page (the same JSON-LD value on two pages is two facts, so
+    // re-ingesting or retracting one page leaves the other's alone); nested ones
+    // include the subject so repeated nodes (e.g. several opening hours) stay distinct
+    const factId = nested
+      ? generateId(domain, sourceUrl, sourcePath, subject, object)
+      : generateId(domain, sourceUrl, sourcePath, object);
+    facts.push({
+      evidence_type: 'structured_data',
+      supporting_text: null,
+      evidence_anchor: null,
+      anchor_missing: true,
+      // Slot is the property position on this page; a new value for it is a revision
+      slot_id: generateId(subject, predicate, sourceUrl, sourcePath),
+      fact_id: factId,
+      revision: 1,
+      triple: { subject, predicate, object },
+      source_path: sourcePath,
+      confidence: 0.90
+    });
+  };
+
+  const walk = (node, subject, pathPrefix, depth, ancestors) => {
+    for (const [prop, value] of Object.entries(node)) {
+      if (prop.startsWith('@')) continue;
+      if (value === null || value === undefined || value === '') continue;
+
+      const values = Array.isArray(value) ? value : [value];
+      const sourcePath = `${pathPrefix}.${prop}`;
+      const objectValues = values.filter(val => val && typeof val === 'object' && !Array.isArray(val));
+
+      values.forEach(val => {
+        if (val === null || val === undefined || val === '' || Array.isArray(val)) return;
+        if (typeof val !== 'object') {
+          pushFact(subject, prop, String(val), sourcePath, depth > 0);
+          return;
+        }
+
+        // Nested entity: its own subject, linked from the parent
+        const position = objectValues.length > 1 ? `/${objectValues.indexOf(val)}` : '';
+        const childId = val['@id'] || `${subject}/${prop}${position}`;
+        pushFact(subject, prop, childId, sourcePath, depth > 0);
+
+        const isReference = Object.keys(val).every(key => key === '@id');
+        if (isReference || topLevelIds.has(val['@id']) || ancestors.has(childId)) return;
+        if (depth + 1 >= MAX_STRUCTURED_DEPTH) return;
+        walk(val, childId, sourcePath, depth + 1, new Set(ancestors).add(childId));
+      });
+    }
+  };
+
+  for (const item of items) {
+    const itemType = Array.isArray(item['@type']) ? item['@type'][0] : item['@type'];
+    const itemId = item['@id'] || `https://${domain}/#${itemType?.toLowerCase() || 'thing'}`;
+    walk(item, itemId, itemType, 0, new Set([itemId]));
+  }
+
+  return facts;
+}
+
+// PHASE B Steps 1-2: every fact a page produces
+// (exported for the golden fixture harness, scripts/extraction-regression.js)
+export function buildPageFacts(domain, sourceUrl, extractedContent) {
+  const canonicalExtractedText = extractedContent.canonical_extracted_text || extractedContent.doc_clean_text || '';
+  const extractionTextHash = extractedContent.extraction_text_hash ||
+    crypto.createHash('sha256').update(canonicalExtractedText, 'utf8').digest('hex');
+
+  // Step 1: text_extraction facts from canonical body text
+  const orgName = extractedContent.structured_data?.[0]?.name || null;
+  const textExtractionFacts = buildTextExtractionFacts(
+    domain,
+    sourceUrl,
+    canonicalExtractedText,
+    extractionTextHash,
+    orgName,
+    extractedContent.language,
+    extractedContent.sections
+  );
+
+  // Step 2: schema facts as structured_data (NO ANCHORS)
+  const structuredDataFacts = buildStructuredDataFacts(domain, sourceUrl, extractedContent.structured_data);
+
+  return { textExtractionFacts, structuredDataFacts };
+}
+
 // Generate and store markdown in markdown_versions table
 async function generateAndStoreMarkdown(domain, sourceUrl, extractedContent, contentHash) {
   console.log(`[generateAndStoreMarkdown] Starting for ${domain} -> ${sourceUrl}`);
@@ -2829,110 +3499,505 @@ async function generateAndStoreMarkdown(domain, sourceUrl, extractedContent, con
   }
 }
 
+// Page without structured data: take schema from the previous snapshot or a
+// prerendered copy, keeping the first pass's extraction tracking
+async function applySchemaFallback(extractedContent, html, canonicalUrl, previousHtml, domain, extractionMethod) {
+  if (extractedContent.structured_data && extractedContent.structured_data.length > 0) return;
+
+  let fallbackSchemaHtml = previousHtml;
+  if (!fallbackSchemaHtml) {
+    fallbackSchemaHtml = await fetchPrerenderSnapshot(canonicalUrl);
+  }
+  if (!fallbackSchemaHtml) return;
+
+  console.log(`[ingest] Using fallback schema HTML for ${canonicalUrl}`);
+  const fallbackContent = await extractContentUniversal(html, canonicalUrl, fallbackSchemaHtml, domain, extractionMethod);
+  // Merge: use fallback structured_data but keep original extraction tracking
+  extractedContent.structured_data = fallbackContent.structured_data;
+  extractedContent.extraction_stats = fallbackContent.extraction_stats;
+  extractedContent.schema_check_report = fallbackContent.schema_check_report;
+}
+
+// Best-effort rendered HTML through the active renderer (null if unavailable or failed)
 async function fetchPrerenderSnapshot(url) {
-  const prerenderEndpoint = process.env.PRENDER_SERVICE_URL;
-  if (!prerenderEndpoint) return null;
   try {
-    const separator = prerenderEndpoint.includes('?') ? '&' : '?';
-    const prerenderUrl = `${prerenderEndpoint}${separator}url=${encodeURIComponent(url)}`;
-    const response = await fetch(prerenderUrl, {
-      headers: {
-        'User-Agent': 'Croutons-Ingestor/1.0',
-        'Accept': 'text/html'
-      }
-    });
-    if (!response.ok) {
-      console.warn(`[ingest] Prerender fetch failed for ${url}: ${response.status}`);
-      return null;
-    }
-    return await response.text();
+    const renderer = getRenderer();
+    if (renderer.isAvailable && !renderer.isAvailable()) return null;
+    return await renderer.render(url);
   } catch (error) {
     console.warn('[ingest] Prerender fetch error:', error.message);
     return null;
   }
 }
 
+/**
+ * Match a page's stored facts against a fresh extraction.
+ * Live facts whose crouton_id is not re-produced are superseded: if a new fact
+ * takes over the same slot_id it is a 'changed' revision (the new fact inherits
+ * previous_fact_id and revision + 1), otherwise the stored fact is retracted.
+ * Retracted facts that are produced again are restored.
+ * Mutates newFacts in place; returns { changed: [{ row, superseded_by }], retracted, restored }.
+ * (exported for the golden fixture harness, scripts/extraction-regression.js)
+ */
+export function planFactRevisions(currentRows, newFacts) {
+  const newCroutonIds = new Set(
+    newFacts.filter(f => f.fact_id).map(f => f.fact_id.substring(0, 16))
+  );
+  const currentCroutonIds = new Set(currentRows.map(r => r.crouton_id));
+
+  // New facts that are not already stored, grouped by slot
+  const newBySlot = new Map();
+  for (const fact of newFacts) {
+    if (!fact.fact_id || !fact.slot_id) continue;
+    if (currentCroutonIds.has(fact.fact_id.substring(0, 16))) continue;
+    if (!newBySlot.has(fact.slot_id)) newBySlot.set(fact.slot_id, []);
+    newBySlot.get(fact.slot_id).push(fact);
+  }
+
+  const plan = { changed: [], retracted: [], restored: [] };
+  for (const row of currentRows) {
+    if (newCroutonIds.has(row.crouton_id)) {
+      if (row.retracted_at) plan.restored.push(row);
+      continue;
+    }
+    if (row.retracted_at) continue; // Already tombstoned by an earlier run
+
+    const successor = row.slot_id ? newBySlot.get(row.slot_id)?.shift() : null;
+    if (successor) {
+      successor.previous_fact_id = row.fact_id;
+      successor.revision = (row.revision || 1) + 1;
+      plan.changed.push({ row, superseded_by: successor.fact_id });
+    } else {
+      plan.retracted.push(row);
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Move superseded fact rows from croutons into croutons_history.
+ * Returns the number of rows archived.
+ */
+async function archiveSupersededFacts(changed) {
+  let archived = 0;
+  for (const { row, superseded_by } of changed) {
+    const result = await pool.query(`
+      WITH moved AS (
+        DELETE FROM public.croutons WHERE id = $1 RETURNING *
+      )
+      INSERT INTO public.croutons_history (
+        crouton_id, domain, source_url, text, triple, confidence,
+        slot_id, fact_id, previous_fact_id, revision,
+        supporting_text, evidence_anchor, extraction_text_hash,
+        evidence_type, source_path, language,
+        valid_from, superseded_at, superseded_by, change_type
+      )
+      SELECT
+        crouton_id, domain, source_url, text, triple, confidence,
+        slot_id, fact_id, previous_fact_id, revision,
+        supporting_text, evidence_anchor, extraction_text_hash,
+        evidence_type, source_path, language,
+        created_at, NOW(), $2, 'changed'
+      FROM moved
+    `, [row.id, superseded_by]);
+    archived += result.rowCount;
+  }
+  return archived;
+}
+
+/**
+ * Tombstone facts that are no longer produced for their page.
+ * Rows stay in croutons with retracted_at set so the stream can still serve
+ * them with ?include_retracted=true. Returns the number of rows retracted.
+ */
+async function retractFacts(rows) {
+  if (rows.length === 0) return 0;
+  const result = await pool.query(`
+    UPDATE public.croutons
+    SET retracted_at = NOW()
+    WHERE id = ANY($1) AND retracted_at IS NULL
+  `, [rows.map(r => r.id)]);
+  return result.rowCount;
+}
+
+/**
+ * Record the retracted window of facts that are about to be restored, so the
+ * period they were not citeable survives the upsert clearing retracted_at.
+ * Returns the number of rows recorded.
+ */
+async function archiveRetractedWindow(rows) {
+  if (rows.length === 0) return 0;
+  const result = await pool.query(`
+    INSERT INTO public.croutons_history (
+      crouton_id, domain, source_url, text, triple, confidence,
+      slot_id, fact_id, previous_fact_id, revision,
+      supporting_text, evidence_anchor, extraction_text_hash,
+      evidence_type, source_path, language,
+      valid_from, superseded_at, superseded_by, change_type
+    )
+    SELECT
+      crouton_id, domain, source_url, text, triple, confidence,
+      slot_id, fact_id, previous_fact_id, revision,
+      supporting_text, evidence_anchor, extraction_text_hash,
+      evidence_type, source_path, language,
+      created_at, retracted_at, NULL, 'removed'
+    FROM public.croutons
+    WHERE id = ANY($1) AND retracted_at IS NOT NULL
+  `, [rows.map(r => r.id)]);
+  return result.rowCount;
+}
+
+// URL identity: canonical URL recorded for an alias (or the URL itself)
+async function lookupCanonicalUrl(domain, normalizedUrl) {
+  const result = await pool.query(
+    'SELECT canonical_url FROM url_aliases WHERE domain = $1 AND alias_url = $2',
+    [domain, normalizedUrl]
+  );
+  return result.rows[0]?.canonical_url || normalizedUrl;
+}
+
+// URL identity: a declared canonical is adopted for the same page (same path) or when
+// url_aliases already maps one of the page's URLs to it. A canonical naming another
+// page of the site would take over that page's source_url and retract its facts.
+async function acceptDeclaredCanonical(domain, declaredCanonical, pageUrls) {
+  if (!declaredCanonical) return null;
+  const urls = pageUrls.filter(Boolean);
+  if (urls.some(url => isSamePage(declaredCanonical, url))) return declaredCanonical;
+  const result = await pool.query(
+    'SELECT 1 FROM url_aliases WHERE domain = $1 AND alias_url = ANY($2) AND canonical_url = $3 LIMIT 1',
+    [domain, urls, declaredCanonical]
+  );
+  if (result.rows.length > 0) return declaredCanonical;
+  console.log(`[ingest] Ignoring canonical URL ${declaredCanonical} declared by ${urls[0]} (another page)`);
+  return null;
+}
+
+// URL identity: remember every spelling that led to this canonical URL
+async function recordUrlAliases(domain, canonicalUrl, aliases) {
+  for (const alias of new Set(aliases.filter(Boolean))) {
+    if (alias === canonicalUrl) continue;
+    await pool.query(`
+      INSERT INTO url_aliases (domain, alias_url, canonical_url)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (domain, alias_url)
+      DO UPDATE SET canonical_url = EXCLUDED.canonical_url, last_seen_at = NOW()
+    `, [domain, alias, canonicalUrl]);
+  }
+}
+
+async function loadSnapshot(domain, sourceUrl) {
+  const result = await pool.query(
+    `SELECT html, html_variant, etag, last_modified, extraction_method, extraction_text_hash,
+            structured_data_hash
+     FROM html_snapshots WHERE domain = $1 AND source_url = $2`,
+    [domain, sourceUrl]
+  );
+  return result.rows[0] || null;
+}
+
+// Change detection: page unchanged - refresh validators and check time only
+async function markSnapshotChecked(domain, sourceUrl, etag, lastModified) {
+  await pool.query(`
+    UPDATE html_snapshots
+    SET etag = COALESCE($3, etag),
+        last_modified = COALESCE($4, last_modified),
+        last_checked_at = NOW()
+    WHERE domain = $1 AND source_url = $2
+  `, [domain, sourceUrl, etag || null, lastModified || null]);
+}
+
+function buildNotModifiedResponse(domain, sourceUrl, reason, extractionTextHash) {
+  return {
+    ok: true,
+    not_modified: true,
+    data: {
+      domain,
+      source_url: sourceUrl,
+      doc_id: generateId(sourceUrl, 'doc'),
+      reason, // 'http_304' | 'extraction_hash_unchanged'
+      extraction_text_hash: extractionTextHash || null,
+      checked_at: new Date().toISOString()
+    }
+  };
+}
+
+// HTML variants an ingestion can extract from (recorded on html_snapshots.html_variant)
+const HTML_VARIANTS = ['raw', 'prerender'];
+
+// How the HTML was obtained (recorded on html_snapshots.fetch_method)
+const FETCH_METHODS = { fetch: 'fetch', render: 'render', upload: 'upload' };
+
+// Turn source bytes into the HTML extraction runs on: HTML as-is, PDF / DOCX /
+// markdown / text converted (src/documents.js). Returns { html, documentType };
+// throws DocumentError for content that is not a readable document.
+function readSourceDocument(data, contentType, name) {
+  const documentType = detectDocumentType({ contentType, name, data });
+  if (!documentType) {
+    throw new DocumentError(`Unsupported content type: ${contentType}`);
+  }
+  if (documentType === 'html') {
+    // Same decoding as response.text(): UTF-8, BOM dropped
+    return { html: new TextDecoder().decode(data), documentType };
+  }
+  return { html: documentToHtml(documentType, data).html, documentType };
+}
+
+async function readFetchedDocument(response, url) {
+  const data = Buffer.from(await response.arrayBuffer());
+  return readSourceDocument(data, response.headers.get('content-type'), response.url || url);
+}
+
+// A document in a request body: a Buffer (in-process callers) or base64 string
+function readProvidedDocument(document, contentType, name) {
+  const data = Buffer.isBuffer(document) ? document : Buffer.from(String(document), 'base64');
+  if (data.length === 0) {
+    throw new DocumentError('document must be non-empty (base64-encoded)');
+  }
+  return readSourceDocument(data, contentType, name);
+}
+
 // POST /v1/ingest - Universal ingestion with all upgrades
+// Re-ingestion is conditional: unchanged pages return { ok: true, not_modified: true }
+// unless the request sets force=true
+// extraction_method (name or alias) overrides the domain's configured extractor
+// render: "prerender" takes sections AND schema from the active renderer's HTML
+// html + source_url ingests provided HTML without fetching (fetch_method: "upload");
+// document (base64) + content_type does the same for a PDF / DOCX / markdown / text file
+// Fetched URLs are read by content type: PDF, DOCX, markdown and plain text
+// responses are converted to HTML first (html_snapshots.document_type)
+// ?dry_run=true runs the same pipeline as /v1/ingest/preview and stores nothing
 export async function ingestUrl(req, res) {
+  if (req.query.dry_run === 'true' || req.body?.dry_run === true) {
+    return previewIngest(req, res);
+  }
   try {
-    const { domain, url } = req.body;
+    const {
+      domain,
+      url: urlParam,
+      source_url: declaredSourceUrl,
+      html: providedHtml,
+      document: providedDocument,
+      content_type: providedContentType,
+      force = false,
+      extraction_method: requestedMethod,
+      render = 'raw'
+    } = req.body;
+    const isUpload = providedHtml !== undefined || providedDocument !== undefined;
+    const url = urlParam || (isUpload ? declaredSourceUrl : undefined);
     
     if (!domain || !url) {
-      return res.status(400).json({ error: 'domain and url are required' });
+      return res.status(400).json({
+        error: isUpload ? 'domain and source_url are required with html or document' : 'domain and url are required'
+      });
+    }
+    if (providedHtml !== undefined && providedDocument !== undefined) {
+      return res.status(400).json({ error: 'Provide either html or document, not both' });
     }
 
-    // Validate URL format
-    let canonicalUrl;
+    if (!HTML_VARIANTS.includes(render)) {
+      return res.status(400).json({ error: `render must be one of: ${HTML_VARIANTS.join(', ')}` });
+    }
+
+    if (providedHtml !== undefined && (typeof providedHtml !== 'string' || !providedHtml.trim())) {
+      return res.status(400).json({ error: 'html must be a non-empty string' });
+    }
+    if (isUpload && render !== 'raw') {
+      return res.status(400).json({ error: 'render is not supported with provided html or documents' });
+    }
+
+    // Pick extractor: request > verified_domains setting > default
+    const extractionMethod = await selectExtractionMethod(domain, requestedMethod);
+    if (!extractionMethod) {
+      return res.status(400).json({
+        error: `Unknown extraction_method: ${requestedMethod}`,
+        available: listExtractionMethods()
+      });
+    }
+
+    // Validate URL format (fetch the URL as given, minus any fragment)
+    let requestedUrl;
     try {
-      canonicalUrl = new URL(url).href;
+      const parsedUrl = new URL(url);
+      parsedUrl.hash = '';
+      requestedUrl = parsedUrl.href;
     } catch {
       return res.status(400).json({ error: 'Invalid URL format' });
     }
+    const normalizedUrl = normalizeUrl(requestedUrl);
+    if (!normalizedUrl) {
+      return res.status(400).json({ error: 'Invalid URL format' });
+    }
 
-    const snapshotResult = await pool.query(
-      'SELECT html FROM html_snapshots WHERE domain = $1 AND source_url = $2',
-      [domain, canonicalUrl]
-    );
-    const previousHtml = snapshotResult.rows[0]?.html || null;
+    // URL identity: a known alias maps straight to its canonical URL; otherwise the
+    // normalized URL stands in until the page's <link rel="canonical"> is read
+    let canonicalUrl = await lookupCanonicalUrl(domain, normalizedUrl);
 
-    // Fetch HTML snapshot
-    const response = await fetch(canonicalUrl, {
-      headers: {
+    let previousSnapshot = await loadSnapshot(domain, canonicalUrl);
+    let previousHtml = previousSnapshot?.html || null;
+    // Switching extractors or HTML variants always re-extracts, even if the page itself is unchanged
+    const isSameExtraction = (snapshot) => snapshot?.extraction_method === extractionMethod &&
+      (snapshot?.html_variant || 'raw') === render;
+    let sameExtractor = isSameExtraction(previousSnapshot);
+
+    let html;
+    let documentType = 'html';
+    let fetchedUrl = requestedUrl; // Final URL after redirects
+    let rendererName = null;
+    let fetchMethod = FETCH_METHODS.fetch;
+    // Response validators for the next conditional request (raw fetches only)
+    let etag = null;
+    let lastModified = null;
+
+    if (isUpload) {
+      // Provided HTML or document (intranet, staging, CMS export): nothing to fetch
+      fetchMethod = FETCH_METHODS.upload;
+      if (providedDocument !== undefined) {
+        try {
+          ({ html, documentType } = readProvidedDocument(providedDocument, providedContentType, requestedUrl));
+        } catch (documentError) {
+          if (!(documentError instanceof DocumentError)) throw documentError;
+          return res.status(400).json({ error: 'Failed to read document', message: documentError.message });
+        }
+      } else {
+        html = providedHtml;
+      }
+    } else if (render === 'prerender') {
+      // Rendered HTML from the pluggable renderer (prerender service or local fixtures)
+      try {
+        const renderer = getRenderer();
+        rendererName = renderer.name;
+        fetchMethod = FETCH_METHODS.render;
+        html = await renderer.render(requestedUrl);
+      } catch (renderError) {
+        return res.status(400).json({
+          error: 'Failed to prerender URL',
+          message: renderError.message,
+          renderer: rendererName,
+          url: requestedUrl
+        });
+      }
+    } else {
+      // Change detection: conditional request using stored validators (skipped with force=true)
+      const requestHeaders = {
         'User-Agent': 'Croutons-Ingestor/1.0'
+      };
+      if (previousSnapshot && sameExtractor && !force) {
+        if (previousSnapshot.etag) requestHeaders['If-None-Match'] = previousSnapshot.etag;
+        if (previousSnapshot.last_modified) requestHeaders['If-Modified-Since'] = previousSnapshot.last_modified;
       }
-    });
 
-    if (!response.ok) {
-      return res.status(400).json({ 
-        error: 'Failed to fetch URL',
-        status: response.status,
-        url: canonicalUrl
-      });
-    }
+      // Fetch HTML snapshot
+      let response;
+      try {
+        response = await fetch(requestedUrl, {
+          headers: requestHeaders,
+          signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+        });
+      } catch (fetchError) {
+        return res.status(400).json({
+          error: 'Failed to fetch URL',
+          message: fetchError.message,
+          url: requestedUrl
+        });
+      }
+
+      if (response.status === 304 && previousSnapshot && sameExtractor) {
+        await markSnapshotChecked(domain, canonicalUrl, previousSnapshot.etag, previousSnapshot.last_modified);
+        console.log(`[ingest] Not modified (HTTP 304): ${canonicalUrl}`);
+        return res.json(buildNotModifiedResponse(domain, canonicalUrl, 'http_304', previousSnapshot.extraction_text_hash));
+      }
 
-    const html = await response.text();
+      if (!response.ok) {
+        return res.status(400).json({ 
+          error: 'Failed to fetch URL',
+          status: response.status,
+          url: requestedUrl
+        });
+      }
 
+      try {
+        ({ html, documentType } = await readFetchedDocument(response, requestedUrl));
+      } catch (documentError) {
+        if (!(documentError instanceof DocumentError)) throw documentError;
+        return res.status(400).json({
+          error: 'Failed to read document',
+          message: documentError.message,
+          url: requestedUrl
+        });
+      }
+      fetchedUrl = response.url || requestedUrl;
+      etag = response.headers.get('etag');
+      lastModified = response.headers.get('last-modified');
+    }
+
+    // URL identity: the page's own canonical link wins (same page only), then the redirect target
+    const declaredCanonical =
+      await acceptDeclaredCanonical(domain, resolveCanonicalUrl(html, fetchedUrl), [normalizeUrl(fetchedUrl), normalizedUrl]) ||
+      (fetchedUrl !== requestedUrl ? normalizeUrl(fetchedUrl) : null);
+    if (declaredCanonical && declaredCanonical !== canonicalUrl) {
+      console.log(`[ingest] Canonical URL ${declaredCanonical} (requested ${requestedUrl})`);
+      canonicalUrl = declaredCanonical;
+      previousSnapshot = await loadSnapshot(domain, canonicalUrl);
+      previousHtml = previousSnapshot?.html || null;
+      sameExtractor = isSameExtraction(previousSnapshot);
+    }
+    await recordUrlAliases(domain, canonicalUrl, [normalizedUrl, normalizeUrl(fetchedUrl)]);
+    const hreflangAlternates = extractHreflangAlternates(html, canonicalUrl);
+    
     // Extract content with all upgrades (allow schema-specific overrides)
-    let extractedContent = await extractContentUniversal(html, canonicalUrl, null, domain);
+    let extractedContent = await extractContentUniversal(html, canonicalUrl, null, domain, extractionMethod, documentType);
     
     // Protocol v1.1: Store canonical extraction tracking in html_snapshots
     const canonicalExtractedText = extractedContent.canonical_extracted_text || extractedContent.doc_clean_text || '';
-    const extractionMethod = extractedContent.extraction_method || 'croutons-readability-v1';
     const extractionTextHash = extractedContent.extraction_text_hash || 
       crypto.createHash('sha256').update(canonicalExtractedText, 'utf8').digest('hex');
     
-    // Store raw HTML snapshot + extraction tracking
+    // The page's own structured data (before any schema fallback) - facts come from it too
+    const structuredDataHash = crypto.createHash('sha256')
+      .update(JSON.stringify(extractedContent.structured_data || []), 'utf8').digest('hex');
+    
+    // Change detection: same canonical text and structured data as the stored snapshot - nothing to re-ingest
+    if (!force && previousSnapshot && sameExtractor &&
+        previousSnapshot.extraction_text_hash === extractionTextHash &&
+        previousSnapshot.structured_data_hash === structuredDataHash) {
+      await markSnapshotChecked(domain, canonicalUrl, etag, lastModified);
+      console.log(`[ingest] Not modified (extraction_text_hash and structured_data_hash unchanged): ${canonicalUrl}`);
+      return res.json(buildNotModifiedResponse(domain, canonicalUrl, 'extraction_hash_unchanged', extractionTextHash));
+    }
+    
+    // Store HTML snapshot (raw or rendered variant) + extraction tracking
     await pool.query(`
       INSERT INTO html_snapshots (
-        domain, source_url, html,
-        extraction_method, canonical_extracted_text, extraction_text_hash
+        domain, source_url, html, html_variant, renderer, fetch_method,
+        extraction_method, canonical_extracted_text, extraction_text_hash,
+        etag, last_modified, language, hreflang_alternates, document_type, structured_data_hash, last_checked_at
       )
-      VALUES ($1, $2, $3, $4, $5, $6)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, NOW())
       ON CONFLICT (domain, source_url) 
       DO UPDATE SET 
         html = EXCLUDED.html,
+        html_variant = EXCLUDED.html_variant,
+        renderer = EXCLUDED.renderer,
+        fetch_method = EXCLUDED.fetch_method,
+        document_type = EXCLUDED.document_type,
         extraction_method = EXCLUDED.extraction_method,
         canonical_extracted_text = EXCLUDED.canonical_extracted_text,
         extraction_text_hash = EXCLUDED.extraction_text_hash,
+        etag = EXCLUDED.etag,
+        last_modified = EXCLUDED.last_modified,
+        language = EXCLUDED.language,
+        hreflang_alternates = EXCLUDED.hreflang_alternates,
+        structured_data_hash = EXCLUDED.structured_data_hash,
+        last_checked_at = NOW(),
         fetched_at = NOW()
-    `, [domain, canonicalUrl, html, extractionMethod, canonicalExtractedText, extractionTextHash]);
+    `, [domain, canonicalUrl, html, render, rendererName, fetchMethod, extractionMethod, canonicalExtractedText, extractionTextHash, etag, lastModified, extractedContent.language, JSON.stringify(hreflangAlternates), documentType, structuredDataHash]);
 
     // Note: extractContentUniversal already called above to get extraction tracking
-    // Re-extract only if we need fallback schema
-    if (!extractedContent.structured_data || extractedContent.structured_data.length === 0) {
-      let fallbackSchemaHtml = previousHtml;
-      if (!fallbackSchemaHtml) {
-        fallbackSchemaHtml = await fetchPrerenderSnapshot(canonicalUrl);
-      }
-      if (fallbackSchemaHtml) {
-        console.log(`[ingest] Using fallback schema HTML for ${canonicalUrl}`);
-        // Re-extract with fallback, but preserve extraction tracking from first pass
-        const fallbackContent = await extractContentUniversal(html, canonicalUrl, fallbackSchemaHtml, domain);
-        // Merge: use fallback structured_data but keep original extraction tracking
-        extractedContent.structured_data = fallbackContent.structured_data;
-        extractedContent.extraction_stats = fallbackContent.extraction_stats;
-        extractedContent.schema_check_report = fallbackContent.schema_check_report;
-      }
+    // Re-extract only if we need fallback schema (rendered HTML already carries its schema,
+    // uploaded HTML has no live page to render, documents carry no schema)
+    if (render === 'raw' && !isUpload && documentType === 'html') {
+      await applySchemaFallback(extractedContent, html, canonicalUrl, previousHtml, domain, extractionMethod);
     }
     const contentHash = computeContentHash(extractedContent);
     
@@ -2962,6 +4027,9 @@ export async function ingestUrl(req, res) {
       updated: 0,
       skipped: 0,
       invalid: 0,
+      archived: 0,
+      retracted: 0,
+      restored: 0,
       text_extraction_facts: 0,
       structured_data_facts: 0,
       success: false, 
@@ -2971,64 +4039,22 @@ export async function ingestUrl(req, res) {
     try {
       console.log(`[ingest] PHASE B: Creating facts from both schema and text extraction...`);
       
-      // PHASE B Step 1: Build text_extraction facts from canonical body text
-      const orgName = extractedContent.structured_data?.[0]?.name || null;
-      const textExtractionFacts = buildTextExtractionFacts(
-        domain,
-        canonicalUrl,
-        canonicalExtractedText,
-        extractionTextHash,
-        orgName
-      );
-      
-      // PHASE B Step 2: Process schema facts as structured_data (NO ANCHORS)
-      const structuredDataFacts = [];
-      
-      // Process schema.org structured_data items
-      for (const schemaItem of (extractedContent.structured_data || [])) {
-        const itemType = Array.isArray(schemaItem['@type']) ? schemaItem['@type'][0] : schemaItem['@type'];
-        const itemId = schemaItem['@id'] || `https://${domain}/#${itemType?.toLowerCase() || 'thing'}`;
-        
-        // Extract key properties as facts
-        for (const [prop, value] of Object.entries(schemaItem)) {
-          // Skip JSON-LD keywords and complex nested objects
-          if (prop.startsWith('@') || typeof value === 'object' && !Array.isArray(value)) continue;
-          if (!value || value === '') continue;
-          
-          // Handle arrays (like sameAs)
-          const values = Array.isArray(value) ? value : [value];
-          
-          for (const val of values) {
-            if (!val || typeof val === 'object') continue;
-            
-            const sourcePath = `${itemType}.${prop}`;
-            const factId = generateId(domain, sourcePath, String(val));
-            
-            structuredDataFacts.push({
-              evidence_type: 'structured_data',
-              supporting_text: null,
-              evidence_anchor: null,
-              anchor_missing: true,
-              slot_id: null,
-              fact_id: factId,
-              revision: 1,
-              triple: {
-                subject: itemId,
-                predicate: prop,
-                object: String(val)
-              },
-              source_path: sourcePath,
-              confidence: 0.90
-            });
-          }
-        }
-      }
+      // PHASE B Steps 1-2: text_extraction + structured_data facts
+      const { textExtractionFacts, structuredDataFacts } = buildPageFacts(domain, canonicalUrl, extractedContent);
       
       console.log(`[ingest] Prepared ${textExtractionFacts.length} text_extraction + ${structuredDataFacts.length} structured_data facts`);
       
       // PHASE B Step 3: Insert both types
       const allFacts = [...textExtractionFacts, ...structuredDataFacts];
       
+      // Revision history: diff against the facts currently stored for this page
+      const { rows: currentFacts } = await pool.query(
+        `SELECT * FROM public.croutons WHERE domain = $1 AND source_url = $2`,
+        [domain, canonicalUrl]
+      );
+      const revisionPlan = planFactRevisions(currentFacts, allFacts);
+      croutonsStorageStatus.restored = await archiveRetractedWindow(revisionPlan.restored);
+      
       for (const fact of allFacts) {
           croutonsStorageStatus.attempted++;
           
@@ -3077,22 +4103,42 @@ export async function ingestUrl(req, res) {
               slot_id, fact_id, previous_fact_id, revision,
               supporting_text, evidence_anchor, extraction_text_hash,
               evidence_type, source_path,
-              confidence, verified_at
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, NOW())
+              confidence, language, verified_at
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, NOW())
             ON CONFLICT (crouton_id) DO UPDATE SET
               domain = EXCLUDED.domain,
               source_url = EXCLUDED.source_url,
               text = EXCLUDED.text,
               triple = EXCLUDED.triple,
-              previous_fact_id = public.croutons.fact_id,
+              -- Revision only moves when the fact's content actually changed
+              previous_fact_id = CASE
+                WHEN public.croutons.fact_id IS DISTINCT FROM EXCLUDED.fact_id THEN public.croutons.fact_id
+                ELSE public.croutons.previous_fact_id
+              END,
               fact_id = EXCLUDED.fact_id,
-              revision = public.croutons.revision + 1,
+              revision = CASE
+                WHEN public.croutons.fact_id IS DISTINCT FROM EXCLUDED.fact_id THEN public.croutons.revision + 1
+                ELSE public.croutons.revision
+              END,
               supporting_text = EXCLUDED.supporting_text,
               evidence_anchor = EXCLUDED.evidence_anchor,
               extraction_text_hash = EXCLUDED.extraction_text_hash,
               evidence_type = EXCLUDED.evidence_type,
               source_path = EXCLUDED.source_path,
               confidence = EXCLUDED.confidence,
+              language = EXCLUDED.language,
+              -- Re-produced after a retraction: live again from now
+              created_at = CASE
+                WHEN public.croutons.retracted_at IS NOT NULL THEN NOW()
+                ELSE public.croutons.created_at
+              END,
+              retracted_at = NULL,
+              -- Freshly extracted anchor: clear any drift flagged by re-verification
+              anchor_missing = CASE
+                WHEN public.croutons.anchor_drift IS NOT NULL THEN false
+                ELSE public.croutons.anchor_missing
+              END,
+              anchor_drift = NULL,
               verified_at = NOW(),
               updated_at = NOW()
             RETURNING id, domain, crouton_id, (xmax = 0) as was_inserted
@@ -3104,14 +4150,15 @@ export async function ingestUrl(req, res) {
             JSON.stringify(triple),
             fact.slot_id,
             fact.fact_id,
-            null, // previous_fact_id
+            fact.previous_fact_id || null,
             fact.revision || 1,
             fact.supporting_text || null,
             fact.evidence_anchor ? JSON.stringify(fact.evidence_anchor) : null,
             extractionTextHash,
             evidenceType,
             sourcePath,
-            fact.confidence || 0.5
+            fact.confidence || 0.5,
+            fact.language || extractedContent.language
           ]);
           
           // BLOCKER FIX #1: Count actual DB writes (not loop iterations)
@@ -3134,6 +4181,14 @@ export async function ingestUrl(req, res) {
           }
         }
         
+        // Archive changed versions and tombstone facts this run no longer produces
+        // (skipped when nothing was extracted, so a failed extraction cannot retract a whole page)
+        if (allFacts.length > 0) {
+          croutonsStorageStatus.archived = await archiveSupersededFacts(revisionPlan.changed);
+          croutonsStorageStatus.retracted = await retractFacts(revisionPlan.retracted);
+          console.log(`[ingest] Revisions: ${croutonsStorageStatus.archived} archived, ${croutonsStorageStatus.retracted} retracted, ${croutonsStorageStatus.restored} restored`);
+        }
+        
         // BLOCKER FIX #1: Add DB write receipt to verify persistence
         const receiptResult = await pool.query(`
           SELECT COUNT(*) as count FROM public.croutons WHERE domain = $1
@@ -3167,6 +4222,17 @@ export async function ingestUrl(req, res) {
       console.error('[ingest] PHASE B stack:', phaseError.stack);
     }
 
+    // Unit-level search index (GET /v1/search) and hop graph (GET /v1/graph/:domain/edges):
+    // replace the page's sections, units and edges
+    const searchIndexStatus = { sections: 0, units: 0, edges: 0, error: null };
+    try {
+      Object.assign(searchIndexStatus, await storeContentIndex(domain, canonicalUrl, extractedContent));
+      console.log(`[ingest] Search index: ${searchIndexStatus.sections} sections, ${searchIndexStatus.units} units, ${searchIndexStatus.edges} edges`);
+    } catch (indexError) {
+      searchIndexStatus.error = indexError.message;
+      console.error('[ingest] Search index error (non-fatal):', indexError.message);
+    }
+
     res.json({
       ok,
       ...(ok ? {} : {
@@ -3176,6 +4242,8 @@ export async function ingestUrl(req, res) {
       data: {
         domain,
         source_url: canonicalUrl,
+        requested_url: requestedUrl,
+        hreflang_alternates: hreflangAlternates,
         content_hash: contentHash,
         // Keep existing fields for backward compatibility
         doc_id: extractedContent.doc_id,
@@ -3199,8 +4267,27 @@ export async function ingestUrl(req, res) {
         // Protocol v1.1: Extraction tracking
         extraction_method: extractedContent.extraction_method,
         extraction_text_hash: extractedContent.extraction_text_hash,
+        html_variant: render,
+        renderer: rendererName,
+        fetch_method: fetchMethod,
+        document_type: documentType,
+        language: extractedContent.language,
+        language_source: extractedContent.language_source,
         canonical_extracted_text: extractedContent.canonical_extracted_text,
         fetched_at: new Date().toISOString(),
+        search_index: searchIndexStatus,
+        // Facts written by this ingestion (same keys as the dry run's fact_counts)
+        fact_counts: {
+          attempted: croutonsStorageStatus.attempted,
+          inserted: croutonsStorageStatus.inserted,
+          updated: croutonsStorageStatus.updated,
+          archived: croutonsStorageStatus.archived,
+          retracted: croutonsStorageStatus.retracted,
+          restored: croutonsStorageStatus.restored,
+          skipped: croutonsStorageStatus.skipped,
+          invalid: croutonsStorageStatus.invalid,
+          error: croutonsStorageStatus.error
+        },
         // Debug: croutons storage status
         _debug_croutons_storage: croutonsStorageStatus
       }
@@ -3215,3 +4302,462 @@ export async function ingestUrl(req, res) {
     });
   }
 }
+
+// Preview: a stored fact row as it appears in a preview
+function formatStoredFact(row) {
+  return {
+    crouton_id: row.crouton_id,
+    slot_id: row.slot_id,
+    fact_id: row.fact_id,
+    revision: row.revision,
+    triple: typeof row.triple === 'object' ? row.triple : JSON.parse(row.triple || 'null'),
+    evidence_type: row.evidence_type,
+    source_path: row.source_path
+  };
+}
+
+// Preview: a freshly built fact as it would be written to croutons
+function formatPlannedFact(fact) {
+  return {
+    crouton_id: fact.fact_id.substring(0, 16),
+    slot_id: fact.slot_id,
+    fact_id: fact.fact_id,
+    previous_fact_id: fact.previous_fact_id || null,
+    revision: fact.revision || 1,
+    triple: fact.triple,
+    evidence_type: fact.evidence_type,
+    source_path: fact.source_path || null,
+    supporting_text: fact.supporting_text || null,
+    evidence_anchor: fact.evidence_anchor || null,
+    confidence: fact.confidence || 0.5
+  };
+}
+
+/**
+ * Sort a page's new facts against what croutons holds for it, the same way
+ * PHASE B would write them: inserted, updated (new revision of a slot),
+ * unchanged, restored (re-produced after a retraction), retracted, invalid.
+ */
+function planFactWrites(currentRows, allFacts) {
+  const valid = allFacts.filter(fact => fact.fact_id && fact.triple?.object);
+  const invalid = allFacts.filter(fact => !valid.includes(fact));
+  const plan = planFactRevisions(currentRows, valid);
+  const currentByCroutonId = new Map(currentRows.map(row => [row.crouton_id, row]));
+  const changedSuccessors = new Set(plan.changed.map(change => change.superseded_by));
+
+  const writes = { inserted: [], updated: [], unchanged: [], restored: [], retracted: [], invalid: [] };
+  for (const fact of valid) {
+    const stored = currentByCroutonId.get(fact.fact_id.substring(0, 16));
+    if (stored?.retracted_at) {
+      writes.restored.push(formatPlannedFact(fact));
+    } else if (stored) {
+      writes.unchanged.push(formatPlannedFact(fact));
+    } else if (changedSuccessors.has(fact.fact_id)) {
+      writes.updated.push(formatPlannedFact(fact));
+    } else {
+      writes.inserted.push(formatPlannedFact(fact));
+    }
+  }
+  // Same guard as PHASE B: an empty extraction never retracts a page
+  if (valid.length > 0) {
+    writes.retracted = plan.retracted.map(formatStoredFact);
+  }
+  writes.invalid = invalid.map(fact => ({ fact_id: fact.fact_id || null, triple: fact.triple || null }));
+
+  return { writes, validFacts: valid };
+}
+
+// POST /v1/ingest/preview (or POST /v1/ingest?dry_run=true)
+// Runs extraction, the QA gate, PHASE B fact building and markdown generation
+// without writing anything. Body: { domain, url } like /v1/ingest, or
+// { domain, html, url? } to preview HTML that is not published yet (url, or
+// source_url as on /v1/ingest, is the address the page will have). Without one
+// or a canonical link in the HTML the page has no stored counterpart, so nothing
+// is diffed against stored facts: every fact is listed as inserted, none retracted.
+// { domain, document, content_type, url? } previews a PDF / DOCX / markdown / text file.
+export async function previewIngest(req, res) {
+  try {
+    const {
+      domain,
+      url: urlParam,
+      source_url: declaredSourceUrl,
+      html: providedHtml,
+      document: providedDocument,
+      content_type: providedContentType,
+      extraction_method: requestedMethod,
+      render = 'raw'
+    } = req.body;
+    // source_url names provided content as on /v1/ingest (dry runs pass it through)
+    const url = urlParam || (providedHtml !== undefined || providedDocument !== undefined ? declaredSourceUrl : undefined);
+    
+    if (!domain || (!url && !providedHtml && providedDocument === undefined)) {
+      return res.status(400).json({ error: 'domain and url (or html / document) are required' });
+    }
+    if (providedHtml !== undefined && typeof providedHtml !== 'string') {
+      return res.status(400).json({ error: 'html must be a string' });
+    }
+    if (!HTML_VARIANTS.includes(render)) {
+      return res.status(400).json({ error: `render must be one of: ${HTML_VARIANTS.join(', ')}` });
+    }
+
+    const extractionMethod = await selectExtractionMethod(domain, requestedMethod);
+    if (!extractionMethod) {
+      return res.status(400).json({
+        error: `Unknown extraction_method: ${requestedMethod}`,
+        available: listExtractionMethods()
+      });
+    }
+
+    const normalizedUrl = normalizeUrl(url || `https://${domain}/`);
+    if (!normalizedUrl) {
+      return res.status(400).json({ error: 'Invalid URL format' });
+    }
+
+    // Get the HTML: provided, rendered or fetched (never conditional - previews always extract)
+    let html = providedHtml;
+    let documentType = 'html';
+    let fetchedUrl = normalizedUrl;
+    let rendererName = null;
+    if (providedDocument !== undefined) {
+      try {
+        ({ html, documentType } = readProvidedDocument(providedDocument, providedContentType, normalizedUrl));
+      } catch (documentError) {
+        if (!(documentError instanceof DocumentError)) throw documentError;
+        return res.status(400).json({ error: 'Failed to read document', message: documentError.message });
+      }
+    }
+    const isProvided = !!providedHtml || providedDocument !== undefined;
+    const input = providedDocument !== undefined ? 'document' : providedHtml ? 'html' : 'url';
+    if (!isProvided && render === 'prerender') {
+      try {
+        const renderer = getRenderer();
+        rendererName = renderer.name;
+        html = await renderer.render(url);
+      } catch (renderError) {
+        return res.status(400).json({
+          error: 'Failed to prerender URL',
+          message: renderError.message,
+          renderer: rendererName,
+          url
+        });
+      }
+    } else if (!isProvided) {
+      let response;
+      try {
+        response = await fetch(url, {
+          headers: {
+            'User-Agent': 'Croutons-Ingestor/1.0',
+            'Accept': 'text/html, */*;q=0.8'
+          },
+          signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+        });
+      } catch (fetchError) {
+        return res.status(400).json({
+          error: 'Failed to fetch URL',
+          message: fetchError.message,
+          url
+        });
+      }
+      if (!response.ok) {
+        return res.status(400).json({
+          error: 'Failed to fetch URL',
+          status: response.status,
+          url
+        });
+      }
+      try {
+        ({ html, documentType } = await readFetchedDocument(response, url));
+      } catch (documentError) {
+        if (!(documentError instanceof DocumentError)) throw documentError;
+        return res.status(400).json({ error: 'Failed to read document', message: documentError.message, url });
+      }
+      fetchedUrl = response.url || url;
+    }
+
+    // URL identity, resolved as ingestion would (aliases are read, not recorded)
+    // Without a url, provided content has nothing to compare its canonical link with
+    const declaredCanonical = url
+      ? await acceptDeclaredCanonical(domain, resolveCanonicalUrl(html, fetchedUrl), [normalizeUrl(fetchedUrl), normalizedUrl])
+      : resolveCanonicalUrl(html, fetchedUrl);
+    const canonicalUrl = declaredCanonical ||
+      (!isProvided && fetchedUrl !== url ? normalizeUrl(fetchedUrl) : null) ||
+      await lookupCanonicalUrl(domain, normalizedUrl);
+    // Provided content without an address stands in for no stored page
+    const comparedWithStored = !!url || !!declaredCanonical;
+    const previousSnapshot = comparedWithStored ? await loadSnapshot(domain, canonicalUrl) : null;
+
+    const extractedContent = await extractContentUniversal(html, canonicalUrl, null, domain, extractionMethod, documentType);
+    // Uploaded HTML has no live page to borrow schema from, documents carry no schema
+    if (render === 'raw' && !isProvided && documentType === 'html') {
+      await applySchemaFallback(extractedContent, html, canonicalUrl, previousSnapshot?.html || null, domain, extractionMethod);
+    }
+    const contentHash = computeContentHash(extractedContent);
+    const ok = extractedContent.qa_gate.passed;
+
+    // PHASE B, planned against the stored facts for this page
+    const { textExtractionFacts, structuredDataFacts } = buildPageFacts(domain, canonicalUrl, extractedContent);
+    const { rows: currentFacts } = comparedWithStored
+      ? await pool.query(
+          `SELECT * FROM public.croutons WHERE domain = $1 AND source_url = $2`,
+          [domain, canonicalUrl]
+        )
+      : { rows: [] };
+    const { writes, validFacts } = planFactWrites(currentFacts, [...textExtractionFacts, ...structuredDataFacts]);
+
+    // Markdown as it would be generated (only when the QA gate passes, as in ingestion)
+    let markdown = null;
+    if (ok) {
+      const content = await generateMarkdown(extractedContent, canonicalUrl, contentHash, domain, {
+        textExtractionFacts: validFacts.filter(fact => fact.evidence_type === 'text_extraction'),
+        structuredDataFacts: validFacts.filter(fact => fact.evidence_type === 'structured_data')
+      });
+      markdown = {
+        path: derivePath(canonicalUrl),
+        content,
+        content_hash: crypto.createHash('sha256').update(content).digest('hex')
+      };
+    }
+
+    res.json({
+      ok,
+      dry_run: true,
+      ...(ok ? {} : {
+        errors: extractedContent.qa_gate.quality_report.errors,
+        fix_suggestions: extractedContent.qa_gate.quality_report.fix_suggestions
+      }),
+      data: {
+        domain,
+        source_url: canonicalUrl,
+        requested_url: url || null,
+        input,
+        compared_with_stored: comparedWithStored,
+        content_hash: contentHash,
+        doc_id: extractedContent.doc_id,
+        title: extractedContent.title,
+        structured_data: extractedContent.structured_data,
+        vertical: extractedContent.vertical,
+        quality_report: extractedContent.qa_gate.quality_report,
+        extraction_stats: extractedContent.extraction_stats,
+        extraction_method: extractedContent.extraction_method,
+        extraction_text_hash: extractedContent.extraction_text_hash,
+        extraction_unchanged: previousSnapshot?.extraction_text_hash === extractedContent.extraction_text_hash,
+        html_variant: isProvided ? 'raw' : render,
+        renderer: rendererName,
+        document_type: documentType,
+        language: extractedContent.language,
+        language_source: extractedContent.language_source,
+        canonical_extracted_text: extractedContent.canonical_extracted_text,
+        markdown,
+        facts: writes,
+        fact_counts: Object.fromEntries(Object.entries(writes).map(([key, list]) => [key, list.length]))
+      }
+    });
+
+  } catch (error) {
+    console.error('Ingestion preview error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      message: error.message,
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined
+    });
+  }
+}
+
+// Run a route handler in-process and capture its JSON response
+function invokeHandler(handler, body, query = {}) {
+  return new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(payload) {
+        resolve({ status: this.statusCode, body: payload });
+        return this;
+      }
+    };
+    Promise.resolve(handler({ body, query }, res)).catch(reject);
+  });
+}
+
+// POST /v1/ingest/upload - multipart/form-data upload of HTML files, documents
+// (PDF, DOCX, markdown, text) or zip archives of them
+// Fields: domain, source_url (one file) or base_url (zip archives / several
+// files, resolved against each file's path), optional extraction_method, force.
+// Every page goes through the /v1/ingest pipeline with fetch_method "upload";
+// ?dry_run=true previews them instead.
+export async function ingestUpload(req, res) {
+  try {
+    if (!Buffer.isBuffer(req.body) || !req.is('multipart/form-data')) {
+      return res.status(400).json({ error: 'Expected a multipart/form-data body' });
+    }
+
+    const { fields, files } = parseMultipart(req.body, req.headers['content-type']);
+    const domain = (fields.domain || '').trim();
+    if (!domain) {
+      return res.status(400).json({ error: 'domain is required' });
+    }
+
+    const pages = collectUploadPages(files, {
+      sourceUrl: fields.source_url?.trim(),
+      baseUrl: fields.base_url?.trim()
+    });
+    const dryRun = req.query.dry_run === 'true';
+    console.log(`[ingest] Upload: ${pages.length} page(s) for ${domain}${dryRun ? ' (dry run)' : ''}`);
+
+    const results = [];
+    for (const page of pages) {
+      const { status, body } = await invokeHandler(ingestUrl, {
+        domain,
+        url: page.source_url,
+        html: page.html,
+        document: page.document,
+        content_type: page.content_type,
+        extraction_method: fields.extraction_method || undefined,
+        force: fields.force === 'true',
+        dry_run: dryRun
+      });
+      results.push({
+        file: page.file,
+        source_url: body.data?.source_url || page.source_url,
+        status,
+        ok: body.ok === true,
+        not_modified: body.not_modified === true || undefined,
+        errors: body.errors || (body.error ? [body.message || body.error] : undefined),
+        facts: body.data?.fact_counts || undefined
+      });
+    }
+
+    const succeeded = results.filter(result => result.ok).length;
+    res.json({
+      ok: succeeded === results.length,
+      dry_run: dryRun,
+      domain,
+      pages: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    });
+
+  } catch (error) {
+    if (error instanceof UploadError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Upload ingestion error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+// Batch ingestion limits (POST /v1/ingest/batch and ingest jobs from /v1/run.ndjson)
+export const MAX_BATCH_URLS = 1000;
+
+/**
+ * Resolve a batch request into a de-duplicated list of { domain, url } targets.
+ * Accepts either a shared domain plus URL list, or bare URLs whose hostname
+ * becomes the domain. With a shared domain, URLs on other hosts are returned in
+ * offsite (a batch may not ingest one site's pages under another's name).
+ * Returns { targets, invalid, offsite }.
+ */
+export function resolveIngestTargets(domain, urls) {
+  const targets = [];
+  const invalid = [];
+  const offsite = [];
+  const seen = new Set();
+
+  for (const rawUrl of (Array.isArray(urls) ? urls : [])) {
+    // Spellings of the same URL (tracking params, trailing slash, host case) collapse to one target
+    const canonicalUrl = normalizeUrl(String(rawUrl).trim());
+    if (!canonicalUrl) {
+      invalid.push(rawUrl);
+      continue;
+    }
+    if (domain && !isSameSite(canonicalUrl, `https://${domain}/`)) {
+      offsite.push(rawUrl);
+      continue;
+    }
+    if (seen.has(canonicalUrl)) continue;
+    seen.add(canonicalUrl);
+    targets.push({
+      domain: domain || new URL(canonicalUrl).hostname,
+      url: canonicalUrl
+    });
+  }
+
+  return { targets, invalid, offsite };
+}
+
+// POST /v1/ingest/batch - Queue many URLs as one ingestion job
+// Progress streams through /v1/jobs/:id/events (SSE) and /v1/run.ndjson
+export async function ingestBatch(req, res) {
+  try {
+    const { domain, urls, force = false, render = 'raw' } = req.body || {};
+
+    if (!Array.isArray(urls) || urls.length === 0) {
+      return res.status(400).json({
+        error: 'urls (non-empty array) is required',
+        example: {
+          domain: 'example.com',
+          urls: ['https://example.com/', 'https://example.com/services']
+        }
+      });
+    }
+
+    const { targets, invalid, offsite } = resolveIngestTargets(domain, urls);
+
+    if (offsite.length > 0) {
+      return res.status(400).json({ error: `URLs outside ${domain}`, offsite });
+    }
+    if (targets.length === 0) {
+      return res.status(400).json({ error: 'No valid URLs provided', invalid });
+    }
+    if (targets.length > MAX_BATCH_URLS) {
+      return res.status(400).json({
+        error: `Too many URLs: ${targets.length} (max ${MAX_BATCH_URLS} per batch)`
+      });
+    }
+
+    const context = {
+      content_source: 'batch',
+      task: 'batch',
+      domain: domain || null,
+      force: force === true,
+      render: HTML_VARIANTS.includes(render) ? render : 'raw',
+      targets
+    };
+    const prompt = `Ingest ${targets.length} URL(s)${domain ? ` for ${domain}` : ''}`;
+    const job = await insertJob('ingest', prompt, context);
+
+    let queued = false;
+    if (process.env.REDIS_URL) {
+      try {
+        await enqueueJob(job.id, 'ingest', prompt, context);
+        queued = true;
+      } catch (redisErr) {
+        console.error('[ingest-batch] Redis enqueue failed:', redisErr.message);
+        // Continue anyway - job is in DB
+      }
+    }
+
+    console.log(`[ingest-batch] Created job ${job.id} with ${targets.length} URL(s) (queued=${queued})`);
+
+    res.status(202).json({
+      ok: true,
+      job_id: job.id,
+      status: job.status,
+      queued,
+      url_count: targets.length,
+      invalid_urls: invalid.length > 0 ? invalid : undefined,
+      events_url: `/v1/jobs/${job.id}/events`
+    });
+  } catch (error) {
+    console.error('[ingest-batch] Error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
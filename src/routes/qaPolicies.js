@@ -0,0 +1,123 @@
+// src/routes/qaPolicies.js
+// Configurable QA gate policies (see migrations/031_add_qa_policies.sql)
+//
+// A policy is a named, versioned set of checks; each check is "blocking"
+// (fails ingestion), "warning" (reported only) or "off", with its thresholds.
+// Resolution order for a page: the domain's verified_domains.qa_policy, then
+// the default for the detected vertical (qa_policy_defaults), then "standard".
+// The latest version of the named policy applies.
+
+import { pool } from '../db.js';
+
+// Built-in copy of the "standard" policy: used for checks a policy leaves out,
+// and as the whole policy if the policy tables cannot be read
+export const STANDARD_QA_POLICY = {
+  name: 'standard',
+  version: 1,
+  checks: {
+    grounded_fact_rate: { level: 'blocking', min: 0.95 },
+    ungrounded_fact_count: { level: 'blocking', max: 0 },
+    avg_unit_length: { level: 'blocking', max: 500 },
+    atomicity_pass_rate: { level: 'blocking', min: 0.9 },
+    schema_coverage_score: { level: 'blocking', min: 0.5, verified_min: 0.0 },
+    hop_graph_density: { level: 'blocking', gt: 0 }
+  }
+};
+
+export const QA_CHECK_LEVELS = ['blocking', 'warning', 'off'];
+
+async function loadLatestPolicy(name) {
+  const result = await pool.query(
+    `SELECT name, version, checks FROM qa_policies
+     WHERE name = $1 ORDER BY version DESC LIMIT 1`,
+    [name]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Resolve the QA policy for a domain and detected vertical.
+ * Returns { name, version, source, checks } with every check filled in.
+ */
+export async function resolveQAPolicy(domain, vertical) {
+  const candidates = [];
+  try {
+    if (domain) {
+      const assigned = await pool.query(
+        'SELECT qa_policy FROM verified_domains WHERE domain = $1',
+        [domain]
+      );
+      if (assigned.rows[0]?.qa_policy) {
+        candidates.push({ name: assigned.rows[0].qa_policy, source: 'domain' });
+      }
+    }
+    if (vertical) {
+      const verticalDefault = await pool.query(
+        'SELECT policy_name FROM qa_policy_defaults WHERE vertical = $1',
+        [vertical]
+      );
+      if (verticalDefault.rows[0]) {
+        candidates.push({ name: verticalDefault.rows[0].policy_name, source: 'vertical' });
+      }
+    }
+    candidates.push({ name: STANDARD_QA_POLICY.name, source: 'default' });
+
+    for (const candidate of candidates) {
+      const policy = await loadLatestPolicy(candidate.name);
+      if (policy) {
+        return {
+          name: policy.name,
+          version: policy.version,
+          source: candidate.source,
+          checks: mergeChecks(policy.checks)
+        };
+      }
+      console.warn(`[qa-policy] Policy "${candidate.name}" (${candidate.source}) not found - falling back`);
+    }
+  } catch (error) {
+    console.warn(`[qa-policy] Error resolving QA policy for ${domain || 'unknown domain'}:`, error.message);
+  }
+
+  return { ...STANDARD_QA_POLICY, source: 'builtin', checks: mergeChecks({}) };
+}
+
+function mergeChecks(checks) {
+  const merged = {};
+  for (const [check, defaults] of Object.entries(STANDARD_QA_POLICY.checks)) {
+    const configured = checks?.[check] || {};
+    merged[check] = { ...defaults, ...configured };
+    if (!QA_CHECK_LEVELS.includes(merged[check].level)) {
+      merged[check].level = defaults.level;
+    }
+  }
+  return merged;
+}
+
+/**
+ * GET /v1/qa-policies
+ * Lists every policy version and the per-vertical defaults
+ */
+export async function listQAPolicies(req, res) {
+  try {
+    const policies = await pool.query(
+      `SELECT name, version, description, checks, created_at
+       FROM qa_policies ORDER BY name, version DESC`
+    );
+    const defaults = await pool.query(
+      'SELECT vertical, policy_name FROM qa_policy_defaults ORDER BY vertical'
+    );
+
+    res.json({
+      policies: policies.rows,
+      vertical_defaults: Object.fromEntries(defaults.rows.map(row => [row.vertical, row.policy_name])),
+      fallback_policy: STANDARD_QA_POLICY.name,
+      check_levels: QA_CHECK_LEVELS
+    });
+  } catch (error) {
+    console.error('[qa-policies] Error:', error);
+    res.status(500).json({
+      error: 'Failed to list QA policies',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,261 @@
+// src/routes/reverify.js
+// Extraction replay + anchor re-verification (scheduled, like the scanner)
+//
+// Walks html_snapshots (least recently checked first), re-runs the recorded
+// extraction_method on the stored HTML and checks that:
+// - extraction_text_hash reproduces
+// - every live text_extraction anchor still matches
+//   canonical_extracted_text[char_start:char_end] by fragment_hash
+// Drifted facts are flagged anchor_missing (with anchor_drift = reason) so they
+// drop out of the citation-grade tier. Per-domain results go to
+// reverification_runs and surface in /v1/status/:domain.
+
+import crypto from 'crypto';
+import { pool } from '../db.js';
+import { replayExtraction } from './ingest.js';
+
+const DEFAULT_SNAPSHOT_LIMIT = 200;
+const MAX_SNAPSHOT_LIMIT = 2000;
+const MAX_DRIFT_EXAMPLES = 10;
+
+let reverificationRunning = false;
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+}
+
+/**
+ * Check one fact's anchor against the snapshot's canonical text.
+ * Returns null if the anchor verifies, otherwise the drift reason.
+ */
+function checkAnchor(fact, canonicalText, snapshotHash, hashReproduced) {
+  const anchor = typeof fact.evidence_anchor === 'object'
+    ? fact.evidence_anchor
+    : JSON.parse(fact.evidence_anchor || 'null');
+
+  if (!anchor) return 'no_anchor';
+  if (!hashReproduced) return 'extraction_not_reproducible';
+  if (anchor.extraction_text_hash !== snapshotHash) return 'extraction_hash_mismatch';
+
+  const { char_start, char_end, fragment_hash } = anchor;
+  if (!Number.isInteger(char_start) || !Number.isInteger(char_end) ||
+      char_start < 0 || char_end > canonicalText.length || char_start >= char_end) {
+    return 'invalid_offsets';
+  }
+
+  const slice = canonicalText.substring(char_start, char_end);
+  if (sha256(slice) !== fragment_hash) return 'fragment_hash_mismatch';
+  if (fact.supporting_text !== slice) return 'supporting_text_mismatch';
+
+  return null;
+}
+
+/**
+ * Replay one snapshot and re-verify its facts, accumulating into the domain run
+ */
+async function reverifySnapshot(snapshotId, run) {
+  const { rows } = await pool.query(
+    `SELECT domain, source_url, html, extraction_method,
+            canonical_extracted_text, extraction_text_hash
+     FROM html_snapshots WHERE id = $1`,
+    [snapshotId]
+  );
+  const snapshot = rows[0];
+  if (!snapshot) return;
+
+  run.snapshots_checked++;
+
+  // 1. Replay extraction and compare hashes
+  const canonicalText = snapshot.canonical_extracted_text || '';
+  let hashReproduced = false;
+  if (!snapshot.html) {
+    run.errors.push({ source_url: snapshot.source_url, error: 'No stored HTML' });
+  } else {
+    const replay = replayExtraction(snapshot.html, snapshot.source_url, snapshot.extraction_method || undefined);
+    if (!replay) {
+      run.errors.push({ source_url: snapshot.source_url, error: `Unknown extraction_method: ${snapshot.extraction_method}` });
+    } else {
+      hashReproduced = replay.extraction_text_hash === snapshot.extraction_text_hash &&
+        sha256(canonicalText) === snapshot.extraction_text_hash;
+    }
+  }
+
+  if (hashReproduced) {
+    run.hashes_reproduced++;
+  } else {
+    run.hashes_drifted++;
+  }
+
+  await pool.query(
+    `UPDATE html_snapshots SET replay_checked_at = NOW(), replay_hash_matches = $2 WHERE id = $1`,
+    [snapshotId, snapshot.html ? hashReproduced : null]
+  );
+
+  // 2. Re-verify every live anchored text_extraction fact for the page
+  const factsResult = await pool.query(
+    `SELECT id, fact_id, slot_id, supporting_text, evidence_anchor, anchor_drift
+     FROM public.croutons
+     WHERE domain = $1 AND source_url = $2
+       AND evidence_type = 'text_extraction'
+       AND evidence_anchor IS NOT NULL
+       AND retracted_at IS NULL`,
+    [snapshot.domain, snapshot.source_url]
+  );
+
+  const passedIds = [];
+  const restoredIds = [];
+  const driftedByReason = new Map();
+
+  for (const fact of factsResult.rows) {
+    run.facts_checked++;
+    const reason = checkAnchor(fact, canonicalText, snapshot.extraction_text_hash, hashReproduced);
+
+    if (!reason) {
+      run.facts_passed++;
+      passedIds.push(fact.id);
+      if (fact.anchor_drift) restoredIds.push(fact.id);
+      continue;
+    }
+
+    run.facts_drifted++;
+    if (!driftedByReason.has(reason)) driftedByReason.set(reason, []);
+    driftedByReason.get(reason).push(fact.id);
+    if (run.drift_examples.length < MAX_DRIFT_EXAMPLES) {
+      run.drift_examples.push({
+        source_url: snapshot.source_url,
+        fact_id: fact.fact_id,
+        slot_id: fact.slot_id,
+        reason
+      });
+    }
+  }
+
+  if (passedIds.length > 0) {
+    await pool.query(
+      `UPDATE public.croutons SET anchor_checked_at = NOW() WHERE id = ANY($1)`,
+      [passedIds]
+    );
+  }
+
+  // Facts this job flagged earlier that verify again are restored
+  if (restoredIds.length > 0) {
+    await pool.query(
+      `UPDATE public.croutons
+       SET anchor_missing = false, anchor_drift = NULL
+       WHERE id = ANY($1)`,
+      [restoredIds]
+    );
+    run.facts_restored += restoredIds.length;
+  }
+
+  for (const [reason, ids] of driftedByReason) {
+    await pool.query(
+      `UPDATE public.croutons
+       SET anchor_missing = true, anchor_drift = $2, anchor_checked_at = NOW()
+       WHERE id = ANY($1)`,
+      [ids, reason]
+    );
+  }
+}
+
+/**
+ * POST /v1/reverify/run - Manual trigger for extraction replay + anchor re-verification
+ * GET /v1/reverify/run - Same, for cron jobs
+ * Query: domain (optional, one domain only), limit (snapshots per run, default 200)
+ */
+export async function runReverification(req, res) {
+  if (reverificationRunning) {
+    return res.status(409).json({ error: 'Re-verification already running' });
+  }
+  reverificationRunning = true;
+
+  try {
+    const domainFilter = (req.query.domain || req.body?.domain || '').trim();
+    const limit = Math.min(
+      parseInt(req.query.limit || req.body?.limit) || DEFAULT_SNAPSHOT_LIMIT,
+      MAX_SNAPSHOT_LIMIT
+    );
+
+    console.log(`[reverify] Starting re-verification (limit=${limit}${domainFilter ? `, domain=${domainFilter}` : ''})...`);
+
+    // Least recently checked first, so repeated runs cover every snapshot
+    const params = [limit];
+    let query = `SELECT id, domain FROM html_snapshots`;
+    if (domainFilter) {
+      query += ` WHERE domain = $2`;
+      params.push(domainFilter);
+    }
+    query += ` ORDER BY replay_checked_at ASC NULLS FIRST, fetched_at ASC LIMIT $1`;
+    const { rows: snapshots } = await pool.query(query, params);
+
+    const byDomain = new Map();
+    for (const row of snapshots) {
+      if (!byDomain.has(row.domain)) byDomain.set(row.domain, []);
+      byDomain.get(row.domain).push(row.id);
+    }
+
+    const domains = [];
+    for (const [domain, snapshotIds] of byDomain) {
+      const run = {
+        domain,
+        snapshots_checked: 0,
+        hashes_reproduced: 0,
+        hashes_drifted: 0,
+        facts_checked: 0,
+        facts_passed: 0,
+        facts_drifted: 0,
+        facts_restored: 0,
+        drift_examples: [],
+        errors: []
+      };
+      const runInsert = await pool.query(
+        `INSERT INTO reverification_runs (domain) VALUES ($1) RETURNING id, started_at`,
+        [domain]
+      );
+
+      for (const snapshotId of snapshotIds) {
+        try {
+          await reverifySnapshot(snapshotId, run);
+        } catch (snapshotError) {
+          console.error(`[reverify] Snapshot ${snapshotId} failed:`, snapshotError.message);
+          run.errors.push({ snapshot_id: snapshotId, error: snapshotError.message });
+        }
+      }
+
+      await pool.query(
+        `UPDATE reverification_runs SET
+          completed_at = NOW(),
+          snapshots_checked = $2, hashes_reproduced = $3, hashes_drifted = $4,
+          facts_checked = $5, facts_passed = $6, facts_drifted = $7, facts_restored = $8,
+          drift_examples = $9, errors = $10
+        WHERE id = $1`,
+        [
+          runInsert.rows[0].id,
+          run.snapshots_checked, run.hashes_reproduced, run.hashes_drifted,
+          run.facts_checked, run.facts_passed, run.facts_drifted, run.facts_restored,
+          JSON.stringify(run.drift_examples), JSON.stringify(run.errors)
+        ]
+      );
+
+      console.log(`[reverify] ${domain}: ${run.hashes_reproduced}/${run.snapshots_checked} hashes reproduced, ${run.facts_drifted}/${run.facts_checked} facts drifted`);
+      domains.push({ run_id: runInsert.rows[0].id, ...run });
+    }
+
+    res.json({
+      ok: true,
+      snapshots_checked: domains.reduce((sum, d) => sum + d.snapshots_checked, 0),
+      facts_drifted: domains.reduce((sum, d) => sum + d.facts_drifted, 0),
+      domains,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('[reverify] Error:', error);
+    res.status(500).json({
+      error: 'Re-verification failed',
+      message: error.message
+    });
+  } finally {
+    reverificationRunning = false;
+  }
+}
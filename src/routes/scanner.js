@@ -1,11 +1,20 @@
 // src/routes/scanner.js
 // Scheduled scanner for verified partner domains (safety net)
 // Scans only verified domains, only known pages or sitemap URLs
+// Sitemaps: robots.txt Sitemap: lines -> sitemap.xml / sitemap indexes / .xml.gz
 // Low frequency (daily/weekly) - not a crawler, just verification sweep
 
 import { pool } from '../db.js';
 import { parse } from 'node-html-parser';
 import dns from 'dns/promises';
+import zlib from 'zlib';
+import { normalizeUrl } from '../urls.js';
+
+// Sitemap crawl limits (per domain)
+const MAX_SITEMAP_DEPTH = 3;      // sitemap index -> sitemap -> (nested index)
+const MAX_SITEMAP_FILES = 50;
+const MAX_SITEMAP_URLS = 5000;
+const MAX_SITEMAP_BYTES = 50 * 1024 * 1024; // sitemaps.org cap on uncompressed size
 
 /**
  * Extract <link rel="alternate" type="text/markdown"> from HTML
@@ -47,31 +56,229 @@ async function isDomainVerified(domain) {
   return verified.rows.length > 0;
 }
 
+/**
+ * Fetch a sitemap (plain or gzipped) and return its XML text
+ */
+async function fetchSitemapXml(sitemapUrl) {
+  const response = await fetch(sitemapUrl, {
+    headers: { 'User-Agent': 'Croutons-Scanner/1.0' },
+    signal: AbortSignal.timeout(15000)
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  const buffer = Buffer.from(await response.arrayBuffer());
+
+  // .xml.gz files are served as binary (no Content-Encoding) - check gzip magic bytes
+  // Cap the inflated size so a gzip bomb can't exhaust memory
+  if (buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    try {
+      return zlib.gunzipSync(buffer, { maxOutputLength: MAX_SITEMAP_BYTES }).toString('utf8');
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+        throw new Error(`gzipped sitemap inflates past ${MAX_SITEMAP_BYTES} bytes`);
+      }
+      throw error;
+    }
+  }
+  return buffer.toString('utf8');
+}
+
+/**
+ * Parse sitemap XML into { type: 'index' | 'urlset', entries: [{ loc, lastmod }] }
+ */
+function parseSitemapXml(xml) {
+  const isIndex = /<sitemapindex[\s>]/i.test(xml);
+  const blockRegex = isIndex
+    ? /<sitemap(?:\s[^>]*)?>([\s\S]*?)<\/sitemap>/gi
+    : /<url(?:\s[^>]*)?>([\s\S]*?)<\/url>/gi;
+
+  const decode = (value) => value
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .trim();
+
+  const entries = [];
+  let match;
+  while ((match = blockRegex.exec(xml)) !== null) {
+    const locMatch = match[1].match(/<loc>([\s\S]*?)<\/loc>/i);
+    if (!locMatch) continue;
+    const lastmodMatch = match[1].match(/<lastmod>([\s\S]*?)<\/lastmod>/i);
+    const lastmod = lastmodMatch ? new Date(decode(lastmodMatch[1])) : null;
+    entries.push({
+      loc: decode(locMatch[1]),
+      lastmod: lastmod && !isNaN(lastmod.getTime()) ? lastmod : null
+    });
+  }
+
+  return { type: isIndex ? 'index' : 'urlset', entries };
+}
+
+/**
+ * Find sitemap URLs for a domain via robots.txt Sitemap: lines
+ * Falls back to /sitemap.xml when robots.txt lists none
+ */
+async function getSitemapRoots(domain) {
+  const roots = [];
+  try {
+    const response = await fetch(`https://${domain}/robots.txt`, {
+      headers: { 'User-Agent': 'Croutons-Scanner/1.0' },
+      signal: AbortSignal.timeout(10000)
+    });
+    if (response.ok) {
+      const robots = await response.text();
+      for (const line of robots.split(/\r?\n/)) {
+        const sitemapMatch = line.match(/^\s*sitemap:\s*(\S+)/i);
+        if (sitemapMatch) roots.push(sitemapMatch[1]);
+      }
+    }
+  } catch (error) {
+    console.warn(`[scanner] robots.txt fetch failed for ${domain}:`, error.message);
+  }
+
+  if (roots.length === 0) {
+    roots.push(`https://${domain}/sitemap.xml`);
+  }
+  return roots;
+}
+
+/**
+ * Check that a sitemap URL belongs to the domain being scanned
+ */
+function isSameSite(url, domain) {
+  try {
+    const host = new URL(url).hostname.toLowerCase();
+    const bare = domain.toLowerCase().replace(/^www\./, '');
+    return host === bare || host === `www.${bare}`;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Walk robots.txt -> sitemap(s) -> nested sitemap indexes
+ * Returns page entries: [{ loc, lastmod }]; truncated is set when the
+ * MAX_SITEMAP_URLS / MAX_SITEMAP_FILES limits left entries or sitemaps unread
+ */
+async function collectSitemapUrls(domain) {
+  const pages = new Map();
+  const visited = new Set();
+  const queue = (await getSitemapRoots(domain)).map(url => ({ url, depth: 0 }));
+  const errors = [];
+  let truncated = false;
+
+  while (queue.length > 0 && visited.size < MAX_SITEMAP_FILES && !truncated) {
+    const { url, depth } = queue.shift();
+    if (visited.has(url)) continue;
+    visited.add(url);
+
+    let parsed;
+    try {
+      parsed = parseSitemapXml(await fetchSitemapXml(url));
+    } catch (error) {
+      errors.push({ url, error: error.message });
+      continue;
+    }
+
+    if (parsed.type === 'index') {
+      if (depth + 1 > MAX_SITEMAP_DEPTH) continue;
+      for (const entry of parsed.entries) {
+        if (isSameSite(entry.loc, domain)) {
+          queue.push({ url: entry.loc, depth: depth + 1 });
+        }
+      }
+      continue;
+    }
+
+    for (const entry of parsed.entries) {
+      if (!isSameSite(entry.loc, domain)) continue;
+      // Key pages on the normalized URL so sitemap spellings don't create duplicates
+      const loc = normalizeUrl(entry.loc);
+      if (!loc) continue;
+      if (!pages.has(loc) && pages.size >= MAX_SITEMAP_URLS) {
+        truncated = true;
+        break;
+      }
+      pages.set(loc, { ...entry, loc });
+    }
+  }
+
+  // Sitemaps still queued past the file limit were never read
+  if (queue.some(({ url }) => !visited.has(url))) truncated = true;
+
+  return { pages: Array.from(pages.values()), sitemaps_read: visited.size, truncated, errors };
+}
+
+/**
+ * Record sitemap entries in discovered_pages (discovery_method = 'sitemap')
+ * Existing rows keep their discovery proof; only sitemap_lastmod is refreshed.
+ */
+async function recordSitemapPages(domain, pages) {
+  let added = 0;
+  for (const page of pages) {
+    const result = await pool.query(`
+      INSERT INTO discovered_pages (domain, page_url, discovery_method, sitemap_lastmod)
+      VALUES ($1, $2, 'sitemap', $3)
+      ON CONFLICT (domain, page_url)
+      DO UPDATE SET sitemap_lastmod = EXCLUDED.sitemap_lastmod
+      RETURNING (xmax = 0) as was_inserted
+    `, [domain, page.loc, page.lastmod]);
+    if (result.rows[0]?.was_inserted) added++;
+  }
+  return added;
+}
+
 /**
  * Get URLs to scan for a domain
- * Returns: previously discovered pages + homepage
+ * Returns: homepage + previously discovered pages + sitemap URLs,
+ * minus pages whose sitemap <lastmod> is not newer than the last scan
  */
 async function getUrlsToScan(domain) {
   const urls = new Set();
   
   // Add homepage
-  urls.add(`https://${domain}`);
-  urls.add(`https://${domain}/`);
+  urls.add(normalizeUrl(`https://${domain}`));
   
-  // Add previously discovered pages
+  // Add sitemap URLs (robots.txt Sitemap: lines, indexes, gzipped sitemaps)
+  const sitemap = await collectSitemapUrls(domain);
+  const sitemapAdded = await recordSitemapPages(domain, sitemap.pages);
+  
+  // Add previously discovered pages (now including sitemap entries)
   const discovered = await pool.query(
-    'SELECT page_url FROM discovered_pages WHERE domain = $1 AND is_active = true',
+    `SELECT page_url, last_scanned_at, sitemap_lastmod
+     FROM discovered_pages
+     WHERE domain = $1 AND is_active = true`,
     [domain]
   );
   
+  let skippedUnchanged = 0;
   for (const row of discovered.rows) {
+    // Honor <lastmod>: skip pages that have not changed since we last scanned them
+    if (row.sitemap_lastmod && row.last_scanned_at &&
+        new Date(row.sitemap_lastmod) <= new Date(row.last_scanned_at)) {
+      skippedUnchanged++;
+      continue;
+    }
     urls.add(row.page_url);
   }
   
-  // TODO: Add sitemap URLs if sitemap exists
-  // For now, just use discovered pages
-  
-  return Array.from(urls);
+  return {
+    urls: Array.from(urls),
+    sitemap: {
+      sitemaps_read: sitemap.sitemaps_read,
+      urls_found: sitemap.pages.length,
+      urls_added: sitemapAdded,
+      truncated: sitemap.truncated,
+      skipped_unchanged: skippedUnchanged,
+      errors: sitemap.errors
+    }
+  };
 }
 
 /**
@@ -132,6 +339,13 @@ export async function runScanner(req, res) {
       urls_scanned: 0,
       new_discoveries: 0,
       updated_discoveries: 0,
+      sitemap_urls_found: 0,
+      sitemap_urls_added: 0,
+      skipped_unchanged: 0,
+      // Domains whose sitemaps hit the URL / file limits; only the first
+      // sitemap_url_limit pages of each were recorded
+      sitemap_truncated_domains: [],
+      sitemap_url_limit: MAX_SITEMAP_URLS,
       errors: []
     };
 
@@ -147,7 +361,17 @@ export async function runScanner(req, res) {
       console.log(`[scanner] Scanning domain: ${domain}`);
 
       // Get URLs to scan
-      const urlsToScan = await getUrlsToScan(domain);
+      const { urls: urlsToScan, sitemap } = await getUrlsToScan(domain);
+      results.sitemap_urls_found += sitemap.urls_found;
+      results.sitemap_urls_added += sitemap.urls_added;
+      results.skipped_unchanged += sitemap.skipped_unchanged;
+      if (sitemap.truncated) {
+        console.warn(`[scanner] Sitemap for ${domain} truncated at ${MAX_SITEMAP_URLS} URLs / ${MAX_SITEMAP_FILES} files`);
+        results.sitemap_truncated_domains.push(domain);
+      }
+      for (const sitemapError of sitemap.errors) {
+        results.errors.push({ url: sitemapError.url, error: `sitemap: ${sitemapError.error}` });
+      }
       
       for (const url of urlsToScan) {
         results.urls_scanned++;
@@ -155,13 +379,13 @@ export async function runScanner(req, res) {
         const scanResult = await scanUrl(domain, url);
         
         if (scanResult.found) {
-          // Check if already discovered
+          // Check if already discovered (sitemap-only rows have no alternate yet)
           const existing = await pool.query(
-            'SELECT id FROM discovered_pages WHERE domain = $1 AND page_url = $2',
+            'SELECT id, alternate_href FROM discovered_pages WHERE domain = $1 AND page_url = $2',
             [domain, url]
           );
 
-          if (existing.rows.length === 0) {
+          if (existing.rows.length === 0 || !existing.rows[0].alternate_href) {
             // New discovery - trigger ingestion
             results.new_discoveries++;
             console.log(`[scanner] New discovery: ${domain} -> ${url}`);
@@ -169,13 +393,23 @@ export async function runScanner(req, res) {
             // Trigger discovery webhook internally
             try {
               const API_BASE = process.env.API_BASE || `http://localhost:${process.env.PORT || 8080}`;
-              await fetch(`${API_BASE}/v1/discover`, {
+              const discoverResponse = await fetch(`${API_BASE}/v1/discover`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ domain, page: url, alternate: scanResult.alternate }),
                 signal: AbortSignal.timeout(30000)
               });
+              if (!discoverResponse.ok) {
+                throw new Error(`discover: HTTP ${discoverResponse.status}`);
+              }
+              // /v1/discover stores the page under its canonical URL, which may differ
+              // from this (sitemap) URL - mark this row scanned as well
+              await pool.query(
+                'UPDATE discovered_pages SET last_scanned_at = NOW() WHERE domain = $1 AND page_url = $2',
+                [domain, url]
+              );
             } catch (discoverError) {
+              // Left unscanned, so the discovery is retried next run
               console.error(`[scanner] Failed to trigger discovery for ${url}:`, discoverError.message);
               results.errors.push({ url, error: discoverError.message });
             }
@@ -188,7 +422,15 @@ export async function runScanner(req, res) {
             results.updated_discoveries++;
           }
         } else if (scanResult.error) {
+          // Failed fetches stay unscanned so the page is retried next run
           results.errors.push({ url, error: scanResult.error });
+        } else {
+          // Sitemap pages without an alternate link are still marked as scanned,
+          // so an unchanged <lastmod> skips them next time
+          await pool.query(
+            'UPDATE discovered_pages SET last_scanned_at = NOW() WHERE domain = $1 AND page_url = $2',
+            [domain, url]
+          );
         }
 
         // Small delay between URLs
@@ -0,0 +1,472 @@
+// src/routes/search.js
+// Unit-level search over ingested content (see migrations/034_add_content_search.sql)
+//
+// Every ingestion replaces the page's rows in content_sections / content_units.
+// Search ranks a domain's units with ts_rank_cd over a weighted tsvector (unit
+// text A, enrichment text C), using the text search configuration of each
+// page's detected language.
+//
+// Units are also embedded at ingestion by the active provider (src/embeddings.js).
+// Semantic search blends cosine similarity with the lexical rank.
+
+import { pool } from '../db.js';
+import { resolveSourceUrl } from './facts.js';
+import { getEmbeddingProvider, cosineSimilarity } from '../embeddings.js';
+import { hopGraphEdges } from './graph.js';
+
+export const UNIT_TYPES = ['fact', 'definition', 'claim', 'faq_q', 'faq_a'];
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+// Units scored per semantic query (vectors are compared in process, newest
+// units first); responses report candidates.truncated when a domain has more
+const SEMANTIC_MAX_CANDIDATES = parseInt(process.env.SEMANTIC_MAX_CANDIDATES || '5000', 10);
+const DEFAULT_VECTOR_WEIGHT = 0.7;
+const EMBED_BATCH_SIZE = 200;
+
+// Built-in Postgres text search configurations by primary language subtag
+const SEARCH_CONFIGS = {
+  da: 'danish', de: 'german', en: 'english', es: 'spanish', fi: 'finnish',
+  fr: 'french', hu: 'hungarian', it: 'italian', nb: 'norwegian', nl: 'dutch',
+  no: 'norwegian', pt: 'portuguese', ro: 'romanian', ru: 'russian',
+  sv: 'swedish', tr: 'turkish'
+};
+
+/**
+ * Text search configuration for a page language ("simple" - no stemming or
+ * stop words - for languages Postgres has no configuration for)
+ */
+export function searchConfigForLanguage(language) {
+  const primary = String(language || '').toLowerCase().split('-')[0];
+  return SEARCH_CONFIGS[primary] || 'simple';
+}
+
+/**
+ * Embed units with the active provider. Returns { model, vectors } (vectors
+ * aligned with units), or { model: null, vectors: [], error } - a failed
+ * embedding leaves the units searchable lexically.
+ */
+async function embedUnits(units) {
+  if (units.length === 0) {
+    return { model: null, vectors: [] };
+  }
+  try {
+    const provider = getEmbeddingProvider();
+    if (!provider.isAvailable()) {
+      return { model: null, vectors: [], error: `Embedding provider ${provider.name} is not available` };
+    }
+    const vectors = await provider.embed(units.map(unit => unit.enriched_text || unit.clean_text));
+    return { model: provider.name, vectors };
+  } catch (error) {
+    console.warn('[search] Unit embedding failed:', error.message);
+    return { model: null, vectors: [], error: error.message };
+  }
+}
+
+/**
+ * Replace a page's sections, units and hop graph edges with those of its latest
+ * extraction. Returns { sections, units, edges, embedded, embedding_model,
+ * embedding_error } - embedding failures do not fail the index.
+ */
+export async function storeContentIndex(domain, sourceUrl, extractedContent) {
+  const sections = extractedContent.sections || [];
+  const units = (extractedContent.units || []).filter(unit => unit?.unit_id && unit.clean_text);
+  const embedding = await embedUnits(units.map(unit => ({
+    clean_text: unit.clean_text,
+    enriched_text: unit.enriched_text_for_embedding
+  })));
+  const extractionTextHash = extractedContent.extraction_text_hash || null;
+  const language = extractedContent.language || null;
+  const searchConfig = searchConfigForLanguage(language);
+  const intendedUsers = (extractedContent.intended_users || []).map(user => user.id);
+  const edges = hopGraphEdges(extractedContent);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM content_units WHERE domain = $1 AND source_url = $2', [domain, sourceUrl]);
+    await client.query('DELETE FROM content_sections WHERE domain = $1 AND source_url = $2', [domain, sourceUrl]);
+    await client.query('DELETE FROM hop_graph_edges WHERE domain = $1 AND source_url = $2', [domain, sourceUrl]);
+
+    for (const [position, section] of sections.entries()) {
+      await client.query(`
+        INSERT INTO content_sections (
+          domain, source_url, section_id, position, section_path, heading_text,
+          heading_level, char_start, char_end, clean_text, extraction_text_hash
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        ON CONFLICT (domain, source_url, section_id) DO NOTHING
+      `, [
+        domain, sourceUrl, section.section_id, position, section.section_path || null,
+        section.heading_text || null, section.heading_level ?? null, section.char_start ?? null,
+        section.char_end ?? null, section.clean_text || null, extractionTextHash
+      ]);
+    }
+
+    for (const [position, unit] of units.entries()) {
+      await client.query(`
+        INSERT INTO content_units (
+          domain, source_url, unit_id, section_id, position, unit_type, clean_text,
+          enriched_text, unit_grounding, unit_confidence, evidence_anchor, fact_id,
+          intended_users, language, extraction_text_hash, search_config, embedding, embedding_model
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16::regconfig, $17, $18)
+        ON CONFLICT (domain, source_url, unit_id) DO NOTHING
+      `, [
+        domain, sourceUrl, unit.unit_id, unit.section_id || unit.parent_section_id || null, position,
+        unit.unit_type, unit.clean_text, unit.enriched_text_for_embedding || null,
+        unit.unit_grounding || null, unit.unit_confidence ?? null,
+        unit.anchor_missing ? null : JSON.stringify(unit.evidence_anchor || null),
+        unit.fact_id || null, intendedUsers, language, extractionTextHash, searchConfig,
+        embedding.vectors[position] || null, embedding.vectors[position] ? embedding.model : null
+      ]);
+    }
+
+    for (const edge of edges) {
+      await client.query(`
+        INSERT INTO hop_graph_edges (
+          domain, source_url, from_id, from_kind, from_entity_type, to_id, to_kind,
+          to_entity_type, edge_type, edge_label, confidence, extraction_text_hash
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      `, [
+        domain, sourceUrl, edge.from_id, edge.from_kind, edge.from_entity_type, edge.to_id,
+        edge.to_kind, edge.to_entity_type, edge.edge_type, edge.edge_label, edge.confidence,
+        extractionTextHash
+      ]);
+    }
+
+    await client.query('COMMIT');
+    return {
+      sections: sections.length,
+      units: units.length,
+      edges: edges.length,
+      embedded: embedding.vectors.length,
+      embedding_model: embedding.model,
+      embedding_error: embedding.error || null
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+function parseList(value) {
+  return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Shared unit filters of /v1/search and /v1/search/semantic. Appends values to
+ * params and returns { sql, filters } (sql is " AND ..." conditions on alias u),
+ * or { error } for a 400 response.
+ */
+async function parseUnitFilters(query, domain, params) {
+  const unitTypes = parseList(query.unit_type);
+  const unknownTypes = unitTypes.filter(type => !UNIT_TYPES.includes(type));
+  if (unknownTypes.length > 0) {
+    return {
+      error: { error: `Unknown unit_type: ${unknownTypes.join(', ')}`, available: UNIT_TYPES }
+    };
+  }
+
+  const view = (query.view || '').trim().toLowerCase();
+  const intendedUser = view ? (view.endsWith('_view') ? view : `${view}_view`) : null;
+  const language = (query.language || '').trim().toLowerCase();
+
+  let sql = '';
+  if (unitTypes.length > 0) {
+    params.push(unitTypes);
+    sql += ` AND u.unit_type = ANY($${params.length})`;
+  }
+  if (intendedUser) {
+    params.push(intendedUser);
+    sql += ` AND $${params.length} = ANY(u.intended_users)`;
+  }
+  if (language) {
+    params.push(language);
+    sql += ` AND u.language = $${params.length}`;
+  }
+  const sourceUrlFilter = (query.source_url || '').trim();
+  const sourceUrl = sourceUrlFilter ? await resolveSourceUrl(domain, sourceUrlFilter) : null;
+  if (sourceUrl) {
+    params.push(sourceUrl);
+    sql += ` AND u.source_url = $${params.length}`;
+  }
+
+  return {
+    sql,
+    filters: {
+      unit_type: unitTypes.length > 0 ? unitTypes : null,
+      view: intendedUser,
+      language: language || null,
+      source_url: sourceUrl
+    }
+  };
+}
+
+const RESULT_COLUMNS = `
+  u.unit_id, u.unit_type, u.clean_text, u.source_url, u.language,
+  u.unit_grounding, u.unit_confidence, u.evidence_anchor, u.fact_id,
+  u.intended_users, u.extraction_text_hash,
+  s.section_id, s.section_path, s.heading_text, s.heading_level,
+  s.char_start AS section_char_start, s.char_end AS section_char_end`;
+
+const SECTION_JOIN = `
+  LEFT JOIN content_sections s
+    ON s.domain = u.domain AND s.source_url = u.source_url AND s.section_id = u.section_id`;
+
+function formatResult(row) {
+  return {
+    unit_id: row.unit_id,
+    unit_type: row.unit_type,
+    text: row.clean_text,
+    source_url: row.source_url,
+    language: row.language,
+    unit_grounding: row.unit_grounding,
+    unit_confidence: row.unit_confidence,
+    fact_id: row.fact_id,
+    evidence_anchor: row.evidence_anchor,
+    extraction_text_hash: row.extraction_text_hash,
+    intended_users: row.intended_users,
+    section: row.section_id ? {
+      section_id: row.section_id,
+      section_path: row.section_path,
+      heading_text: row.heading_text,
+      heading_level: row.heading_level,
+      char_start: row.section_char_start,
+      char_end: row.section_char_end
+    } : null
+  };
+}
+
+function parseLimit(value) {
+  return Math.min(Math.max(parseInt(value, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+}
+
+/**
+ * GET /v1/search?domain=&q=
+ * Ranked full-text search over a domain's units. q accepts web search syntax
+ * ("quoted phrases", OR, -exclusions). Optional filters: unit_type (comma-separated),
+ * view (intended user view, e.g. buyer_view or buyer), language, source_url; limit (max 100).
+ */
+export async function searchUnits(req, res) {
+  try {
+    const domain = (req.query.domain || '').trim();
+    const q = (req.query.q || '').trim();
+    if (!domain || !q) {
+      return res.status(400).json({ error: 'domain and q are required' });
+    }
+
+    const params = [domain, q];
+    const { error, sql: filterSql, filters } = await parseUnitFilters(req.query, domain, params);
+    if (error) {
+      return res.status(400).json(error);
+    }
+    params.push(parseLimit(req.query.limit));
+
+    // Normalization 1|32: dampen long units, scale rank into 0..1
+    const { rows } = await pool.query(`
+      SELECT ${RESULT_COLUMNS},
+        ts_rank_cd(u.search_vector, websearch_to_tsquery(u.search_config, $2), 1 | 32) AS score,
+        ts_headline(u.search_config, u.clean_text, websearch_to_tsquery(u.search_config, $2),
+          'MaxFragments=2, MaxWords=30, MinWords=8, StartSel=<mark>, StopSel=</mark>') AS snippet
+      FROM content_units u${SECTION_JOIN}
+      WHERE u.domain = $1
+        AND u.search_vector @@ websearch_to_tsquery(u.search_config, $2)${filterSql}
+      ORDER BY score DESC, u.source_url, u.position
+      LIMIT $${params.length}
+    `, params);
+
+    res.json({
+      domain,
+      query: q,
+      filters,
+      count: rows.length,
+      results: rows.map(row => ({
+        ...formatResult(row),
+        snippet: row.snippet,
+        score: Number(row.score)
+      }))
+    });
+  } catch (error) {
+    console.error('[search] Error:', error);
+    res.status(500).json({
+      error: 'Search failed',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * GET /v1/search/semantic?domain=&q=
+ * Hybrid retrieval: cosine similarity between the query and unit embeddings of
+ * the active provider, blended with the lexical rank (normalized to the best
+ * lexical match) as score = w * vector_score + (1 - w) * lexical_score.
+ * vector_weight (0..1, default 0.7) sets w; vector_weight=1 is pure vector search.
+ * Same filters and limit as /v1/search.
+ */
+export async function searchSemantic(req, res) {
+  try {
+    const domain = (req.query.domain || '').trim();
+    const q = (req.query.q || '').trim();
+    if (!domain || !q) {
+      return res.status(400).json({ error: 'domain and q are required' });
+    }
+
+    const vectorWeight = req.query.vector_weight === undefined
+      ? DEFAULT_VECTOR_WEIGHT
+      : parseFloat(req.query.vector_weight);
+    if (!Number.isFinite(vectorWeight) || vectorWeight < 0 || vectorWeight > 1) {
+      return res.status(400).json({ error: 'vector_weight must be between 0 and 1' });
+    }
+
+    const provider = getEmbeddingProvider();
+    if (!provider.isAvailable()) {
+      return res.status(503).json({
+        error: 'Embedding provider not available',
+        message: `Embedding provider ${provider.name} is not configured`
+      });
+    }
+
+    const params = [domain];
+    const { error, sql: filterSql, filters } = await parseUnitFilters(req.query, domain, params);
+    if (error) {
+      return res.status(400).json(error);
+    }
+    const limit = parseLimit(req.query.limit);
+
+    const [queryVector] = await provider.embed([q]);
+
+    const scores = new Map();
+    const scoreFor = id => {
+      if (!scores.has(id)) scores.set(id, { vector: 0, lexical: 0 });
+      return scores.get(id);
+    };
+
+    const candidates = { vector_scored: 0, max: SEMANTIC_MAX_CANDIDATES, truncated: false };
+    if (vectorWeight > 0) {
+      // One row past the cap tells whether older units were left unscored
+      const { rows: vectorRows } = await pool.query(`
+        SELECT u.id, u.embedding
+        FROM content_units u
+        WHERE u.domain = $1 AND u.embedding_model = $${params.length + 1}${filterSql}
+        ORDER BY u.id DESC
+        LIMIT $${params.length + 2}
+      `, [...params, provider.name, SEMANTIC_MAX_CANDIDATES + 1]);
+      if (vectorRows.length > SEMANTIC_MAX_CANDIDATES) {
+        candidates.truncated = true;
+        vectorRows.length = SEMANTIC_MAX_CANDIDATES;
+      }
+      candidates.vector_scored = vectorRows.length;
+      for (const row of vectorRows) {
+        const similarity = cosineSimilarity(queryVector, row.embedding);
+        if (similarity > 0) scoreFor(row.id).vector = similarity;
+      }
+    }
+
+    if (vectorWeight < 1) {
+      const { rows: lexicalRows } = await pool.query(`
+        SELECT u.id,
+          ts_rank_cd(u.search_vector, websearch_to_tsquery(u.search_config, $${params.length + 1}), 1 | 32) AS score
+        FROM content_units u
+        WHERE u.domain = $1
+          AND u.search_vector @@ websearch_to_tsquery(u.search_config, $${params.length + 1})${filterSql}
+        ORDER BY score DESC
+        LIMIT $${params.length + 2}
+      `, [...params, q, SEMANTIC_MAX_CANDIDATES]);
+      const best = Math.max(0, ...lexicalRows.map(row => Number(row.score)));
+      for (const row of lexicalRows) {
+        scoreFor(row.id).lexical = best > 0 ? Number(row.score) / best : 0;
+      }
+    }
+
+    const ranked = [...scores.entries()]
+      .map(([id, score]) => ({
+        id,
+        vector_score: score.vector,
+        lexical_score: score.lexical,
+        score: vectorWeight * score.vector + (1 - vectorWeight) * score.lexical
+      }))
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score || a.id - b.id)
+      .slice(0, limit);
+
+    const { rows } = ranked.length > 0
+      ? await pool.query(`
+          SELECT u.id, ${RESULT_COLUMNS}
+          FROM content_units u${SECTION_JOIN}
+          WHERE u.id = ANY($1)
+        `, [ranked.map(entry => entry.id)])
+      : { rows: [] };
+    const rowsById = new Map(rows.map(row => [row.id, row]));
+
+    const results = ranked
+      .filter(entry => rowsById.has(entry.id))
+      .map(entry => ({
+        ...formatResult(rowsById.get(entry.id)),
+        score: Number(entry.score.toFixed(6)),
+        vector_score: Number(entry.vector_score.toFixed(6)),
+        lexical_score: Number(entry.lexical_score.toFixed(6))
+      }));
+
+    res.json({
+      domain,
+      query: q,
+      embedding_model: provider.name,
+      vector_weight: vectorWeight,
+      filters,
+      candidates,
+      count: results.length,
+      results
+    });
+  } catch (error) {
+    console.error('[search] Semantic search error:', error);
+    res.status(500).json({
+      error: 'Semantic search failed',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Embed stored units that have no vector from the active provider (units
+ * indexed before embeddings existed, or under another provider). Processes up
+ * to `limit` units; returns { model, embedded, remaining }.
+ */
+export async function embedStoredUnits(domain = null, { limit = 1000 } = {}) {
+  const provider = getEmbeddingProvider();
+  if (!provider.isAvailable()) {
+    throw new Error(`Embedding provider ${provider.name} is not available`);
+  }
+
+  const domainFilter = domain ? ' AND domain = $2' : '';
+  const filterParams = domain ? [provider.name, domain] : [provider.name];
+  let embedded = 0;
+  while (embedded < limit) {
+    const { rows } = await pool.query(`
+      SELECT id, clean_text, enriched_text
+      FROM content_units
+      WHERE embedding_model IS DISTINCT FROM $1${domainFilter}
+      ORDER BY id
+      LIMIT $${filterParams.length + 1}
+    `, [...filterParams, Math.min(EMBED_BATCH_SIZE, limit - embedded)]);
+    if (rows.length === 0) break;
+
+    const vectors = await provider.embed(rows.map(row => row.enriched_text || row.clean_text));
+    for (const [i, row] of rows.entries()) {
+      await pool.query(
+        'UPDATE content_units SET embedding = $1, embedding_model = $2 WHERE id = $3',
+        [vectors[i], provider.name, row.id]
+      );
+    }
+    embedded += rows.length;
+  }
+
+  const { rows: [remaining] } = await pool.query(`
+    SELECT COUNT(*)::int AS count FROM content_units
+    WHERE embedding_model IS DISTINCT FROM $1${domainFilter}
+  `, filterParams);
+  return { model: provider.name, embedded, remaining: remaining.count };
+}
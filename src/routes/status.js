@@ -8,6 +8,7 @@
 // - Nonempty flags
 // - QA tier (best_effort | citation_grade | full_protocol)
 // - Discovery proof
+// - Re-verification (latest extraction replay / anchor check run)
 
 import { pool } from '../db.js';
 
@@ -97,9 +98,10 @@ export async function getStatus(req, res) {
         COUNT(CASE WHEN evidence_type = 'text_extraction' THEN 1 END) as text_extraction_count,
         COUNT(CASE WHEN evidence_type = 'structured_data' THEN 1 END) as structured_data_count,
         COUNT(CASE WHEN evidence_type = 'text_extraction' AND evidence_anchor IS NOT NULL AND COALESCE(anchor_missing, false) = false THEN 1 END) as anchored_text_count,
-        COUNT(CASE WHEN slot_id IS NOT NULL AND fact_id IS NOT NULL THEN 1 END) as v11_count
+        COUNT(CASE WHEN slot_id IS NOT NULL AND fact_id IS NOT NULL THEN 1 END) as v11_count,
+        COUNT(CASE WHEN anchor_drift IS NOT NULL THEN 1 END) as drifted_count
       FROM public.croutons
-      WHERE domain = $1`,
+      WHERE domain = $1 AND retracted_at IS NULL`,
       [domain]
     );
     
@@ -108,6 +110,7 @@ export async function getStatus(req, res) {
     const structuredDataCount = parseInt(factsQuery.rows[0]?.structured_data_count || 0);
     const anchoredTextCount = parseInt(factsQuery.rows[0]?.anchored_text_count || 0);
     const v11FactsCount = parseInt(factsQuery.rows[0]?.v11_count || 0);
+    const driftedFactsCount = parseInt(factsQuery.rows[0]?.drifted_count || 0);
     const factsNonempty = factsCount > 0;
     const factsVersion = v11FactsCount > 0 ? '1.1' : '1.0';
     
@@ -131,6 +134,7 @@ export async function getStatus(req, res) {
         discovery_checked_at
       FROM discovered_pages
       WHERE domain = $1
+      ORDER BY (discovered_mirror_url IS NOT NULL) DESC, discovery_checked_at DESC NULLS LAST
       LIMIT 1`,
       [domain]
     );
@@ -152,6 +156,41 @@ export async function getStatus(req, res) {
     
     const extractionMethod = extractionQuery.rows[0]?.extraction_method || 'unknown';
     
+    // 6b. Latest re-verification run (extraction replay + anchor checks)
+    const reverifyQuery = await pool.query(
+      `SELECT 
+        started_at,
+        completed_at,
+        snapshots_checked,
+        hashes_reproduced,
+        hashes_drifted,
+        facts_checked,
+        facts_passed,
+        facts_drifted,
+        facts_restored,
+        drift_examples
+      FROM reverification_runs
+      WHERE domain = $1 AND completed_at IS NOT NULL
+      ORDER BY started_at DESC
+      LIMIT 1`,
+      [domain]
+    );
+    
+    const lastRun = reverifyQuery.rows[0] || null;
+    const reverification = {
+      last_run_at: lastRun?.completed_at || null,
+      snapshots_checked: lastRun?.snapshots_checked || 0,
+      hashes_reproduced: lastRun?.hashes_reproduced || 0,
+      hashes_drifted: lastRun?.hashes_drifted || 0,
+      facts_checked: lastRun?.facts_checked || 0,
+      facts_passed: lastRun?.facts_passed || 0,
+      facts_drifted: lastRun?.facts_drifted || 0,
+      facts_restored: lastRun?.facts_restored || 0,
+      pass_rate: lastRun?.facts_checked ? lastRun.facts_passed / lastRun.facts_checked : null,
+      drift_examples: lastRun?.drift_examples || [],
+      facts_currently_drifted: driftedFactsCount
+    };
+    
     // 7. Determine QA tier - PHASE C: Based on TEXT EXTRACTION ONLY
     const qaFailReasons = [];
     let qaTier = 'best_effort';
@@ -232,7 +271,9 @@ export async function getStatus(req, res) {
         anchor_coverage_text: anchorCoverageText
       },
       
-      discovery: discoveryProof
+      discovery: discoveryProof,
+      
+      reverification
     };
     
     res.json(status);
@@ -0,0 +1,234 @@
+/* jshint node: true, esversion: 11 */
+/**
+ * Upload ingestion sources: multipart/form-data bodies carrying HTML files,
+ * documents (PDF, DOCX, markdown, text) or zip archives of them (exported CMS
+ * content, staging builds, intranet pages, document libraries).
+ *
+ * Both parsers work on an in-memory Buffer (the route reads the body with
+ * express.raw and a size limit) and enforce entry/size caps, so a hostile
+ * archive cannot expand without bound.
+ */
+
+import zlib from "zlib";
+
+export const MAX_UPLOAD_PAGES = parseInt(process.env.MAX_UPLOAD_PAGES || "200", 10);
+const MAX_UNCOMPRESSED_BYTES = 50 * 1024 * 1024;
+const HTML_EXTENSION = /\.html?$/i;
+// Converted to HTML at ingestion (src/documents.js)
+const DOCUMENT_EXTENSION = /\.(pdf|docx|md|markdown|txt)$/i;
+const DOCUMENT_CONTENT_TYPE = /pdf|wordprocessingml|markdown|text\/plain/i;
+
+export class UploadError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UploadError";
+  }
+}
+
+/**
+ * Parse a multipart/form-data body.
+ * Returns { fields: { name: value }, files: [{ field, filename, contentType, data }] }
+ */
+export function parseMultipart(body, contentType) {
+  const boundaryMatch = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || "");
+  if (!boundaryMatch) {
+    throw new UploadError("multipart/form-data boundary missing");
+  }
+  const delimiter = Buffer.from(`--${boundaryMatch[1] || boundaryMatch[2]}`);
+  const fields = {};
+  const files = [];
+
+  let position = body.indexOf(delimiter);
+  while (position !== -1) {
+    let start = position + delimiter.length;
+    // "--" after the delimiter closes the body
+    if (body.slice(start, start + 2).toString() === "--") break;
+    if (body.slice(start, start + 2).toString() === "\r\n") start += 2;
+
+    const next = body.indexOf(delimiter, start);
+    if (next === -1) break;
+    // Part content ends with CRLF before the next delimiter
+    const part = body.slice(start, next - 2);
+    position = next;
+
+    const headerEnd = part.indexOf("\r\n\r\n");
+    if (headerEnd === -1) continue;
+    const headers = part.slice(0, headerEnd).toString("utf8");
+    const data = part.slice(headerEnd + 4);
+
+    const disposition = /content-disposition:[^\r\n]*/i.exec(headers)?.[0] || "";
+    const name = /\bname="([^"]*)"/i.exec(disposition)?.[1];
+    const filename = /\bfilename="([^"]*)"/i.exec(disposition)?.[1];
+    if (!name) continue;
+
+    if (filename !== undefined) {
+      files.push({
+        field: name,
+        filename,
+        contentType: /content-type:\s*([^\r\n;]+)/i.exec(headers)?.[1]?.trim() || null,
+        data,
+      });
+    } else {
+      fields[name] = data.toString("utf8");
+    }
+  }
+
+  return { fields, files };
+}
+
+/**
+ * Read the file entries of a zip archive (stored or deflated).
+ * Returns [{ path, data }] in central directory order, directories skipped.
+ */
+export function readZipEntries(buffer) {
+  // End of central directory record: last 22 bytes + optional comment (<= 64KB)
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw new UploadError("Not a zip archive");
+  }
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const entries = [];
+  let totalBytes = 0;
+
+  // Offsets come from the upload itself: check them before every read
+  const inBounds = (start, length) => start + length <= buffer.length;
+
+  for (let i = 0; i < entryCount; i++) {
+    if (!inBounds(offset, 46) || buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new UploadError("Corrupt zip central directory");
+    }
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    if (!inBounds(offset + 46, nameLength)) {
+      throw new UploadError("Corrupt zip central directory");
+    }
+    const path = buffer.slice(offset + 46, offset + 46 + nameLength).toString("utf8");
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (path.endsWith("/")) continue;
+    if (flags & 0x1) {
+      throw new UploadError(`Encrypted zip entries are not supported: ${path}`);
+    }
+
+    totalBytes += size;
+    if (totalBytes > MAX_UNCOMPRESSED_BYTES) {
+      throw new UploadError(`Zip archive expands beyond ${MAX_UNCOMPRESSED_BYTES} bytes`);
+    }
+
+    if (!inBounds(localOffset, 30) || buffer.readUInt32LE(localOffset) !== 0x04034b50) {
+      throw new UploadError(`Corrupt zip entry: ${path}`);
+    }
+    const localNameLength = buffer.readUInt16LE(localOffset + 26);
+    const localExtraLength = buffer.readUInt16LE(localOffset + 28);
+    const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+    if (!inBounds(dataStart, compressedSize)) {
+      throw new UploadError(`Corrupt zip entry: ${path}`);
+    }
+    const raw = buffer.slice(dataStart, dataStart + compressedSize);
+
+    let data;
+    if (method === 0) {
+      data = raw;
+    } else if (method === 8) {
+      try {
+        data = zlib.inflateRawSync(raw, { maxOutputLength: Math.max(size, 1) });
+      } catch (error) {
+        throw new UploadError(`Corrupt zip entry: ${path} (${error.message})`);
+      }
+    } else {
+      throw new UploadError(`Unsupported zip compression method ${method}: ${path}`);
+    }
+    entries.push({ path, data });
+  }
+
+  return entries;
+}
+
+/**
+ * Map an archive path to the page URL it was exported from:
+ * "index.html" -> base, "about.html" -> base/about, "docs/index.html" -> base/docs/
+ */
+export function uploadPathToUrl(baseUrl, filePath) {
+  const segments = filePath.replace(/\\/g, "/").split("/")
+    .filter(segment => segment && segment !== ".");
+  if (segments.includes("..")) {
+    throw new UploadError(`Invalid path in upload: ${filePath}`);
+  }
+  const last = segments.pop() || "";
+  if (!/^index\.html?$/i.test(last)) {
+    segments.push(last.replace(HTML_EXTENSION, ""));
+  }
+  const base = baseUrl.endsWith("/") ? baseUrl : `${baseUrl}/`;
+  return new URL(segments.map(encodeURIComponent).join("/"), base).href;
+}
+
+function isZip(file) {
+  return /\.zip$/i.test(file.filename) || /zip/i.test(file.contentType || "");
+}
+
+function isDocument(file) {
+  return DOCUMENT_EXTENSION.test(file.filename) || DOCUMENT_CONTENT_TYPE.test(file.contentType || "");
+}
+
+/**
+ * Turn uploaded files into pages to ingest:
+ * [{ source_url, html, file }] for HTML, [{ source_url, document, content_type, file }]
+ * for documents (the URL keeps the document's file name, e.g. base/docs/guide.pdf).
+ * A single file uses source_url; several files or zip archives need
+ * base_url, which each file's path is resolved against.
+ */
+export function collectUploadPages(files, { sourceUrl, baseUrl }) {
+  const documents = [];
+  for (const file of files) {
+    if (isZip(file)) {
+      for (const entry of readZipEntries(file.data)) {
+        if (HTML_EXTENSION.test(entry.path)) {
+          documents.push({ path: entry.path, data: entry.data, file: `${file.filename}:${entry.path}` });
+        } else if (DOCUMENT_EXTENSION.test(entry.path)) {
+          documents.push({ path: entry.path, data: entry.data, file: `${file.filename}:${entry.path}`, isDocument: true });
+        }
+      }
+    } else if (HTML_EXTENSION.test(file.filename) || /html/i.test(file.contentType || "")) {
+      documents.push({ path: file.filename, data: file.data, file: file.filename });
+    } else if (isDocument(file)) {
+      documents.push({ path: file.filename, data: file.data, file: file.filename, contentType: file.contentType, isDocument: true });
+    }
+  }
+
+  if (documents.length === 0) {
+    throw new UploadError("No pages in upload (expected .html/.htm, .pdf, .docx, .md or .txt files, or .zip archives of them)");
+  }
+  if (documents.length > MAX_UPLOAD_PAGES) {
+    throw new UploadError(`Upload contains ${documents.length} pages (max ${MAX_UPLOAD_PAGES})`);
+  }
+
+  const singleFile = documents.length === 1 && !files.some(isZip);
+  if (singleFile && !sourceUrl && !baseUrl) {
+    throw new UploadError("source_url is required for a single-file upload");
+  }
+  if (!singleFile && !baseUrl) {
+    throw new UploadError("base_url is required for zip archives and multi-file uploads");
+  }
+
+  return documents.map(document => ({
+    source_url: singleFile && sourceUrl ? sourceUrl : uploadPathToUrl(baseUrl, document.path),
+    ...(document.isDocument
+      ? { document: document.data, content_type: document.contentType || null }
+      : { html: document.data.toString("utf8") }),
+    file: document.file,
+  }));
+}
@@ -0,0 +1,138 @@
+/* jshint node: true, esversion: 11 */
+/**
+ * Canonical URL identity
+ *
+ * Every page is keyed on one canonical source_url: the page's own
+ * <link rel="canonical"> (same site only), normalized so tracking parameters,
+ * fragments, trailing slashes and host casing never create a second identity.
+ * Other spellings of the URL are recorded as aliases (url_aliases).
+ */
+
+// Query parameters that only carry campaign / click attribution
+const TRACKING_PARAMS = new Set([
+  "gclid", "gclsrc", "dclid", "fbclid", "msclkid", "yclid", "twclid", "ttclid",
+  "igshid", "mc_cid", "mc_eid", "_ga", "_gl", "_hsenc", "_hsmi", "mkt_tok",
+  "oly_anon_id", "oly_enc_id", "vero_id", "wickedid", "ref_src",
+]);
+
+function isTrackingParam(name) {
+  const key = name.toLowerCase();
+  return key.startsWith("utm_") || TRACKING_PARAMS.has(key);
+}
+
+/**
+ * Normalize a URL to its identity form:
+ * lowercase host without trailing dot, default port dropped, fragment removed,
+ * tracking parameters removed, remaining parameters sorted, and no trailing
+ * slash except on the root path. Returns null for unparseable / non-http URLs.
+ */
+export function normalizeUrl(url, base) {
+  let u;
+  try {
+    u = base ? new URL(url, base) : new URL(url);
+  } catch {
+    return null;
+  }
+  if (u.protocol !== "http:" && u.protocol !== "https:") return null;
+
+  u.hash = "";
+  u.username = "";
+  u.password = "";
+  u.hostname = u.hostname.toLowerCase().replace(/\.$/, "");
+
+  const params = [...u.searchParams.entries()]
+    .filter(([name]) => !isTrackingParam(name))
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  u.search = "";
+  for (const [name, value] of params) {
+    u.searchParams.append(name, value);
+  }
+
+  if (u.pathname.length > 1) {
+    u.pathname = u.pathname.replace(/\/+$/, "") || "/";
+  }
+
+  return u.href;
+}
+
+/**
+ * Same site = same host, ignoring a leading "www."
+ */
+export function isSameSite(a, b) {
+  try {
+    const hostA = new URL(a).hostname.toLowerCase().replace(/^www\./, "");
+    const hostB = new URL(b).hostname.toLowerCase().replace(/^www\./, "");
+    return hostA === hostB;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Same page = same site and the same normalized path; the query string,
+ * scheme and a leading "www." may differ
+ */
+export function isSamePage(a, b) {
+  const urlA = normalizeUrl(a);
+  const urlB = normalizeUrl(b);
+  if (!urlA || !urlB || !isSameSite(urlA, urlB)) return false;
+  return new URL(urlA).pathname === new URL(urlB).pathname;
+}
+
+/**
+ * Read attributes from a raw tag string (order-independent)
+ */
+function tagAttributes(tag) {
+  const attributes = {};
+  const attrRegex = /([a-zA-Z:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/g;
+  let match;
+  while ((match = attrRegex.exec(tag)) !== null) {
+    attributes[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4];
+  }
+  return attributes;
+}
+
+function linkTags(html) {
+  const head = html.match(/<head[^>]*>([\s\S]*?)<\/head>/i);
+  return (head ? head[1] : html).match(/<link\b[^>]*>/gi) || [];
+}
+
+/**
+ * Resolve the page's declared canonical URL, normalized.
+ * Cross-site canonicals are ignored - a page cannot claim another site's identity.
+ * Returns null if there is no usable canonical link.
+ */
+export function resolveCanonicalUrl(html, pageUrl) {
+  for (const tag of linkTags(html)) {
+    const attributes = tagAttributes(tag);
+    const rel = (attributes.rel || "").toLowerCase().split(/\s+/);
+    if (!rel.includes("canonical") || !attributes.href) continue;
+
+    const canonical = normalizeUrl(attributes.href.trim(), pageUrl);
+    if (canonical && isSameSite(canonical, pageUrl)) {
+      return canonical;
+    }
+  }
+  return null;
+}
+
+/**
+ * Collect <link rel="alternate" hreflang="..."> alternates as
+ * [{ hreflang, href }] with normalized hrefs
+ */
+export function extractHreflangAlternates(html, pageUrl) {
+  const alternates = [];
+  const seen = new Set();
+  for (const tag of linkTags(html)) {
+    const attributes = tagAttributes(tag);
+    const rel = (attributes.rel || "").toLowerCase().split(/\s+/);
+    if (!rel.includes("alternate") || !attributes.hreflang || !attributes.href) continue;
+
+    const href = normalizeUrl(attributes.href.trim(), pageUrl);
+    const hreflang = attributes.hreflang.trim().toLowerCase();
+    if (!href || seen.has(`${hreflang}|${href}`)) continue;
+    seen.add(`${hreflang}|${href}`);
+    alternates.push({ hreflang, href });
+  }
+  return alternates;
+}